@@ -0,0 +1,38 @@
+// Alert lifecycle (screening only)
+// Alerts are raised by the rules in lib/rules.js and persisted when the reading is stored;
+// staff then move them through open -> acknowledged -> resolved.
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Allowed transitions per action; escalation re-opens the alert for the next responder
+const ALERT_ACTIONS = {
+  acknowledge: { from: ['open'], to: 'acknowledged' },
+  escalate: { from: ['open', 'acknowledged'], to: 'open' },
+  resolve: { from: ['open', 'acknowledged'], to: 'resolved' }
+};
+
+// Applies a lifecycle action to an alert; returns an error message if not allowed
+function applyAlertAction(alert, action, { user, note }) {
+  // Own keys only, so names like "constructor" are not taken for an action
+  if (!Object.hasOwn(ALERT_ACTIONS, action)) return `Unknown alert action: ${action}`;
+  const transition = ALERT_ACTIONS[action];
+  if (!transition.from.includes(alert.status)) {
+    return `Cannot ${action} an alert that is ${alert.status}.`;
+  }
+
+  const from = alert.status;
+  alert.status = transition.to;
+  if (action === 'escalate') {
+    alert.escalationLevel = (alert.escalationLevel || 0) + 1;
+    alert.level = 'high';
+  }
+  alert.history.push({ action, from, to: transition.to, user, note, at: new Date() });
+  return null;
+}
+
+// The fields applyAlertAction() changes, to store afterwards
+function alertActionChanges({ status, escalationLevel, level, history }) {
+  return { status, escalationLevel, level, history };
+}
+
+module.exports = { ALERT_STATUSES, ALERT_ACTIONS, applyAlertAction, alertActionChanges };
@@ -0,0 +1,104 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { negotiateLocale } = require('./i18n');
+const { createAudit, createServices } = require('./services');
+const { createNotificationWorker } = require('./workers/notifications');
+const { createHl7Worker } = require('./workers/hl7');
+const { createBootstrap } = require('./bootstrap');
+const { createMetaRoutes } = require('./routes/meta');
+const { createAuthRoutes } = require('./routes/auth');
+const { createUserRoutes } = require('./routes/users');
+const { createScoreRoutes } = require('./routes/scores');
+const { createPatientRoutes } = require('./routes/patients');
+const { createWardRoutes } = require('./routes/ward');
+const { createReadingRoutes } = require('./routes/readings');
+const { createCsvRoutes } = require('./routes/csv');
+const { createAuditRoutes } = require('./routes/audit');
+const { createSummaryRoutes } = require('./routes/summary');
+const { createBaselineRoutes } = require('./routes/baselines');
+const { createEncounterRoutes } = require('./routes/encounters');
+const { createOutcomeRoutes } = require('./routes/outcomes');
+const { createPerformanceRoutes } = require('./routes/performance');
+const { createBundleRoutes } = require('./routes/bundles');
+const { createRuleRoutes } = require('./routes/rules');
+const { createAlertRoutes } = require('./routes/alerts');
+const { createNotificationRoutes } = require('./routes/notifications');
+const { createStreamRoutes } = require('./routes/stream');
+const { createFhirRoutes } = require('./routes/fhir');
+const { createDemoRoutes } = require('./routes/demo');
+
+// The Express app with every route, on store (see lib/storage/index.js). Nothing connects or
+// listens here: app.locals.bootstrap() seeds an empty database and app.locals.startWorkers()
+// starts the MLLP listener and notification worker.
+function createApp({ store }) {
+  const audit = createAudit(store.auditLog);
+  const notificationWorker = createNotificationWorker(store, audit);
+  const services = createServices(store, {
+    audit,
+    notifyAlerts: notificationWorker.notifyAlerts
+  });
+  const hl7Worker = createHl7Worker(store, services);
+  const { bootstrap } = createBootstrap(store, services);
+  const app = express();
+
+  // CORS_ORIGIN=https://a.example,https://b.example allows other origins; same-origin only by
+  // default
+  app.use(
+    cors({
+      origin: process.env.CORS_ORIGIN
+        ? process.env.CORS_ORIGIN.split(',').map((o) => o.trim())
+        : false
+    })
+  );
+  // Limit sized for FHIR transaction Bundles and CSV imports posted as JSON
+  app.use(express.json({ type: ['application/json', 'application/fhir+json'], limit: '5mb' }));
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+  // The message catalogs double as the interface text for public/i18n.js
+  app.use('/locales', express.static(path.join(__dirname, 'locales')));
+  // Language for reason and alert texts in API responses, from Accept-Language (see lib/i18n.js)
+  app.use('/api', (req, res, next) => {
+    req.locale = negotiateLocale(req.get('Accept-Language'));
+    res.vary('Accept-Language');
+    res.set('Content-Language', req.locale);
+    next();
+  });
+
+  // In this order: the open routes, then the auth routes, whose token check covers every /api
+  // route mounted after them
+  const routers = [
+    createMetaRoutes,
+    createAuthRoutes,
+    createUserRoutes,
+    createScoreRoutes,
+    createPatientRoutes,
+    createWardRoutes,
+    createReadingRoutes,
+    createCsvRoutes,
+    createAuditRoutes,
+    createSummaryRoutes,
+    createBaselineRoutes,
+    createEncounterRoutes,
+    createOutcomeRoutes,
+    createPerformanceRoutes,
+    createBundleRoutes,
+    createRuleRoutes,
+    createAlertRoutes,
+    createNotificationRoutes,
+    createStreamRoutes,
+    createFhirRoutes,
+    createDemoRoutes
+  ];
+  routers.forEach((createRoutes) => app.use(createRoutes({ store, services })));
+
+  app.locals.store = store;
+  app.locals.handleHl7Message = hl7Worker.handleHl7Message;
+  app.locals.bootstrap = bootstrap;
+  app.locals.startWorkers = () => {
+    hl7Worker.startMllpListener();
+    notificationWorker.startNotificationWorker();
+  };
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,95 @@
+// Local accounts: password hashing, JWT issue/verify and route-level authorization
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'physician', 'nurse', 'viewer'];
+
+// Roles allowed to record readings and respond to alerts
+const CLINICAL_ROLES = ['admin', 'physician', 'nurse'];
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('JWT_SECRET is not set; using a random secret, so logins reset on restart.');
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: String(user._id), username: user.username, role: user.role }, secret, {
+    expiresIn: TOKEN_TTL
+  });
+}
+
+// Middleware accepting "Authorization: Bearer <token>". The account is loaded from users (the
+// store's user repository) on every request, so deactivation and role changes apply at once
+// rather than when the token expires.
+// allowQueryToken also accepts ?token=, only for EventSource, which cannot set headers.
+function requireAuth(users, { allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    const header = req.get('authorization') || '';
+    let token;
+    if (header.startsWith('Bearer ')) token = header.slice(7);
+    else if (allowQueryToken && typeof req.query.token === 'string') token = req.query.token;
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, secret);
+    } catch (err) {
+      return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+    }
+    try {
+      const user = mongoose.isValidObjectId(claims.sub) ? await users.findById(claims.sub) : null;
+      if (!user || !user.active) {
+        return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+      }
+      req.user = { id: String(user._id), username: user.username, role: user.role };
+      next();
+    } catch (err) {
+      console.error('Error checking session', err);
+      res.status(500).json({ error: 'Failed to check session' });
+    }
+  };
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+    next();
+  };
+}
+
+// Viewers can read everything; only clinical roles record readings or respond to alerts
+const canRecord = requireRole(...CLINICAL_ROLES);
+
+// Who made a change, as stored on readings, patients and audit entries
+function actorFrom(user) {
+  return user ? { user: user.id, username: user.username } : undefined;
+}
+
+module.exports = {
+  ROLES,
+  CLINICAL_ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  requireAuth,
+  requireRole,
+  canRecord,
+  actorFrom
+};
@@ -0,0 +1,169 @@
+// Per-patient baselines and personalised qSOFA thresholds.
+// A baseline is entered by a clinician or derived from the patient's first readings; threshold
+// overrides replace the population qSOFA cut-offs for one patient until they expire. The
+// standard qSOFA score is always computed as well and is never changed by either.
+const { READING_SCHEMA, validateReading } = require('./validation');
+const { getScore } = require('./scoring');
+
+// Vitals a baseline can hold
+const BASELINE_FIELDS = ['respiratoryRate', 'systolicBP', 'heartRate', 'temperature', 'spo2'];
+
+// qSOFA cut-offs a clinician may override, with the population default
+const OVERRIDABLE_THRESHOLDS = getScore('qsofa').thresholds;
+
+// Readings used to derive a baseline when none was entered
+const BASELINE_READING_COUNT = Number(process.env.BASELINE_READING_COUNT) || 3;
+
+const BASELINE_SCHEMA = Object.fromEntries(
+  BASELINE_FIELDS.map((field) => [field, { ...READING_SCHEMA[field], required: false }])
+);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median of each field over the first BASELINE_READING_COUNT readings (sorted by timestamp);
+// null until the patient has that many readings.
+function deriveBaseline(readings) {
+  const first = readings.slice(0, BASELINE_READING_COUNT);
+  if (first.length < BASELINE_READING_COUNT) return null;
+
+  const values = {};
+  BASELINE_FIELDS.forEach((field) => {
+    const present = first.map((r) => r[field]).filter((v) => typeof v === 'number');
+    if (present.length) values[field] = Math.round(median(present) * 10) / 10;
+  });
+  return {
+    source: 'derived',
+    values,
+    readingCount: first.length,
+    from: first[0].timestamp,
+    to: first[first.length - 1].timestamp
+  };
+}
+
+// The manual baseline if one was entered, otherwise the derived one
+function effectiveBaseline(patient, readings) {
+  const manual = patient.baseline;
+  const values = {};
+  BASELINE_FIELDS.forEach((field) => {
+    const value = manual && manual.values && manual.values[field];
+    if (typeof value === 'number') values[field] = value;
+  });
+  if (Object.keys(values).length) {
+    return {
+      source: 'manual',
+      values,
+      note: manual.note,
+      setBy: manual.setBy,
+      setAt: manual.setAt
+    };
+  }
+  return deriveBaseline(readings);
+}
+
+// Baseline as a reading-shaped object for the rule engine's baseline comparisons
+function baselineReading(baseline) {
+  return baseline ? { ...baseline.values, timestamp: baseline.setAt || baseline.to } : undefined;
+}
+
+// Overrides in force at `at`, as { field: value } for calculateQSOFA
+function activeThresholds(overrides, at = new Date()) {
+  const thresholds = {};
+  (overrides || []).forEach((o) => {
+    if (new Date(o.expiresAt) > new Date(at)) thresholds[o.field] = o.value;
+  });
+  return thresholds;
+}
+
+// How far each baseline vital has moved in the reading
+function baselineDeviation(reading, baseline) {
+  if (!baseline) return [];
+  return BASELINE_FIELDS.filter(
+    (field) => typeof reading[field] === 'number' && typeof baseline.values[field] === 'number'
+  ).map((field) => {
+    const base = baseline.values[field];
+    const change = Math.round((reading[field] - base) * 10) / 10;
+    return {
+      field,
+      value: reading[field],
+      baseline: base,
+      change,
+      percent: base ? Math.round((change / base) * 1000) / 10 : null
+    };
+  });
+}
+
+// Validates { values: {...}, note? } for a manual baseline; returns { value, errors }
+function validateBaseline(body) {
+  const input = body || {};
+  const { value, errors } = validateReading(input.values, BASELINE_SCHEMA);
+  if (!Object.keys(value).length && !errors.length) {
+    errors.push({
+      field: 'values',
+      code: 'required',
+      message: `A baseline needs at least one of: ${BASELINE_FIELDS.join(', ')}.`
+    });
+  }
+  if (input.note !== undefined && typeof input.note !== 'string') {
+    errors.push({ field: 'note', code: 'invalid_type', message: 'Note must be text.' });
+  }
+  return { value: { values: value, note: input.note }, errors };
+}
+
+// Validates { field, value, reason, expiresAt } for a threshold override
+function validateOverride(body) {
+  const { field, value, reason, expiresAt } = body || {};
+  const errors = [];
+  if (!Object.prototype.hasOwnProperty.call(OVERRIDABLE_THRESHOLDS, field)) {
+    errors.push({
+      field: 'field',
+      code: 'invalid_option',
+      message: `Field must be one of: ${Object.keys(OVERRIDABLE_THRESHOLDS).join(', ')}.`
+    });
+    return { errors };
+  }
+  const checked = validateReading(
+    { [field]: value, reason, expiresAt },
+    {
+      [field]: { ...READING_SCHEMA[field], required: true },
+      reason: { type: 'string', required: true, label: 'Reason', maxLength: 500 },
+      expiresAt: { type: 'date', required: true, label: 'Expiry' }
+    }
+  );
+  errors.push(...checked.errors);
+  if (checked.value.expiresAt && checked.value.expiresAt <= new Date()) {
+    errors.push({
+      field: 'expiresAt',
+      code: 'invalid_date',
+      message: 'Expiry must be in the future.'
+    });
+  }
+  if (checked.value.reason === '') {
+    errors.push({ field: 'reason', code: 'required', message: 'Reason is required.' });
+  }
+  return {
+    value: {
+      field,
+      value: checked.value[field],
+      reason: checked.value.reason,
+      expiresAt: checked.value.expiresAt
+    },
+    errors
+  };
+}
+
+module.exports = {
+  BASELINE_FIELDS,
+  OVERRIDABLE_THRESHOLDS,
+  BASELINE_READING_COUNT,
+  deriveBaseline,
+  effectiveBaseline,
+  baselineReading,
+  activeThresholds,
+  baselineDeviation,
+  validateBaseline,
+  validateOverride
+};
@@ -0,0 +1,116 @@
+// Startup seeding: the first admin, the built-in alert rules, encounters for readings from
+// before encounters existed, and a demo account and patients for storage that starts empty
+const crypto = require('crypto');
+const { validateReading } = require('./validation');
+const { DEFAULT_RULES, FIXED_CUTOFF_MESSAGES } = require('./rules');
+const { admission } = require('./encounters');
+const simulator = require('./simulator');
+const { hashPassword } = require('./auth');
+
+// store is from lib/storage/index.js
+function createBootstrap(store, services) {
+  const { users, patients, encounters, readings, alerts, rules } = store;
+  const { storeReading } = services;
+
+  // The built-in rules are only seeded into an empty collection so admin edits and deletions stick
+  async function ensureDefaultRules() {
+    if (!(await rules.isEmpty())) {
+      // Unedited built-in messages move to the {threshold} template so overrides show in them
+      for (const [ruleId, message] of Object.entries(FIXED_CUTOFF_MESSAGES)) {
+        const builtIn = DEFAULT_RULES.find((rule) => rule.ruleId === ruleId);
+        await rules.replaceMessage(ruleId, message, builtIn.message);
+      }
+      return;
+    }
+    await rules.createMany(DEFAULT_RULES);
+    console.log(`Seeded ${DEFAULT_RULES.length} default alert rules.`);
+  }
+
+  // Readings stored before encounters existed are put into one active encounter per patient,
+  // admitted at their first reading
+  async function ensureEncounters() {
+    const unassigned = await readings.unassigned();
+    for (const { patient: patientId, firstAt } of unassigned) {
+      const patient = await patients.findById(patientId);
+      if (!patient) continue;
+      const encounter =
+        (await encounters.active(patientId)) ||
+        (await encounters.create(
+          admission({
+            patient: patientId,
+            location: patient.location,
+            at: firstAt,
+            actor: { username: 'system' },
+            note: 'Created for readings recorded before encounters were tracked.'
+          })
+        ));
+      await readings.assignEncounter(patientId, encounter._id);
+      await alerts.assignEncounter(patientId, encounter._id);
+    }
+    if (unassigned.length) {
+      console.log(`Assigned earlier readings of ${unassigned.length} patients to encounters.`);
+    }
+  }
+
+  // A "demo" admin for demo storage; its generated password is printed at startup
+  async function createDemoUser() {
+    const password = crypto.randomBytes(9).toString('base64url');
+    await users.create({
+      username: 'demo',
+      displayName: 'Demo administrator',
+      role: 'admin',
+      passwordHash: await hashPassword(password)
+    });
+    console.log(`Created demo user "demo" with password ${password}`);
+  }
+
+  // Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet, or the
+  // demo account without them
+  async function ensureBootstrapAdmin(demo) {
+    if (!(await users.isEmpty())) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      if (demo) return createDemoUser();
+      console.warn('No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin.');
+      return;
+    }
+    await users.create({
+      username: ADMIN_USERNAME,
+      displayName: 'Administrator',
+      role: 'admin',
+      passwordHash: await hashPassword(ADMIN_PASSWORD)
+    });
+    console.log(`Created admin user ${ADMIN_USERNAME}`);
+  }
+
+  // Demo data for storage that starts empty: one patient per demo scenario on a "Demo ward",
+  // with the scenario's readings ending now, stored and alerted like any other readings
+  async function seedDemo() {
+    if (!(await patients.isEmpty())) return;
+    const actor = { username: 'demo-seed' };
+    const scenarios = simulator.scenarioList();
+    for (const [idx, scenario] of scenarios.entries()) {
+      const { config } = simulator.resolveScenario({ scenario: scenario.id, seed: idx + 1 });
+      const start = new Date(Date.now() - config.durationMinutes * 60 * 1000);
+      for (const { minute, timestamp, ...values } of simulator.generateReadings(config, start)) {
+        const patient = minute === 0 ? { name: scenario.name, location: 'Demo ward' } : {};
+        const body = { ...patient, ...values, timestamp: timestamp.toISOString() };
+        await storeReading(`DEMO-${idx + 1}`, validateReading(body), actor, { notify: false });
+      }
+    }
+    console.log(`Seeded ${scenarios.length} demo patients.`);
+  }
+
+  // Everything an existing or empty database needs before the server takes requests; demo also
+  // seeds a demo account and patients (for the memory backend)
+  async function bootstrap({ demo = false } = {}) {
+    await ensureBootstrapAdmin(demo);
+    await ensureDefaultRules();
+    await ensureEncounters();
+    if (demo) await seedDemo();
+  }
+
+  return { bootstrap };
+}
+
+module.exports = { createBootstrap };
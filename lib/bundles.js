@@ -0,0 +1,165 @@
+// Sepsis bundle tracking: the timed response actions that follow a high-risk alert.
+// A bundle is a checklist started by a triggering alert. Each action is due within one or three
+// hours of the alert time and is recorded as done (with when) or not applicable. Whether an
+// action is overdue or was late is worked out from the times, never stored.
+const { validateReading } = require('./validation');
+
+// Actions of every bundle, with minutes from the alert time until each is due
+const BUNDLE_ACTIONS = [
+  { actionId: 'lactate', label: 'Lactate drawn', dueMinutes: 60 },
+  { actionId: 'blood-cultures', label: 'Blood cultures taken', dueMinutes: 60 },
+  { actionId: 'antibiotics', label: 'Antibiotics given', dueMinutes: 60 },
+  { actionId: 'physician-review', label: 'Physician review', dueMinutes: 60 },
+  { actionId: 'fluids', label: 'IV fluids started', dueMinutes: 180 }
+];
+
+// Alert rules that start a bundle (AlertRule.ruleId); "High risk screening score" by default
+const BUNDLE_TRIGGER_RULES = (process.env.BUNDLE_TRIGGER_RULES || 'qsofa-high')
+  .split(',')
+  .map((ruleId) => ruleId.trim())
+  .filter(Boolean);
+
+const ACTION_STATUSES = ['done', 'not-applicable'];
+
+const ACTION_SCHEMA = {
+  status: { type: 'enum', required: true, label: 'Status', options: ACTION_STATUSES },
+  at: { type: 'date', required: false, label: 'Action time' },
+  note: { type: 'string', required: false, label: 'Note', maxLength: 500 }
+};
+
+// Fields for a new open bundle started by `alert`
+function newBundle(alert) {
+  const startedAt = new Date(alert.timestamp);
+  return {
+    patient: alert.patient,
+    encounter: alert.encounter,
+    alert: alert._id,
+    ruleId: alert.ruleId,
+    location: alert.location,
+    status: 'open',
+    startedAt,
+    actions: BUNDLE_ACTIONS.map(({ actionId, label, dueMinutes }) => ({
+      actionId,
+      label,
+      dueAt: new Date(startedAt.getTime() + dueMinutes * 60 * 1000),
+      status: 'pending'
+    }))
+  };
+}
+
+// Validates { status: "done"|"not-applicable", at?, note? }; returns { value, errors }
+function validateBundleAction(body) {
+  const { value, errors, flags } = validateReading(body || {}, ACTION_SCHEMA);
+  // A future action time would count as done before it happened
+  return { value, errors: [...errors, ...flags] };
+}
+
+// Records an action on a bundle; returns an error message if not allowed.
+// The bundle closes once every action is done or not applicable.
+function applyBundleAction(bundle, actionId, { status, at = new Date(), note }, actor) {
+  const action = bundle.actions.find((a) => a.actionId === actionId);
+  if (!action) return `Unknown bundle action: ${actionId}`;
+  if (action.status !== 'pending') return `${action.label} is already recorded.`;
+
+  action.status = status;
+  action.at = at;
+  action.by = actor;
+  action.note = note;
+  if (bundle.actions.every((a) => a.status !== 'pending')) {
+    bundle.status = 'closed';
+    bundle.closedAt = new Date();
+  }
+  return null;
+}
+
+// pending | overdue | on-time | late | not-applicable, as of asOf
+function actionState(action, asOf = new Date()) {
+  if (action.status === 'not-applicable') return 'not-applicable';
+  if (action.status === 'done') {
+    return new Date(action.at) <= new Date(action.dueAt) ? 'on-time' : 'late';
+  }
+  return new Date(asOf) > new Date(action.dueAt) ? 'overdue' : 'pending';
+}
+
+// Bundle with each action's state and the overdue count
+function bundleStatus(bundle, asOf = new Date()) {
+  const actions = bundle.actions.map((action) => ({
+    ...action,
+    state: actionState(action, asOf)
+  }));
+  return {
+    ...bundle,
+    actions,
+    overdueCount: actions.filter((a) => a.state === 'overdue').length
+  };
+}
+
+function rate(numerator, denominator) {
+  return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+// Compliance per location: per action, how many were due (not applicable excluded) and done on
+// time, and how many bundles have no late or overdue action. Actions not yet due are left out,
+// so a bundle still inside its first hour does not count against a ward.
+function complianceByLocation(bundles, asOf = new Date()) {
+  const wards = new Map();
+  bundles.forEach((bundle) => {
+    const location = bundle.location || 'Unknown';
+    if (!wards.has(location)) {
+      wards.set(location, {
+        location,
+        bundles: 0,
+        compliantBundles: 0,
+        actions: Object.fromEntries(
+          BUNDLE_ACTIONS.map((a) => [
+            a.actionId,
+            { label: a.label, due: 0, onTime: 0, late: 0, overdue: 0, notApplicable: 0 }
+          ])
+        )
+      });
+    }
+    const ward = wards.get(location);
+    const states = bundle.actions.map((action) => [action.actionId, actionState(action, asOf)]);
+    const judged = states.filter(([, state]) => state !== 'pending');
+    ward.bundles += 1;
+    if (!states.some(([, state]) => state === 'late' || state === 'overdue')) {
+      ward.compliantBundles += 1;
+    }
+    judged.forEach(([actionId, state]) => {
+      const counts = ward.actions[actionId];
+      if (!counts) return;
+      if (state === 'not-applicable') {
+        counts.notApplicable += 1;
+        return;
+      }
+      counts.due += 1;
+      if (state === 'on-time') counts.onTime += 1;
+      else if (state === 'late') counts.late += 1;
+      else counts.overdue += 1;
+    });
+  });
+
+  return Array.from(wards.values())
+    .map((ward) => ({
+      ...ward,
+      complianceRate: rate(ward.compliantBundles, ward.bundles),
+      actions: Object.entries(ward.actions).map(([actionId, counts]) => ({
+        actionId,
+        ...counts,
+        onTimeRate: rate(counts.onTime, counts.due)
+      }))
+    }))
+    .sort((a, b) => a.location.localeCompare(b.location));
+}
+
+module.exports = {
+  BUNDLE_ACTIONS,
+  BUNDLE_TRIGGER_RULES,
+  ACTION_STATUSES,
+  newBundle,
+  validateBundleAction,
+  applyBundleAction,
+  actionState,
+  bundleStatus,
+  complianceByLocation
+};
@@ -0,0 +1,108 @@
+// Minimal RFC 4180 CSV parsing and formatting for bulk reading import/export.
+
+// Rows as arrays of cell strings; handles quoted cells, escaped quotes, CRLF and a leading BOM.
+// Blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+// Text starting with these could run as a formula when the export is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+  return `${values.map(formatCell).join(',')}\r\n`;
+}
+
+// Resolves which column holds each field. mapping is { field: headerName }; unmapped fields
+// use a header with the same name (case-insensitive). Returns { columns: { field: index }, errors }.
+function mapColumns(header, mapping, fields, requiredFields = []) {
+  const errors = [];
+  const columns = {};
+  const indexOf = (name) =>
+    header.findIndex((h) => h.trim().toLowerCase() === String(name).trim().toLowerCase());
+
+  Object.keys(mapping).forEach((field) => {
+    if (!fields.includes(field)) {
+      errors.push({
+        field,
+        code: 'unknown_field',
+        message: `${field} is not an importable field.`
+      });
+    }
+  });
+
+  fields.forEach((field) => {
+    const name = mapping[field] !== undefined ? mapping[field] : field;
+    const index = indexOf(name);
+    if (index !== -1) {
+      columns[field] = index;
+    } else if (mapping[field] !== undefined) {
+      errors.push({
+        field,
+        code: 'missing_column',
+        message: `Column "${name}" is not in the CSV.`
+      });
+    } else if (requiredFields.includes(field)) {
+      errors.push({ field, code: 'missing_column', message: `No column for ${field}.` });
+    }
+  });
+
+  return { columns, errors };
+}
+
+// Row cells -> { field: value } using the columns from mapColumns
+function rowToObject(row, columns) {
+  const object = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    const value = row[index] === undefined ? '' : row[index].trim();
+    if (value !== '') object[field] = value;
+  });
+  return object;
+}
+
+module.exports = { parseCsv, formatCsvRow, mapColumns, rowToObject };
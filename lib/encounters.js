@@ -0,0 +1,85 @@
+// Encounters: one hospital stay from admission to discharge.
+// Readings and alerts belong to an encounter, so trends, alert rules and derived baselines only
+// compare readings from the same stay. A patient has at most one active encounter.
+const { validateReading } = require('./validation');
+
+const ENCOUNTER_STATUSES = ['active', 'discharged'];
+
+// Events after admission; each needs an active encounter
+const ENCOUNTER_EVENTS = {
+  transfer: { requiresLocation: true },
+  discharge: { requiresLocation: false }
+};
+
+const EVENT_SCHEMA = {
+  location: { type: 'string', required: false, label: 'Location', maxLength: 100 },
+  at: { type: 'date', required: false, label: 'Event time' },
+  note: { type: 'string', required: false, label: 'Note', maxLength: 500 }
+};
+
+// Validates { location?, at?, note? } for an admission or encounter event; returns { value, errors }
+function validateEncounterEvent(body, { requiresLocation = false } = {}) {
+  const { value, errors, flags } = validateReading(body || {}, EVENT_SCHEMA);
+  if (requiresLocation && !value.location) {
+    errors.push({ field: 'location', code: 'required', message: 'Location is required.' });
+  }
+  // A future event time is only a warning for readings but would misplace later readings here
+  return { value, errors: [...errors, ...flags] };
+}
+
+// Fields for a new active encounter
+function admission({ patient, location, at = new Date(), actor, note }) {
+  return {
+    patient,
+    status: 'active',
+    admittedAt: at,
+    location,
+    locationHistory: location ? [{ location, from: at }] : [],
+    events: [{ type: 'admit', at, location, by: actor, note }]
+  };
+}
+
+// Applies a transfer or discharge to an encounter; returns an error message if not allowed
+function applyEncounterEvent(encounter, type, { location, at = new Date(), actor, note }) {
+  if (!Object.hasOwn(ENCOUNTER_EVENTS, type)) return `Unknown encounter event: ${type}`;
+  if (encounter.status !== 'active') return `Cannot ${type} an encounter that is discharged.`;
+  const last = encounter.events[encounter.events.length - 1];
+  if (last && at < last.at) return `Event time is before the last ${last.type}.`;
+
+  const open = encounter.locationHistory[encounter.locationHistory.length - 1];
+  if (type === 'transfer') {
+    if (location === encounter.location) return `Patient is already at ${location}.`;
+    if (open) open.to = at;
+    encounter.locationHistory.push({ location, from: at });
+    encounter.location = location;
+  } else {
+    if (open) open.to = at;
+    encounter.status = 'discharged';
+    encounter.dischargedAt = at;
+  }
+  encounter.events.push({ type, at, location: encounter.location, by: actor, note });
+  return null;
+}
+
+// The fields applyEncounterEvent() changes, to store afterwards
+function encounterEventChanges({ status, location, locationHistory, events, dischargedAt }) {
+  return { status, location, locationHistory, events, dischargedAt };
+}
+
+// The encounter (newest first list) whose stay contains `at`, if any
+function encounterAt(encounters, at) {
+  const time = new Date(at);
+  return encounters.find(
+    (e) => e.admittedAt <= time && (!e.dischargedAt || time <= e.dischargedAt)
+  );
+}
+
+module.exports = {
+  ENCOUNTER_STATUSES,
+  ENCOUNTER_EVENTS,
+  validateEncounterEvent,
+  admission,
+  applyEncounterEvent,
+  encounterEventChanges,
+  encounterAt
+};
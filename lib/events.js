@@ -0,0 +1,31 @@
+// In-process event bus for live dashboard updates (Server-Sent Events).
+// Each event carries the patient's externalId and location so subscribers can filter.
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(type, { patient, ...payload }) {
+  bus.emit('event', {
+    type,
+    patient: patient && {
+      externalId: patient.externalId,
+      name: patient.name,
+      location: patient.location
+    },
+    ...payload
+  });
+}
+
+// filter: { patient?: externalId, location? }; returns an unsubscribe function
+function subscribe(filter, handler) {
+  const listener = (event) => {
+    if (filter.patient && (!event.patient || event.patient.externalId !== filter.patient)) return;
+    if (filter.location && (!event.patient || event.patient.location !== filter.location)) return;
+    handler(event);
+  };
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,315 @@
+// FHIR R4 mapping for patients, readings (vital-sign and lab Observations) and scores
+// (RiskAssessment). Pure functions; the routes in lib/routes/fhir.js do the database work.
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+// Local code system for values without a suitable LOINC code
+const LOCAL_CODES = 'urn:sepsis-screen:observation';
+// Identifier system for the app's patient identifiers (externalId)
+const PATIENT_ID_SYSTEM = 'urn:sepsis-screen:patient-id';
+
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+// Reading field -> Observation code, unit and category
+const OBSERVATION_CODES = {
+  respiratoryRate: { system: LOINC, code: '9279-1', display: 'Respiratory rate', unit: '/min' },
+  systolicBP: { system: LOINC, code: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]' },
+  mentalStatus: { system: LOINC, code: '80288-4', display: 'Level of consciousness' },
+  heartRate: { system: LOINC, code: '8867-4', display: 'Heart rate', unit: '/min' },
+  temperature: { system: LOINC, code: '8310-5', display: 'Body temperature', unit: 'Cel' },
+  spo2: {
+    system: LOINC,
+    code: '59408-5',
+    display: 'Oxygen saturation in Arterial blood by Pulse oximetry',
+    unit: '%'
+  },
+  supplementalOxygen: {
+    system: LOCAL_CODES,
+    code: 'supplemental-oxygen',
+    display: 'On supplemental oxygen'
+  },
+  gcs: { system: LOINC, code: '9269-2', display: 'Glasgow coma score total', unit: '{score}' },
+  meanArterialPressure: {
+    system: LOINC,
+    code: '8478-0',
+    display: 'Mean blood pressure',
+    unit: 'mm[Hg]'
+  },
+  lactate: {
+    system: LOINC,
+    code: '2524-7',
+    display: 'Lactate [Moles/volume] in Serum or Plasma',
+    unit: 'mmol/L',
+    category: 'laboratory'
+  },
+  wbc: {
+    system: LOINC,
+    code: '6690-2',
+    display: 'Leukocytes [#/volume] in Blood by Automated count',
+    unit: '10*3/uL',
+    category: 'laboratory'
+  },
+  pao2Fio2Ratio: {
+    system: LOINC,
+    code: '50984-4',
+    display: 'Horowitz index in Arterial blood',
+    unit: 'mm[Hg]',
+    category: 'laboratory'
+  },
+  platelets: {
+    system: LOINC,
+    code: '777-3',
+    display: 'Platelets [#/volume] in Blood by Automated count',
+    unit: '10*3/uL',
+    category: 'laboratory'
+  },
+  bilirubin: {
+    system: LOINC,
+    code: '1975-2',
+    display: 'Bilirubin.total [Mass/volume] in Serum or Plasma',
+    unit: 'mg/dL',
+    category: 'laboratory'
+  },
+  creatinine: {
+    system: LOINC,
+    code: '2160-0',
+    display: 'Creatinine [Mass/volume] in Serum or Plasma',
+    unit: 'mg/dL',
+    category: 'laboratory'
+  },
+  vasopressors: {
+    system: LOCAL_CODES,
+    code: 'vasopressor-dose',
+    display: 'Vasopressor dose band (SOFA)'
+  },
+  respiratorySupport: {
+    system: LOCAL_CODES,
+    code: 'respiratory-support',
+    display: 'On mechanical ventilation or CPAP'
+  }
+};
+
+function toFhirPatient(patient) {
+  const resource = {
+    resourceType: 'Patient',
+    id: patient.externalId,
+    meta: patient.updatedAt
+      ? { lastUpdated: new Date(patient.updatedAt).toISOString() }
+      : undefined,
+    identifier: [{ system: PATIENT_ID_SYSTEM, value: patient.externalId }]
+  };
+  // The app stores a free-text label rather than a structured name
+  if (patient.name) resource.name = [{ text: patient.name }];
+  return resource;
+}
+
+function observationValue(field, value) {
+  const { unit } = OBSERVATION_CODES[field];
+  if (typeof value === 'boolean') return { valueBoolean: value };
+  if (typeof value === 'string') return { valueCodeableConcept: { text: value } };
+  return { valueQuantity: { value, unit, system: UCUM, code: unit } };
+}
+
+// One Observation per recorded value; ids are "<readingId>-<field>"
+function readingToObservations(reading, patient) {
+  const effectiveDateTime = new Date(reading.timestamp).toISOString();
+  return Object.entries(OBSERVATION_CODES)
+    .filter(([field]) => reading[field] !== undefined && reading[field] !== null)
+    .map(([field, code]) => ({
+      resourceType: 'Observation',
+      id: `${reading._id}-${field}`,
+      status: reading.amendment && reading.amendment.at ? 'amended' : 'final',
+      category: [
+        {
+          coding: [{ system: OBSERVATION_CATEGORY, code: code.category || 'vital-signs' }]
+        }
+      ],
+      code: { coding: [{ system: code.system, code: code.code, display: code.display }] },
+      subject: { reference: `Patient/${patient.externalId}` },
+      effectiveDateTime,
+      ...observationValue(field, reading[field])
+    }));
+}
+
+// One RiskAssessment per score computed for the reading; ids are "<readingId>-<scoreId>"
+function readingToRiskAssessments(reading, patient) {
+  const observations = readingToObservations(reading, patient);
+  const results =
+    reading.scores && reading.scores.length
+      ? reading.scores
+      : [
+          {
+            scoreId: 'qsofa',
+            name: 'qSOFA',
+            score: reading.qsofaScore,
+            maxScore: 3,
+            riskLabel: reading.qsofaRiskLabel,
+            reasons: reading.qsofaReasons
+          }
+        ];
+
+  return results.map((result) => ({
+    resourceType: 'RiskAssessment',
+    id: `${reading._id}-${result.scoreId}`,
+    status: 'final',
+    method: { text: result.name },
+    subject: { reference: `Patient/${patient.externalId}` },
+    occurrenceDateTime: new Date(reading.timestamp).toISOString(),
+    basis: observations.map((o) => ({ reference: `Observation/${o.id}` })),
+    prediction: [
+      {
+        outcome: { text: 'Sepsis (screening only)' },
+        qualitativeRisk: { text: result.riskLabel },
+        rationale: `${result.name} score ${result.score}/${result.maxScore}${
+          result.complete === false ? ' (partial)' : ''
+        }`
+      }
+    ],
+    note: (result.reasons || []).map((text) => ({ text }))
+  }));
+}
+
+function searchBundle(resources) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: resources.length,
+    entry: resources.map((resource) => ({
+      fullUrl: `${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+function operationOutcome(issues) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.map(({ severity = 'error', code = 'invalid', diagnostics, expression }) => ({
+      severity,
+      code,
+      diagnostics,
+      expression
+    }))
+  };
+}
+
+// "Patient/abc" or a bare id -> "abc"
+function patientIdFromReference(reference) {
+  if (!reference) return null;
+  return reference.startsWith('Patient/') ? reference.slice('Patient/'.length) : reference;
+}
+
+function fieldForCode(codeableConcept) {
+  const codings = (codeableConcept && codeableConcept.coding) || [];
+  const match = Object.entries(OBSERVATION_CODES).find(([, code]) =>
+    codings.some((c) => c.system === code.system && c.code === code.code)
+  );
+  return match ? match[0] : null;
+}
+
+function valueFromObservation(observation) {
+  if (observation.valueQuantity) return observation.valueQuantity.value;
+  if (observation.valueBoolean !== undefined) return observation.valueBoolean;
+  if (observation.valueCodeableConcept) {
+    const concept = observation.valueCodeableConcept;
+    return concept.text || (concept.coding && concept.coding[0] && concept.coding[0].display);
+  }
+  if (observation.valueString !== undefined) return observation.valueString;
+  return undefined;
+}
+
+// Turns a transaction Bundle into reading bodies grouped by patient and effective time.
+// Returns { patients, readings, issues }: patients maps externalId -> { name, index },
+// readings is [{ externalId, body, entries }] where entries are [{ index, field }] Bundle entries.
+function transactionToReadings(bundle) {
+  const issues = [];
+  const patients = new Map();
+  const fullUrls = new Map();
+  const groups = new Map();
+
+  if (!bundle || bundle.resourceType !== 'Bundle' || bundle.type !== 'transaction') {
+    issues.push({ diagnostics: 'Body must be a FHIR Bundle of type "transaction".' });
+    return { patients, readings: [], issues };
+  }
+
+  const entries = bundle.entry || [];
+  entries.forEach((entry, idx) => {
+    const resource = entry.resource || {};
+    if (resource.resourceType !== 'Patient') return;
+
+    const identifier = (resource.identifier || []).find((i) => i.value);
+    const externalId = identifier ? identifier.value : resource.id;
+    if (!externalId) {
+      issues.push({
+        diagnostics: 'Patient needs an identifier or id.',
+        expression: [`Bundle.entry[${idx}]`]
+      });
+      return;
+    }
+    const name = resource.name && resource.name[0] && resource.name[0].text;
+    patients.set(externalId, { name, index: idx });
+    if (entry.fullUrl) fullUrls.set(entry.fullUrl, externalId);
+    if (resource.id) fullUrls.set(`Patient/${resource.id}`, externalId);
+  });
+
+  entries.forEach((entry, idx) => {
+    const resource = entry.resource || {};
+    const where = [`Bundle.entry[${idx}]`];
+    if (resource.resourceType === 'Patient') return;
+    if (resource.resourceType !== 'Observation') {
+      issues.push({
+        code: 'not-supported',
+        diagnostics: `${resource.resourceType} entries are not supported.`,
+        expression: where
+      });
+      return;
+    }
+
+    const reference = resource.subject && resource.subject.reference;
+    const externalId = fullUrls.get(reference) || patientIdFromReference(reference);
+    const field = fieldForCode(resource.code);
+    const effective = resource.effectiveDateTime;
+    if (!externalId) {
+      issues.push({ diagnostics: 'Observation has no subject.', expression: where });
+      return;
+    }
+    if (!field) {
+      issues.push({
+        code: 'code-invalid',
+        diagnostics: 'Observation code is not recognised.',
+        expression: where
+      });
+      return;
+    }
+    if (!effective || Number.isNaN(new Date(effective).getTime())) {
+      issues.push({
+        diagnostics: 'Observation needs a valid effectiveDateTime.',
+        expression: where
+      });
+      return;
+    }
+
+    const key = `${externalId}|${new Date(effective).toISOString()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { externalId, body: { timestamp: effective }, entries: [] });
+    }
+    const group = groups.get(key);
+    group.body[field] = valueFromObservation(resource);
+    group.entries.push({ index: idx, field });
+  });
+
+  return { patients, readings: Array.from(groups.values()), issues };
+}
+
+module.exports = {
+  OBSERVATION_CODES,
+  PATIENT_ID_SYSTEM,
+  toFhirPatient,
+  readingToObservations,
+  readingToRiskAssessments,
+  searchBundle,
+  operationOutcome,
+  patientIdFromReference,
+  transactionToReadings
+};
@@ -0,0 +1,235 @@
+// HL7 v2 ORU^R01 ingestion: MLLP framing, message parsing and ACK/NAK replies.
+// Parsing is pure; lib/workers/hl7.js stores the readings through the same path as the REST route.
+const net = require('net');
+const { OBSERVATION_CODES } = require('./fhir');
+
+// MLLP frame: <VT> message <FS><CR>
+const START_BLOCK = 0x0b;
+const END_BLOCK = Buffer.from([0x1c, 0x0d]);
+// Drop a connection's buffer if a frame never ends
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+const SENDING_APPLICATION = 'SEPSIS-SCREEN';
+// Keeps ACK control ids unique within the same millisecond
+let ackSequence = 0;
+
+// OBX-3 identifiers (LOINC or IEEE 11073 MDC, by code or reference id) -> reading field
+const OBX_CODES = {
+  ...Object.fromEntries(Object.entries(OBSERVATION_CODES).map(([field, c]) => [c.code, field])),
+  151562: 'respiratoryRate',
+  MDC_RESP_RATE: 'respiratoryRate',
+  150021: 'systolicBP',
+  MDC_PRESS_BLD_NONINV_SYS: 'systolicBP',
+  147842: 'heartRate',
+  MDC_ECG_HEART_RATE: 'heartRate',
+  150456: 'spo2',
+  MDC_PULS_OXIM_SAT_O2: 'spo2',
+  150344: 'temperature',
+  MDC_TEMP: 'temperature'
+};
+
+// ACVPU letters and answer codes for level of consciousness; full words are left to validation
+const CONSCIOUSNESS = {
+  A: 'Alert',
+  C: 'Agitated',
+  V: 'Drowsy',
+  P: 'Drowsy',
+  U: 'Unresponsive',
+  'LA9340-6': 'Alert',
+  'LA6560-2': 'Agitated',
+  'LA17108-4': 'Drowsy',
+  'LA17107-6': 'Drowsy',
+  'LA9343-0': 'Unresponsive'
+};
+
+// OBX-11 statuses whose value must not be used
+const UNUSABLE_RESULT_STATUSES = ['D', 'W', 'X'];
+
+function unescape(text, enc) {
+  return text.replace(/\\([FSTRE])\\/g, (match, code) => {
+    const chars = { F: enc.field, S: enc.component, T: enc.subcomponent, R: enc.repetition };
+    return code === 'E' ? enc.escape : chars[code];
+  });
+}
+
+// Segments as arrays of fields, indexed so that seg[n] is field n (MSH-1 is the separator itself)
+function splitMessage(message) {
+  const lines = message.split(/\r\n|\r|\n/).filter((line) => line.trim());
+  if (!lines.length || !lines[0].startsWith('MSH')) return null;
+
+  const msh = lines[0];
+  const enc = {
+    field: msh[3],
+    component: msh[4] || '^',
+    repetition: msh[5] || '~',
+    escape: msh[6] || '\\',
+    subcomponent: msh[7] || '&'
+  };
+  const segments = lines.map((line) => {
+    const fields = line.split(enc.field);
+    return fields[0] === 'MSH' ? ['MSH', enc.field, ...fields.slice(1)] : fields;
+  });
+  return { enc, segments };
+}
+
+// YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]; without an offset the sender's time is taken as local
+function parseHl7Time(value) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(
+    value || ''
+  );
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  if (!zone) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+  const offset = `${zone.slice(0, 3)}:${zone.slice(3)}`;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+}
+
+function formatHl7Time(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+// Parses an ORU^R01 into { header, externalId, body, errors }. body is a reading body for
+// validateReading: PID-5 name, PV1-3 location and the recognised OBX values as one reading.
+function parseOru(message) {
+  const split = splitMessage(message);
+  if (!split) {
+    return { header: null, errors: ['Message does not start with an MSH segment.'] };
+  }
+  const { enc, segments } = split;
+  const field = (seg, n) => (seg && seg[n]) || '';
+  const components = (value) => value.split(enc.component).map((c) => unescape(c, enc));
+  const first = (type) => segments.find((seg) => seg[0] === type);
+
+  const mshSeg = first('MSH');
+  const header = {
+    sendingApplication: field(mshSeg, 3),
+    sendingFacility: field(mshSeg, 4),
+    receivingApplication: field(mshSeg, 5),
+    receivingFacility: field(mshSeg, 6),
+    messageType: field(mshSeg, 9),
+    controlId: field(mshSeg, 10),
+    processingId: field(mshSeg, 11) || 'P',
+    version: field(mshSeg, 12) || '2.5.1',
+    time: parseHl7Time(components(field(mshSeg, 7))[0])
+  };
+
+  const errors = [];
+  const [type, trigger] = components(header.messageType);
+  if (type !== 'ORU' || trigger !== 'R01') {
+    errors.push(`Unsupported message type ${header.messageType || '(none)'}; expected ORU^R01.`);
+    return { header, errors };
+  }
+
+  const pid = first('PID');
+  const externalId = pid && components(field(pid, 3).split(enc.repetition)[0])[0];
+  if (!externalId) {
+    errors.push('PID-3 patient identifier is required.');
+    return { header, errors };
+  }
+  const [family, given] = components(field(pid, 5).split(enc.repetition)[0]);
+  const name = [given, family].filter(Boolean).join(' ') || undefined;
+  const location = components(field(first('PV1'), 3))[0] || undefined;
+
+  const body = { name, location };
+  let observedAt = parseHl7Time(components(field(first('OBR'), 7))[0]);
+
+  segments
+    .filter((seg) => seg[0] === 'OBX')
+    .forEach((obx) => {
+      if (UNUSABLE_RESULT_STATUSES.includes(field(obx, 11))) return;
+      const [code, text, , altCode, altText] = components(field(obx, 3));
+      const target = OBX_CODES[code] || OBX_CODES[text] || OBX_CODES[altCode] || OBX_CODES[altText];
+      if (!target) return;
+
+      const valueType = field(obx, 2);
+      const [valueCode, valueText] = components(field(obx, 5).split(enc.repetition)[0]);
+      if (target === 'mentalStatus') {
+        body.mentalStatus = CONSCIOUSNESS[valueCode] || valueText || valueCode;
+      } else if (valueType === 'NM' || valueType === 'SN') {
+        // SN is comparator^number; only plain numbers are usable
+        const raw = valueType === 'SN' ? components(field(obx, 5))[1] : valueCode;
+        body[target] = raw === '' ? undefined : Number(raw);
+      } else {
+        body[target] = valueCode;
+      }
+      observedAt = observedAt || parseHl7Time(components(field(obx, 14))[0]);
+    });
+
+  const timestamp = observedAt || header.time;
+  body.timestamp = timestamp ? timestamp.toISOString() : undefined;
+
+  return { header, externalId, body, errors };
+}
+
+// ACK with MSA-1 AA (accepted), AE (application error) or AR (rejected)
+function buildAck(header, code, text = '') {
+  const h = header || {};
+  const now = new Date();
+  const clean = (value) => String(value).replace(/[|^~\\&\r\n]/g, ' ');
+  const msh = [
+    'MSH',
+    '^~\\&',
+    SENDING_APPLICATION,
+    h.receivingFacility || '',
+    h.sendingApplication || '',
+    h.sendingFacility || '',
+    formatHl7Time(now),
+    '',
+    'ACK^R01^ACK',
+    `ACK${now.getTime()}${(ackSequence = (ackSequence + 1) % 1000)}`,
+    h.processingId || 'P',
+    h.version || '2.5.1'
+  ].join('|');
+  const msa = ['MSA', code, h.controlId || '', clean(text).slice(0, 80)].join('|');
+  return `${msh}\r${msa}\r`;
+}
+
+// TCP server speaking MLLP. onMessage(text) resolves to the reply; replies on a connection
+// are sent in the order the messages arrived.
+function createMllpServer(onMessage) {
+  return net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let start = buffer.indexOf(START_BLOCK);
+      let end = start === -1 ? -1 : buffer.indexOf(END_BLOCK, start);
+      while (start !== -1 && end !== -1) {
+        const message = buffer.slice(start + 1, end).toString('utf8');
+        buffer = buffer.slice(end + END_BLOCK.length);
+        queue = queue
+          .then(() => onMessage(message))
+          .then((reply) => {
+            if (!socket.destroyed) {
+              socket.write(
+                Buffer.concat([Buffer.from([START_BLOCK]), Buffer.from(reply), END_BLOCK])
+              );
+            }
+          })
+          .catch((err) => console.error('Error replying to HL7 message', err));
+        start = buffer.indexOf(START_BLOCK);
+        end = start === -1 ? -1 : buffer.indexOf(END_BLOCK, start);
+      }
+      if (buffer.length > MAX_FRAME_BYTES) {
+        console.warn('Discarding oversized MLLP frame from', socket.remoteAddress);
+        buffer = Buffer.alloc(0);
+      }
+    });
+    socket.on('error', (err) => console.error('MLLP connection error', err.message));
+  });
+}
+
+module.exports = {
+  OBX_CODES,
+  parseOru,
+  parseHl7Time,
+  buildAck,
+  createMllpServer
+};
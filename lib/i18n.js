@@ -0,0 +1,105 @@
+// Message catalogs and language negotiation.
+// Scores, alert rules and observation alerts describe their results with stable codes and
+// parameters ({ code, params }); the text is looked up in lib/locales/<locale>.json for the
+// language asked for in Accept-Language. English is the fallback and the text stored with readings
+// and alerts, which FHIR, CSV, notifications and reports keep using.
+// The same catalogs also hold the interface text, fetched by public/i18n.js from /locales.
+
+const CATALOGS = {
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  hi: require('./locales/hi.json')
+};
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = 'en';
+const LOCALE_NAMES = { en: 'English', es: 'Español', hi: 'हिन्दी' };
+
+// Hospital time zone (IANA, e.g. Europe/Madrid) for times shown in the UI and reports; defaults to
+// the server's
+const HOSPITAL_TIME_ZONE =
+  process.env.HOSPITAL_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Best supported locale for an Accept-Language header, e.g. "es-MX,es;q=0.9,en;q=0.5" -> "es"
+function negotiateLocale(header) {
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, idx) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { language: tag.split('-')[0].toLowerCase(), q: q ? Number(q.slice(2)) : 1, idx };
+    })
+    .filter(({ language, q }) => language && q > 0)
+    .sort((a, b) => b.q - a.q || a.idx - b.idx);
+  const match = ranges.find(({ language }) => CATALOGS[language]);
+  return match ? match.language : DEFAULT_LOCALE;
+}
+
+function formatParam(value, locale) {
+  return typeof value === 'number'
+    ? new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 2 }).format(value)
+    : String(value);
+}
+
+// Text for a code with {name} placeholders filled from params; unknown placeholders are kept and
+// an unknown code comes back as itself
+function translate(locale, code, params = {}) {
+  const template = (CATALOGS[locale] || {})[code] || CATALOGS[DEFAULT_LOCALE][code];
+  if (template === undefined) return code;
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] === undefined || params[key] === null ? match : formatParam(params[key], locale)
+  );
+}
+
+// Score result ({ riskCode, reasonCodes, nameCode, ... }) with riskLabel, reasons and a coded name
+// in `locale`. Results stored before codes existed are returned as they are.
+function localizeScore(result, locale) {
+  if (!result || !result.riskCode) return result;
+  return {
+    ...result,
+    ...(result.nameCode && { name: translate(locale, result.nameCode) }),
+    riskLabel: translate(locale, result.riskCode),
+    reasons: (result.reasonCodes || []).map(({ code, params }) => translate(locale, code, params))
+  };
+}
+
+// Plain reading object with its qSOFA, personalised qSOFA and other score texts in `locale`
+function localizeReading(reading, locale) {
+  if (!reading) return reading;
+  const localized = { ...reading };
+  if (reading.qsofaRiskCode) {
+    const qsofa = localizeScore(
+      { riskCode: reading.qsofaRiskCode, reasonCodes: reading.qsofaReasonCodes },
+      locale
+    );
+    localized.qsofaRiskLabel = qsofa.riskLabel;
+    localized.qsofaReasons = qsofa.reasons;
+  }
+  if (reading.scores) localized.scores = reading.scores.map((s) => localizeScore(s, locale));
+  if (reading.personalizedQsofa) {
+    localized.personalizedQsofa = localizeScore(reading.personalizedQsofa, locale);
+  }
+  return localized;
+}
+
+// Plain alert object with its name (type) and explanation in `locale`. Alerts without a code
+// (custom or edited rules) keep the text they were raised with.
+function localizeAlert(alert, locale) {
+  if (!alert || !alert.code) return alert;
+  return {
+    ...alert,
+    type: translate(locale, `${alert.code}.name`),
+    explanation: translate(locale, `${alert.code}.message`, alert.params)
+  };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  HOSPITAL_TIME_ZONE,
+  negotiateLocale,
+  translate,
+  localizeScore,
+  localizeReading,
+  localizeAlert
+};
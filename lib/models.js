@@ -0,0 +1,428 @@
+// Mongoose schemas. Models are bound to a connection by createModels, so the app runs against
+// whichever database it is given.
+const mongoose = require('mongoose');
+const { ALERT_STATUSES } = require('./alerts');
+const { BASELINE_FIELDS } = require('./baselines');
+const { ENCOUNTER_STATUSES, ENCOUNTER_EVENTS } = require('./encounters');
+const { ACTION_STATUSES } = require('./bundles');
+const { OUTCOME_LABELS } = require('./outcomes');
+const notifications = require('./notifications');
+const { ROLES } = require('./auth');
+
+// A message code and its parameters (see lib/i18n.js)
+const messageCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    params: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+);
+
+// riskLabel and reasons are the English text of riskCode and reasonCodes
+const scoreResultSchema = new mongoose.Schema(
+  {
+    scoreId: { type: String, required: true },
+    name: String,
+    // Catalog code for a name other than the score's own, e.g. sofa.name.partial
+    nameCode: String,
+    score: { type: Number, required: true },
+    maxScore: Number,
+    riskLabel: String,
+    reasons: [String],
+    riskCode: String,
+    reasonCodes: [messageCodeSchema],
+    missingInputs: [String],
+    complete: Boolean,
+    // Organ systems a (partial) SOFA was scored from
+    organSystems: { type: [String], default: undefined }
+  },
+  { _id: false }
+);
+
+// The user who made a change; username is kept so history reads without a join
+const actorSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String
+  },
+  { _id: false }
+);
+
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    displayName: String,
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, required: true },
+    active: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+const patientSchema = new mongoose.Schema(
+  {
+    externalId: { type: String, required: true, index: true },
+    name: String,
+    location: String,
+    // Manually entered baseline; without one it is derived from the first readings
+    baseline: {
+      values: Object.fromEntries(BASELINE_FIELDS.map((field) => [field, Number])),
+      note: String,
+      setBy: actorSchema,
+      setAt: Date
+    },
+    // Clinician overrides of the qSOFA cut-offs, used for the personalised score until expiry
+    thresholdOverrides: [
+      {
+        field: { type: String, required: true },
+        value: { type: Number, required: true },
+        reason: { type: String, required: true },
+        expiresAt: { type: Date, required: true },
+        setBy: actorSchema,
+        setAt: { type: Date, default: Date.now }
+      }
+    ],
+    createdBy: actorSchema,
+    updatedBy: actorSchema
+  },
+  { timestamps: true }
+);
+
+patientSchema.index({ location: 1, createdAt: -1, _id: -1 });
+
+// A hospital stay; readings and alerts belong to one so a readmission starts a fresh timeline
+const encounterSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+    status: { type: String, enum: ENCOUNTER_STATUSES, default: 'active', index: true },
+    admittedAt: { type: Date, required: true },
+    dischargedAt: Date,
+    // Current location while active, last location once discharged
+    location: String,
+    locationHistory: [{ _id: false, location: String, from: Date, to: Date }],
+    events: [
+      {
+        _id: false,
+        type: { type: String, required: true, enum: ['admit', ...Object.keys(ENCOUNTER_EVENTS)] },
+        at: { type: Date, required: true },
+        location: String,
+        by: actorSchema,
+        note: String
+      }
+    ],
+    // What happened to the patient, labelled afterwards for screening performance
+    outcome: {
+      label: { type: String, enum: OUTCOME_LABELS },
+      at: Date,
+      note: String,
+      recordedBy: actorSchema,
+      recordedAt: Date
+    }
+  },
+  { timestamps: true }
+);
+
+encounterSchema.index({ patient: 1, admittedAt: -1 });
+
+const readingSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+    encounter: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter', index: true },
+    respiratoryRate: { type: Number, required: true },
+    systolicBP: { type: Number, required: true },
+    mentalStatus: { type: String, required: true },
+    timestamp: { type: Date, required: true },
+    qsofaScore: { type: Number, required: true },
+    qsofaRiskLabel: { type: String, required: true },
+    qsofaReasons: [{ type: String, required: true }],
+    qsofaRiskCode: String,
+    qsofaReasonCodes: [messageCodeSchema],
+    // Optional vitals (units in lib/vitals.js)
+    heartRate: Number,
+    temperature: Number,
+    spo2: Number,
+    supplementalOxygen: Boolean,
+    gcs: Number,
+    // Optional labs; lactate and WBC for screening, the rest for partial SOFA
+    lactate: Number,
+    wbc: Number,
+    pao2Fio2Ratio: Number,
+    platelets: Number,
+    bilirubin: Number,
+    meanArterialPressure: Number,
+    creatinine: Number,
+    // SOFA cardiovascular and respiration support: a band from lib/vitals.js, and ventilation
+    vasopressors: String,
+    respiratorySupport: Boolean,
+    // Results of every enabled score from the scoring engine
+    scores: [scoreResultSchema],
+    // qSOFA with the patient's threshold overrides, only when overrides were active;
+    // the standard qsofaScore above is never personalised
+    personalizedQsofa: {
+      score: Number,
+      riskLabel: String,
+      reasons: [String],
+      riskCode: String,
+      reasonCodes: [messageCodeSchema],
+      thresholds: { respiratoryRate: Number, systolicBP: Number }
+    },
+    recordedBy: actorSchema,
+    // Versioning: amendments and deletions add a new version instead of overwriting.
+    // readingGroup is shared by every version of the same observation.
+    readingGroup: { type: mongoose.Schema.Types.ObjectId, index: true },
+    version: { type: Number, default: 1 },
+    isCurrent: { type: Boolean, default: true },
+    isDeleted: { type: Boolean, default: false },
+    amendment: {
+      reason: String,
+      by: actorSchema,
+      at: Date,
+      previousVersion: { type: mongoose.Schema.Types.ObjectId, ref: 'Reading' }
+    },
+    // Idempotency-Key of the request that created the reading, with a hash of that request, so
+    // a retried submission (e.g. from the offline queue) returns this reading instead of a copy
+    idempotency: { key: String, fingerprint: String },
+    // Borderline-implausible values are stored but flagged for verification
+    needsVerification: { type: Boolean, default: false },
+    verificationFlags: [
+      {
+        _id: false,
+        field: String,
+        code: String,
+        message: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// Patient timelines and summary windows
+readingSchema.index({ patient: 1, isCurrent: 1, timestamp: 1 });
+// Reading list: newest first, optionally by score or mental status (_id breaks cursor ties)
+readingSchema.index({ isCurrent: 1, timestamp: -1, _id: -1 });
+readingSchema.index({ qsofaScore: 1, timestamp: -1, _id: -1 });
+readingSchema.index({ mentalStatus: 1, timestamp: -1, _id: -1 });
+readingSchema.index(
+  { 'idempotency.key': 1 },
+  { unique: true, partialFilterExpression: { 'idempotency.key': { $exists: true } } }
+);
+// At most one current version per observation, even when two amendments race
+readingSchema.index(
+  { readingGroup: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { isCurrent: true, readingGroup: { $exists: true } },
+    name: 'readingGroup_current'
+  }
+);
+
+const alertSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+    reading: { type: mongoose.Schema.Types.ObjectId, ref: 'Reading', required: true },
+    encounter: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter', index: true },
+    // Alert rule that raised it (AlertRule.ruleId)
+    ruleId: { type: String, index: true },
+    // How the reading's vitals compare with the patient's baseline when it was raised
+    baselineDeviation: [
+      {
+        _id: false,
+        field: String,
+        value: Number,
+        baseline: Number,
+        change: Number,
+        percent: Number
+      }
+    ],
+    // Copied from the patient when raised so the ward queue can filter without a join
+    location: { type: String, index: true },
+    type: { type: String, required: true },
+    level: { type: String, required: true },
+    timestamp: { type: Date, required: true },
+    explanation: { type: String, required: true },
+    // Message code and template values for built-in rules, so the text can be shown in other
+    // languages; absent for custom or edited rules
+    code: String,
+    params: mongoose.Schema.Types.Mixed,
+    status: { type: String, enum: ALERT_STATUSES, default: 'open', index: true },
+    escalationLevel: { type: Number, default: 0 },
+    // Notification route handling this alert, the chain step last notified and when the next
+    // contact is due if the alert is still open
+    notification: {
+      route: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationRoute' },
+      step: Number,
+      nextEscalationAt: { type: Date, index: true }
+    },
+    // Every transition with who made it and why
+    history: [
+      {
+        _id: false,
+        action: { type: String, required: true },
+        from: String,
+        to: { type: String, required: true },
+        user: String,
+        note: String,
+        at: { type: Date, required: true }
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// Sepsis bundle: timed response actions after a triggering alert (see lib/bundles.js)
+const sepsisBundleSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+    encounter: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter', index: true },
+    alert: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', required: true },
+    ruleId: String,
+    // Copied from the alert so ward compliance can group without a join
+    location: { type: String, index: true },
+    status: { type: String, enum: ['open', 'closed'], default: 'open', index: true },
+    startedAt: { type: Date, required: true },
+    closedAt: Date,
+    actions: [
+      {
+        _id: false,
+        actionId: { type: String, required: true },
+        label: String,
+        dueAt: { type: Date, required: true },
+        status: { type: String, enum: ['pending', ...ACTION_STATUSES], default: 'pending' },
+        at: Date,
+        by: actorSchema,
+        note: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// One open bundle per stay: further triggering alerts while it is open do not start another
+sepsisBundleSchema.index(
+  { encounter: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Declarative alert rules evaluated for every stored reading (see lib/rules.js)
+const alertRuleSchema = new mongoose.Schema(
+  {
+    ruleId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    description: String,
+    level: { type: String, required: true },
+    priority: { type: Number, default: 100 },
+    enabled: { type: Boolean, default: true },
+    condition: { type: mongoose.Schema.Types.Mixed, required: true },
+    message: String,
+    createdBy: actorSchema,
+    updatedBy: actorSchema
+  },
+  { timestamps: true }
+);
+
+// Who to notify about alerts at a location; chain[0] is notified first, later contacts only
+// when the alert stays unacknowledged. location "*" applies where no specific route exists.
+const notificationRouteSchema = new mongoose.Schema(
+  {
+    location: { type: String, required: true, unique: true, trim: true },
+    levels: { type: [String], default: ['high'] },
+    enabled: { type: Boolean, default: true },
+    chain: [
+      {
+        _id: false,
+        name: String,
+        channel: { type: String, enum: notifications.CHANNELS, required: true },
+        target: { type: String, required: true },
+        escalateAfterMinutes: Number
+      }
+    ],
+    createdBy: actorSchema,
+    updatedBy: actorSchema
+  },
+  { timestamps: true }
+);
+
+// One message to one contact, with every attempt; pending deliveries are retried by the worker
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    alert: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', required: true, index: true },
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+    route: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationRoute' },
+    step: { type: Number, required: true },
+    contact: {
+      name: String,
+      channel: { type: String, required: true },
+      target: { type: String, required: true }
+    },
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending', index: true },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+    sentAt: Date,
+    lastError: String,
+    response: String,
+    attemptLog: [
+      {
+        _id: false,
+        at: { type: Date, required: true },
+        ok: { type: Boolean, required: true },
+        detail: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// Append-only audit trail; updates and deletes are refused at the model level
+const auditLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now, index: true },
+  actor: actorSchema,
+  action: { type: String, required: true, index: true },
+  entityType: { type: String, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', index: true },
+  reason: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+});
+
+auditLogSchema.pre('save', function rejectAuditRewrite(next) {
+  next(this.isNew ? undefined : new Error('Audit log entries are immutable.'));
+});
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((op) => {
+  auditLogSchema.pre(op, function rejectAuditChange(next) {
+    next(new Error('Audit log entries are immutable.'));
+  });
+});
+
+const SCHEMAS = {
+  User: userSchema,
+  Patient: patientSchema,
+  Encounter: encounterSchema,
+  Reading: readingSchema,
+  Alert: alertSchema,
+  SepsisBundle: sepsisBundleSchema,
+  AlertRule: alertRuleSchema,
+  NotificationRoute: notificationRouteSchema,
+  NotificationDelivery: notificationDeliverySchema,
+  AuditLog: auditLogSchema
+};
+
+// Models on db (a mongoose connection); calling it again for the same connection reuses them
+function createModels(db) {
+  const models = {};
+  Object.entries(SCHEMAS).forEach(([name, schema]) => {
+    models[name] = db.models[name] || db.model(name, schema);
+  });
+  return models;
+}
+
+module.exports = { createModels };
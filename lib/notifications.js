@@ -0,0 +1,145 @@
+// Outbound notifications for alerts: email over SMTP and signed HTTP webhooks.
+// lib/workers/notifications.js decides who to notify (routing rules and escalation); this module
+// formats and sends one message to one contact and works out retry timing.
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const CHANNELS = ['email', 'webhook'];
+
+// Delivery attempts before a notification is marked failed, and the first retry delay
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+let warnedUnsigned = false;
+
+let transport;
+function mailTransport() {
+  if (!process.env.SMTP_URL) throw new Error('SMTP_URL is not configured.');
+  if (!transport) transport = nodemailer.createTransport(process.env.SMTP_URL);
+  return transport;
+}
+
+// Exponential backoff: 1, 2, 4, 8... minutes after each failed attempt
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays and tampering
+function signWebhook(body, timestamp, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Message content for an alert; step is the escalation step (0 for the first contact)
+function buildMessage({ alert, patient, step }) {
+  const who = patient.name ? `${patient.name} (${patient.externalId})` : patient.externalId;
+  const where = patient.location ? ` at ${patient.location}` : '';
+  const escalated = step > 0 ? ` [escalation ${step}: not acknowledged]` : '';
+  const subject = `[Sepsis screen] ${alert.type} - ${who}${escalated}`;
+  const text = [
+    `${alert.type} (${alert.level}) for ${who}${where}.`,
+    alert.explanation,
+    `Raised at ${new Date(alert.timestamp).toISOString()}.`,
+    step > 0 ? `This alert has not been acknowledged; escalation step ${step}.` : '',
+    'Screening only - not a diagnosis. Acknowledge the alert in the dashboard.'
+  ]
+    .filter(Boolean)
+    .join('\n');
+  const payload = {
+    event: step > 0 ? 'alert.escalated' : 'alert.raised',
+    step,
+    alert: {
+      id: String(alert._id),
+      ruleId: alert.ruleId,
+      type: alert.type,
+      level: alert.level,
+      status: alert.status,
+      timestamp: alert.timestamp,
+      explanation: alert.explanation
+    },
+    patient: { externalId: patient.externalId, name: patient.name, location: patient.location }
+  };
+  return { subject, text, payload };
+}
+
+async function sendEmail(target, { subject, text }) {
+  const from = process.env.NOTIFY_FROM || 'sepsis-screen@localhost';
+  const info = await mailTransport().sendMail({ from, to: target, subject, text });
+  return `smtp ${info.messageId || 'accepted'}`;
+}
+
+async function sendWebhook(target, { payload }) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const headers = { 'Content-Type': 'application/json', 'X-Sepsis-Timestamp': timestamp };
+  if (WEBHOOK_SECRET) {
+    headers['X-Sepsis-Signature'] = `sha256=${signWebhook(body, timestamp)}`;
+  } else if (!warnedUnsigned) {
+    warnedUnsigned = true;
+    console.warn('WEBHOOK_SECRET is not set; webhook notifications are sent unsigned.');
+  }
+
+  const res = await fetch(target, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+  return `http ${res.status}`;
+}
+
+// Sends one message; resolves to a short response description or throws
+function deliver(contact, message) {
+  if (contact.channel === 'email') return sendEmail(contact.target, message);
+  if (contact.channel === 'webhook') return sendWebhook(contact.target, message);
+  return Promise.reject(new Error(`Unknown channel ${contact.channel}`));
+}
+
+// Returns a list of problems with a routing rule (empty when valid)
+function validateRoute(route) {
+  const errors = [];
+  const r = route || {};
+  if (typeof r.location !== 'string' || !r.location.trim()) {
+    errors.push('location is required ("*" matches every location).');
+  }
+  if (r.levels !== undefined) {
+    if (!Array.isArray(r.levels) || !r.levels.every((l) => l === 'warning' || l === 'high')) {
+      errors.push('levels must be a list of "warning" and/or "high".');
+    }
+  }
+  if (!Array.isArray(r.chain) || !r.chain.length) {
+    errors.push('chain must list at least one contact.');
+    return errors;
+  }
+  r.chain.forEach((contact, idx) => {
+    const at = `chain[${idx}]`;
+    if (!contact || !CHANNELS.includes(contact.channel)) {
+      errors.push(`${at}.channel must be one of: ${CHANNELS.join(', ')}.`);
+      return;
+    }
+    if (contact.channel === 'email' && !/^[^\s@]+@[^\s@]+$/.test(contact.target || '')) {
+      errors.push(`${at}.target must be an email address.`);
+    }
+    if (contact.channel === 'webhook' && !/^https?:\/\/\S+$/.test(contact.target || '')) {
+      errors.push(`${at}.target must be an http(s) URL.`);
+    }
+    // Minutes to wait for an acknowledgement before moving on to the next contact
+    const minutes = contact.escalateAfterMinutes;
+    if (minutes !== undefined && !(Number.isFinite(minutes) && minutes > 0)) {
+      errors.push(`${at}.escalateAfterMinutes must be a positive number.`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  CHANNELS,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  signWebhook,
+  buildMessage,
+  deliver,
+  validateRoute
+};
@@ -0,0 +1,158 @@
+// Outcome labels and screening performance.
+// An encounter can be labelled with what happened to the patient (confirmed sepsis, ICU transfer
+// or none). Performance replays each labelled stay's stored readings through calculateQSOFA and
+// the alert rules and compares who was flagged, and how early, with the labels.
+const { validateReading } = require('./validation');
+const { calculateQSOFA, getScore } = require('./scoring');
+const { replayAlerts } = require('./simulator');
+
+const OUTCOME_LABELS = ['confirmed-sepsis', 'icu-transfer', 'none'];
+// Labels counted as a positive outcome unless the caller chooses others
+const DEFAULT_POSITIVE_LABELS = ['confirmed-sepsis', 'icu-transfer'];
+// qSOFA score cut-offs evaluated by default
+const DEFAULT_CUTOFFS = [1, 2, 3];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOME_SCHEMA = {
+  label: { type: 'enum', required: true, label: 'Outcome', options: OUTCOME_LABELS },
+  at: { type: 'date', required: false, label: 'Outcome time' },
+  note: { type: 'string', required: false, label: 'Note', maxLength: 500 }
+};
+
+// Validates { label, at?, note? }; every label except "none" needs the time it happened
+function validateOutcome(body) {
+  const { value, errors, flags } = validateReading(body || {}, OUTCOME_SCHEMA);
+  if (value.label && value.label !== 'none' && !value.at && !errors.some((e) => e.field === 'at')) {
+    errors.push({ field: 'at', code: 'required', message: 'Outcome time is required.' });
+  }
+  return { value, errors: [...errors, ...flags] };
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function newRow(row) {
+  return { ...row, tp: 0, fp: 0, fn: 0, tn: 0, alerts: 0, leadTimes: [] };
+}
+
+// Adds one stay to a row. flags: timestamps the screen would have alerted at, oldest first.
+// A positive stay counts as detected only if a flag came at or before the outcome.
+function tally(row, flags, { positive, outcomeAt }) {
+  row.alerts += flags.length;
+  if (!positive) {
+    if (flags.length) row.fp += 1;
+    else row.tn += 1;
+    return;
+  }
+  const first = flags.find((at) => at <= outcomeAt);
+  if (!first) {
+    row.fn += 1;
+    return;
+  }
+  row.tp += 1;
+  row.leadTimes.push(Math.round((outcomeAt - first) / 60000));
+}
+
+function summarise({ tp, fp, fn, tn, alerts, leadTimes, ...row }, patientDays) {
+  return {
+    ...row,
+    truePositives: tp,
+    falsePositives: fp,
+    falseNegatives: fn,
+    trueNegatives: tn,
+    sensitivity: ratio(tp, tp + fn),
+    specificity: ratio(tn, tn + fp),
+    ppv: ratio(tp, tp + fp),
+    alerts,
+    alertsPerPatientDay: ratio(alerts, patientDays),
+    leadTimeMinutes: leadTimes.length
+      ? { median: median(leadTimes), min: Math.min(...leadTimes), max: Math.max(...leadTimes) }
+      : null
+  };
+}
+
+// Sensitivity, specificity, PPV, alert burden and lead time for each qSOFA cut-off, each alert
+// rule on its own and the enabled rules together.
+// stays: [{ encounter, patient, readings }] with an outcome label and current readings oldest
+// first. criteria: qSOFA respiratoryRate/systolicBP cut-offs to rescore with (defaults if empty).
+// A qSOFA cut-off alerts on every reading at or above it, as the default high-risk rule does.
+function evaluatePerformance(
+  stays,
+  rules,
+  { cutoffs = DEFAULT_CUTOFFS, criteria = {}, positiveLabels = DEFAULT_POSITIVE_LABELS, now } = {}
+) {
+  const end = now || new Date();
+  const qsofaRows = cutoffs.map((cutoff) =>
+    newRow({ kind: 'qsofa', id: `qsofa>=${cutoff}`, name: `qSOFA ≥ ${cutoff}`, cutoff })
+  );
+  const ruleRows = rules.map((rule) =>
+    newRow({
+      kind: 'rule',
+      id: rule.ruleId,
+      name: rule.name,
+      level: rule.level,
+      enabled: rule.enabled !== false
+    })
+  );
+  const anyRow = newRow({ kind: 'enabled-rules', id: 'enabled-rules', name: 'Any enabled rule' });
+  const enabledIds = new Set(rules.filter((r) => r.enabled !== false).map((r) => r.ruleId));
+  let positives = 0;
+  let patientDays = 0;
+
+  stays.forEach(({ encounter, patient, readings }) => {
+    const stayEnd = new Date(encounter.dischargedAt || end);
+    patientDays += Math.max(0, stayEnd - new Date(encounter.admittedAt)) / DAY_MS;
+    const positive = positiveLabels.includes(encounter.outcome.label);
+    if (positive) positives += 1;
+    const context = { positive, outcomeAt: new Date(encounter.outcome.at || stayEnd) };
+
+    const rescored = readings.map((reading) => ({
+      ...reading,
+      qsofaScore: calculateQSOFA(reading, criteria).score
+    }));
+    qsofaRows.forEach((row) => {
+      const flags = rescored
+        .filter((r) => r.qsofaScore >= row.cutoff)
+        .map((r) => new Date(r.timestamp));
+      tally(row, flags, context);
+    });
+
+    // Every rule is replayed, disabled ones included, so candidates can be judged before use
+    const alerts = replayAlerts(
+      rescored,
+      rules.map((rule) => ({ ...rule, enabled: true })),
+      { patient }
+    ).filter((alert) => alert.readingIndex !== undefined);
+    const flagsFor = (ruleIds) =>
+      alerts.filter((a) => ruleIds.has(a.ruleId)).map((a) => new Date(a.timestamp));
+    ruleRows.forEach((row) => tally(row, flagsFor(new Set([row.id])), context));
+    tally(anyRow, flagsFor(enabledIds), context);
+  });
+
+  const days = Math.round(patientDays * 100) / 100;
+  return {
+    stays: stays.length,
+    positives,
+    negatives: stays.length - positives,
+    patientDays: days,
+    positiveLabels,
+    criteria: { ...getScore('qsofa').thresholds, ...criteria },
+    rows: [...qsofaRows, anyRow, ...ruleRows].map((row) => summarise(row, patientDays))
+  };
+}
+
+module.exports = {
+  OUTCOME_LABELS,
+  DEFAULT_POSITIVE_LABELS,
+  DEFAULT_CUTOFFS,
+  validateOutcome,
+  evaluatePerformance
+};
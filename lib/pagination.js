@@ -0,0 +1,131 @@
+// Cursor-based (keyset) pagination and shared list-query parsing for the list endpoints.
+// A cursor encodes the sort value and _id of the last item on the page, so pages stay stable
+// while new readings arrive. findPage runs a page as a MongoDB query and slicePage takes the same
+// page from an array (the two storage backends in lib/storage/).
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString('base64url');
+}
+
+function decodeCursor(cursor, type) {
+  try {
+    const [raw, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    const value = type === 'date' ? new Date(raw) : raw;
+    if (type === 'date' && Number.isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Query values that go into a filter must each be one string: ?a=1&a=2 parses as an array and
+// ?a[$ne]=1 as an object, which Mongoose would run as an operator query. Returns an error
+// message for the first of `names` that is not, or null.
+function queryStringError(query, names) {
+  const bad = names.find((name) => query[name] !== undefined && typeof query[name] !== 'string');
+  return bad ? `${bad} must be given once, as text.` : null;
+}
+
+// ?from=&to= -> { range: { from?, to? } | undefined, error }; both ends are inclusive
+function parseDateRange(query) {
+  const error = queryStringError(query, ['from', 'to']);
+  if (error) return { error };
+  if (!query.from && !query.to) return { range: undefined };
+  const range = {};
+  if (query.from) range.from = new Date(query.from);
+  if (query.to) range.to = new Date(query.to);
+  if (Object.values(range).some((d) => Number.isNaN(d.getTime()))) {
+    return { error: 'from and to must be valid dates.' };
+  }
+  return { range };
+}
+
+// ?limit=&sort=&order=&cursor= against sortFields ({ field: 'date' | 'number' | 'string' }).
+// Returns { limit, sortField, direction, after } or { error }.
+function parseListQuery(query, sortFields, defaultSort) {
+  const error = queryStringError(query, ['limit', 'sort', 'order', 'cursor']);
+  if (error) return { error };
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}.` };
+  }
+  const sortField = query.sort || defaultSort;
+  if (!Object.hasOwn(sortFields, sortField)) {
+    return { error: `sort must be one of: ${Object.keys(sortFields).join(', ')}.` };
+  }
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc.' };
+  }
+  let after;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, sortFields[sortField]);
+    if (!after) return { error: 'cursor is invalid.' };
+  }
+  return { limit, sortField, direction: order === 'asc' ? 1 : -1, after };
+}
+
+// Runs a keyset-paginated find. Returns { items, nextCursor } (nextCursor null on the last page).
+async function findPage(Model, filter, { limit, sortField, direction, after }, populate) {
+  const conditions = [filter];
+  if (after) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { [sortField]: { [op]: after.value } },
+        { [sortField]: after.value, _id: { [op]: after.id } }
+      ]
+    });
+  }
+  let query = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1);
+  if (populate) query = query.populate(...populate);
+  const docs = await query.lean();
+
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = docs.length > limit ? encodeCursor(last[sortField], last._id) : null;
+  return { items, nextCursor };
+}
+
+// Sort order of two field values as MongoDB sorts them: missing values first, dates by time and
+// ids by their hex string
+function compareValues(a, b) {
+  if (a == null || b == null) return (a != null) - (b != null);
+  const [x, y] = [a, b].map((value) =>
+    value instanceof mongoose.Types.ObjectId ? String(value) : value
+  );
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+}
+
+// The page of findPage() from docs, an array already filtered; returns { items, nextCursor }
+function slicePage(docs, { limit, sortField, direction, after }) {
+  const order = (a, b) =>
+    direction * (compareValues(a[sortField], b[sortField]) || compareValues(a._id, b._id));
+  const sorted = docs
+    .filter((doc) => !after || order(doc, { [sortField]: after.value, _id: after.id }) > 0)
+    .sort(order);
+
+  const items = sorted.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = sorted.length > limit ? encodeCursor(last[sortField], last._id) : null;
+  return { items, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryStringError,
+  parseDateRange,
+  parseListQuery,
+  findPage,
+  compareValues,
+  slicePage
+};
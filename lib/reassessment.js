@@ -0,0 +1,98 @@
+// Reassessment scheduling (screening only)
+// Policy: every 4 h at qSOFA 0, every 1 h at qSOFA 1, every 15 min at qSOFA 2 or more.
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const REASSESSMENT_MINUTES = [
+  { minScore: 2, minutes: 15 },
+  { minScore: 1, minutes: 60 },
+  { minScore: 0, minutes: 240 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+function intervalMinutes(qsofaScore) {
+  const rule = REASSESSMENT_MINUTES.find((r) => qsofaScore >= r.minScore);
+  return rule ? rule.minutes : REASSESSMENT_MINUTES[REASSESSMENT_MINUTES.length - 1].minutes;
+}
+
+function nextDueAt(reading) {
+  const start = new Date(reading.timestamp).getTime();
+  return new Date(start + intervalMinutes(reading.qsofaScore) * MINUTE_MS);
+}
+
+// Schedule for the patient's latest reading at time `now`
+function reassessmentStatus(latest, now = new Date()) {
+  const dueAt = nextDueAt(latest);
+  const overdueMinutes = Math.floor((now.getTime() - dueAt.getTime()) / MINUTE_MS);
+  return {
+    intervalMinutes: intervalMinutes(latest.qsofaScore),
+    nextDueAt: dueAt,
+    overdue: overdueMinutes > 0,
+    overdueMinutes: Math.max(0, overdueMinutes)
+  };
+}
+
+// Rule id, message code and English text of an observation alert
+function observationAlert(ruleId, params) {
+  const code = `alerts.${ruleId}`;
+  return {
+    ruleId,
+    type: translate(DEFAULT_LOCALE, `${code}.name`),
+    explanation: translate(DEFAULT_LOCALE, `${code}.message`, params),
+    code,
+    params
+  };
+}
+
+// Alerts for gaps between consecutive readings that exceeded the interval (missed) and for the
+// latest reading if its reassessment is now past due (overdue). Readings sorted by timestamp.
+// These follow the reassessment policy rather than the configurable rules, so their ruleIds
+// are fixed.
+function deriveObservationAlerts(readings, now = new Date()) {
+  const alerts = [];
+
+  for (let i = 1; i < readings.length; i++) {
+    const prev = readings[i - 1];
+    const curr = readings[i];
+    const dueAt = nextDueAt(prev);
+    if (new Date(curr.timestamp) > dueAt) {
+      const lateMinutes = Math.round((new Date(curr.timestamp) - dueAt) / MINUTE_MS);
+      const interval = intervalMinutes(prev.qsofaScore);
+      alerts.push({
+        ...observationAlert('observation-missed', {
+          interval,
+          score: prev.qsofaScore,
+          lateMinutes
+        }),
+        level: 'warning',
+        timestamp: dueAt
+      });
+    }
+  }
+
+  if (readings.length) {
+    const latest = readings[readings.length - 1];
+    const status = reassessmentStatus(latest, now);
+    if (status.overdue) {
+      alerts.push({
+        ...observationAlert('observation-overdue', {
+          overdueMinutes: status.overdueMinutes,
+          interval: status.intervalMinutes,
+          score: latest.qsofaScore
+        }),
+        level: latest.qsofaScore >= 2 ? 'high' : 'warning',
+        timestamp: status.nextDueAt
+      });
+    }
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  REASSESSMENT_MINUTES,
+  intervalMinutes,
+  nextDueAt,
+  reassessmentStatus,
+  deriveObservationAlerts
+};
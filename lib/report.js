@@ -0,0 +1,335 @@
+// Handover report for one patient stay, as a self-contained HTML page or a PDF.
+// Both are built from the /summary data and drawn on the server: charts are inline SVG or PDF
+// vector paths and the PDF uses the built-in fonts, so nothing is fetched from the network.
+const PDFDocument = require('pdfkit');
+
+const TITLE = 'Sepsis Screening Handover Report';
+const DISCLAIMER = [
+  'This software does not provide medical diagnosis or treatment recommendations.',
+  'Screening only: outputs come from rule-based qSOFA logic to support situational awareness. ' +
+    'Clinical teams must rely on full clinical assessment, local guidelines and senior judgement.'
+];
+
+// Panels drawn like the dashboard's vitals chart: same colours, readings evenly spaced
+const CHART_PANELS = [
+  { key: 'respiratoryRate', label: 'Respiratory rate (/min)', color: '#1769ff' },
+  { key: 'systolicBP', label: 'Systolic BP (mmHg)', color: '#2e7d32' },
+  {
+    key: 'qsofaScore',
+    label: 'qSOFA screening score',
+    color: '#e53935',
+    fillOpacity: 0.15,
+    min: 0,
+    max: 3,
+    stepped: true
+  }
+];
+
+const READING_COLUMNS = [
+  { label: 'Time', width: 110, value: (r, time) => time(r.timestamp) },
+  { label: 'RR', width: 32, value: (r) => r.respiratoryRate },
+  { label: 'SBP', width: 34, value: (r) => r.systolicBP },
+  { label: 'Mental status', width: 80, value: (r) => r.mentalStatus },
+  { label: 'HR', width: 32, value: (r) => r.heartRate },
+  { label: 'Temp', width: 36, value: (r) => r.temperature },
+  { label: 'SpO2', width: 36, value: (r) => r.spo2 },
+  { label: 'qSOFA', width: 40, value: (r) => r.qsofaScore },
+  { label: 'Interpretation', width: 115, value: (r) => r.qsofaRiskLabel }
+];
+
+const ALERT_COLUMNS = [
+  { label: 'Time', width: 110, value: (a, time) => time(a.timestamp) },
+  { label: 'Alert', width: 120, value: (a) => `${a.type} (${a.level})` },
+  { label: 'Status', width: 65, value: (a) => a.status || 'derived' },
+  { label: 'Explanation', width: 220, value: (a) => a.explanation }
+];
+
+function timeFormatter(timeZone) {
+  const format = new Intl.DateTimeFormat('en-GB', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone
+  });
+  return (ts) => (ts ? format.format(new Date(ts)) : '');
+}
+
+function cell(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Points of one panel inside a width x height box; the y range pads the data unless fixed
+function panelGeometry(readings, panel, width, height) {
+  const values = readings.map((r) => r[panel.key]).filter((v) => typeof v === 'number');
+  let min = panel.min;
+  let max = panel.max;
+  if (min === undefined) {
+    min = values.length ? Math.floor(Math.min(...values) * 0.9) : 0;
+    max = values.length ? Math.ceil(Math.max(...values) * 1.1) : 1;
+  }
+  if (max === min) max = min + 1;
+  const step = readings.length > 1 ? width / (readings.length - 1) : 0;
+  const points = [];
+  readings.forEach((r, idx) => {
+    if (typeof r[panel.key] !== 'number') return;
+    const x = readings.length > 1 ? idx * step : width / 2;
+    points.push([x, height - ((r[panel.key] - min) / (max - min)) * height]);
+  });
+  // A stepped line holds each value until the next reading
+  const line = panel.stepped
+    ? points.flatMap((p, idx) => (idx ? [[p[0], points[idx - 1][1]], p] : [p]))
+    : points;
+  return { min, max, line };
+}
+
+function escapeHtml(value) {
+  return cell(value).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])
+  );
+}
+
+function patientLines(summary, time) {
+  const { patient, encounter, overall } = summary;
+  const lines = [
+    ['Patient', patient.name ? `${patient.externalId} (${patient.name})` : patient.externalId],
+    ['Location', (encounter && encounter.location) || patient.location || 'Not recorded']
+  ];
+  if (encounter) {
+    const until =
+      encounter.status === 'active' ? 'current stay' : `discharged ${time(encounter.dischargedAt)}`;
+    lines.push(['Stay', `Admitted ${time(encounter.admittedAt)}, ${until}`]);
+  }
+  if (overall) {
+    lines.push(['Latest qSOFA', `${overall.latestQSOFA} - ${overall.latestRiskLabel}`]);
+    const { reassessment } = overall;
+    if (reassessment && reassessment.nextDueAt) {
+      const due = reassessment.overdue ? 'overdue since' : 'due';
+      lines.push(['Next reassessment', `${due} ${time(reassessment.nextDueAt)}`]);
+    }
+  }
+  if (patient.baseline) {
+    const values = Object.entries(patient.baseline.values).map(([k, v]) => `${k} ${v}`);
+    lines.push([`Baseline (${patient.baseline.source})`, values.join(', ')]);
+  }
+  return lines;
+}
+
+function svgChart(readings, panel) {
+  const [width, height, left, top] = [640, 90, 40, 20];
+  const { min, max, line } = panelGeometry(readings, panel, width, height);
+  const path = line
+    .map(([x, y], idx) => `${idx ? 'L' : 'M'}${(x + left).toFixed(1)},${(y + top).toFixed(1)}`)
+    .join(' ');
+  const area =
+    panel.fillOpacity && line.length
+      ? `<path d="${path} L${line[line.length - 1][0] + left},${height + top} L${
+          line[0][0] + left
+        },${height + top} Z" fill="${panel.color}" fill-opacity="${panel.fillOpacity}"/>`
+      : '';
+  return `<svg viewBox="0 0 ${width + left + 10} ${height + top + 10}" role="img" aria-label="${
+    panel.label
+  }">
+<text x="0" y="12" class="chart-label">${escapeHtml(panel.label)}</text>
+<text x="${left - 6}" y="${top + 4}" class="tick">${max}</text>
+<text x="${left - 6}" y="${top + height}" class="tick">${min}</text>
+<rect x="${left}" y="${top}" width="${width}" height="${height}" class="plot"/>
+${area}<path d="${path}" fill="none" stroke="${panel.color}" stroke-width="2"/>
+${line
+  .filter((p, idx) => !panel.stepped || idx % 2 === 0)
+  .map(([x, y]) => `<circle cx="${x + left}" cy="${y + top}" r="2.5" fill="${panel.color}"/>`)
+  .join('')}
+</svg>`;
+}
+
+function htmlTable(columns, rows, time) {
+  const head = columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join('');
+  const body = rows
+    .map((row) => columns.map((c) => `<td>${escapeHtml(c.value(row, time))}</td>`).join(''))
+    .map((cells) => `<tr>${cells}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// summary: the /summary response; options: { generatedAt, generatedBy, timeZone }
+function renderHtml(summary, { generatedAt = new Date(), generatedBy, timeZone } = {}) {
+  const time = timeFormatter(timeZone);
+  const details = patientLines(summary, time)
+    .map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join('\n');
+  const charts = summary.readings.length
+    ? CHART_PANELS.map((panel) => svgChart(summary.readings, panel)).join('\n')
+    : '<p>No readings recorded for this stay.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${TITLE} - ${escapeHtml(summary.patient.externalId)}</title>
+<style>
+body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1f2a44; margin: 2rem; }
+h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+h2 { font-size: 1.05rem; margin-top: 1.5rem; border-bottom: 1px solid #e1e5f0; }
+.meta, .tick { color: #6b7b93; font-size: 0.8rem; }
+.tick { text-anchor: end; font-size: 10px; }
+.chart-label { font-size: 11px; fill: #1f2a44; }
+.plot { fill: none; stroke: #e1e5f0; }
+svg { display: block; width: 100%; max-width: 700px; margin-bottom: 0.5rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }
+th, td { text-align: left; padding: 0.25rem 0.4rem; border-bottom: 1px solid #e1e5f0; vertical-align: top; }
+th { color: #6b7b93; font-weight: 500; }
+.disclaimer { margin-top: 2rem; padding: 0.75rem; border: 1px solid #c62828; font-size: 0.85rem; }
+@media print { body { margin: 1cm; } tr, svg { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${TITLE}</h1>
+<p class="meta">Generated ${escapeHtml(time(generatedAt))}${
+    generatedBy ? ` by ${escapeHtml(generatedBy)}` : ''
+  }</p>
+<p class="disclaimer"><strong>${DISCLAIMER[0]}</strong> ${DISCLAIMER[1]}</p>
+<h2>Patient</h2>
+<table>${details}</table>
+<h2>Trends</h2>
+${charts}
+<h2>Readings (${summary.readings.length})</h2>
+${htmlTable(READING_COLUMNS, summary.readings, time)}
+<h2>Alerts (${summary.alerts.length})</h2>
+${summary.alerts.length ? htmlTable(ALERT_COLUMNS, summary.alerts, time) : '<p>No alerts.</p>'}
+<p class="disclaimer"><strong>${DISCLAIMER[0]}</strong> ${DISCLAIMER[1]}</p>
+</body>
+</html>
+`;
+}
+
+// The built-in PDF fonts only cover Latin-1, so spell out the comparison signs
+function pdfText(value) {
+  return cell(value).replace(/≥/g, '>=').replace(/≤/g, '<=');
+}
+
+// Table rows with a header repeated after each page break
+function pdfTable(doc, columns, rows, time) {
+  const { left } = doc.page.margins;
+  const header = columns.map((c) => c.label);
+  const drawRow = (values, font) => {
+    doc.font(font).fontSize(8);
+    const heights = values.map((v, idx) =>
+      doc.heightOfString(v, { width: columns[idx].width - 4 })
+    );
+    const height = Math.max(...heights) + 4;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (values !== header) drawRow(header, 'Helvetica-Bold');
+      doc.font(font).fontSize(8);
+    }
+    const y = doc.y;
+    let x = left;
+    values.forEach((v, idx) => {
+      doc.text(v, x + 2, y + 2, { width: columns[idx].width - 4 });
+      x += columns[idx].width;
+    });
+    doc
+      .moveTo(left, y + height)
+      .lineTo(x, y + height)
+      .strokeColor('#e1e5f0')
+      .lineWidth(0.5)
+      .stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(header, 'Helvetica-Bold');
+  rows.forEach((row) => {
+    const values = columns.map((c) => pdfText(c.value(row, time)));
+    drawRow(values, 'Helvetica');
+  });
+  doc.moveDown();
+}
+
+function pdfChart(doc, readings, panel) {
+  const [width, height, left] = [460, 70, doc.page.margins.left + 30];
+  if (doc.y + height + 30 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  doc.font('Helvetica').fontSize(9).fillColor('#1f2a44').text(panel.label, doc.page.margins.left);
+  const top = doc.y + 4;
+  const { min, max, line } = panelGeometry(readings, panel, width, height);
+
+  doc.fontSize(7).fillColor('#6b7b93');
+  doc.text(String(max), doc.page.margins.left, top - 3, { width: 25, align: 'right' });
+  doc.text(String(min), doc.page.margins.left, top + height - 6, { width: 25, align: 'right' });
+  doc.rect(left, top, width, height).lineWidth(0.5).strokeColor('#e1e5f0').stroke();
+  if (line.length) {
+    const trace = () => {
+      doc.moveTo(line[0][0] + left, line[0][1] + top);
+      line.slice(1).forEach(([x, y]) => doc.lineTo(x + left, y + top));
+    };
+    if (panel.fillOpacity) {
+      trace();
+      doc
+        .lineTo(line[line.length - 1][0] + left, top + height)
+        .lineTo(line[0][0] + left, top + height)
+        .closePath()
+        .fillOpacity(panel.fillOpacity)
+        .fill(panel.color)
+        .fillOpacity(1);
+    }
+    trace();
+    doc.lineWidth(1.5).strokeColor(panel.color).stroke();
+  }
+  doc.fillColor('#1f2a44');
+  doc.x = doc.page.margins.left;
+  doc.y = top + height + 10;
+}
+
+function pdfDisclaimer(doc) {
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#c62828').text(DISCLAIMER[0]);
+  doc.font('Helvetica').fillColor('#1f2a44').text(DISCLAIMER[1]);
+  doc.moveDown();
+}
+
+// Writes the PDF to `stream` (e.g. the response); same options as renderHtml
+function renderPdf(summary, stream, { generatedAt = new Date(), generatedBy, timeZone } = {}) {
+  const time = timeFormatter(timeZone);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    info: { Title: `${TITLE} - ${summary.patient.externalId}` }
+  });
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(TITLE);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor('#6b7b93')
+    .text(`Generated ${time(generatedAt)}${generatedBy ? ` by ${generatedBy}` : ''}`);
+  doc.fillColor('#1f2a44');
+  pdfDisclaimer(doc);
+
+  const heading = (text) => {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(text, doc.page.margins.left);
+    doc.moveDown(0.3);
+  };
+  heading('Patient');
+  patientLines(summary, time).forEach(([k, v]) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(`${k}: `, { continued: true });
+    doc.font('Helvetica').text(pdfText(v));
+  });
+
+  heading('Trends');
+  if (summary.readings.length) {
+    CHART_PANELS.forEach((panel) => pdfChart(doc, summary.readings, panel));
+  } else {
+    doc.font('Helvetica').fontSize(9).text('No readings recorded for this stay.');
+  }
+
+  heading(`Readings (${summary.readings.length})`);
+  pdfTable(doc, READING_COLUMNS, summary.readings, time);
+  heading(`Alerts (${summary.alerts.length})`);
+  if (summary.alerts.length) pdfTable(doc, ALERT_COLUMNS, summary.alerts, time);
+  else doc.font('Helvetica').fontSize(9).text('No alerts.');
+
+  pdfDisclaimer(doc);
+  doc.end();
+}
+
+module.exports = { renderHtml, renderPdf, timeFormatter };
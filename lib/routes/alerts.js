@@ -0,0 +1,88 @@
+// Ward-wide alert queue and the alert lifecycle
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  ALERT_STATUSES,
+  ALERT_ACTIONS,
+  applyAlertAction,
+  alertActionChanges
+} = require('../alerts');
+const events = require('../events');
+const { queryStringError } = require('../pagination');
+const { canRecord, actorFrom } = require('../auth');
+const { alertFor } = require('../services');
+
+function createAlertRoutes({ store, services }) {
+  const { patients, alerts } = store;
+  const { audit } = services;
+  const router = express.Router();
+
+  // Ward-wide alert queue, e.g. /api/alerts?status=open&location=Ward-12&ruleId=qsofa-high
+  router.get('/api/alerts', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['status', 'location', 'ruleId']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { status, location, ruleId } = req.query;
+      if (status && !ALERT_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}.` });
+      }
+
+      const queue = await alerts.list({ status, location, ruleId });
+      res.json({ count: queue.length, alerts: queue.map((alert) => alertFor(req, alert)) });
+    } catch (err) {
+      console.error('Error fetching alerts', err);
+      res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+  });
+
+  // Move an alert through its lifecycle: acknowledge, escalate or resolve
+  router.post('/api/alerts/:id/:action', canRecord, async (req, res) => {
+    try {
+      const { id, action } = req.params;
+      const { note } = req.body;
+
+      if (!Object.hasOwn(ALERT_ACTIONS, action)) {
+        return res.status(404).json({ error: `Unknown alert action: ${action}` });
+      }
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      let alert = await alerts.findById(id);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      const before = alert.status;
+      const conflict = applyAlertAction(alert, action, { user: req.user.username, note });
+      if (conflict) {
+        return res.status(409).json({ error: conflict });
+      }
+      alert = await alerts.update(alert._id, alertActionChanges(alert));
+      await audit({
+        actor: actorFrom(req.user),
+        action: `alert.${action}`,
+        entityType: 'Alert',
+        entityId: alert._id,
+        patient: alert.patient,
+        reason: note,
+        before: { status: before },
+        after: { status: alert.status, escalationLevel: alert.escalationLevel }
+      });
+
+      const patient = await patients.findById(alert.patient);
+      events.publish('alert-updated', { patient, alert });
+
+      res.json({ alert: alertFor(req, alert) });
+    } catch (err) {
+      console.error('Error updating alert', err);
+      res.status(500).json({ error: 'Failed to update alert' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAlertRoutes };
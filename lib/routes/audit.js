@@ -0,0 +1,42 @@
+// Audit trail (admin only)
+const express = require('express');
+const mongoose = require('mongoose');
+const { queryStringError } = require('../pagination');
+const { requireRole } = require('../auth');
+
+function createAuditRoutes({ store }) {
+  const { patients, auditLog } = store;
+  const router = express.Router();
+
+  // Audit trail, newest first; filter by ?entityId=, ?patient= (externalId) or ?action=
+  router.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['entityId', 'patient', 'action']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { entityId, patient: externalId, action } = req.query;
+      if (entityId && !mongoose.isValidObjectId(entityId)) {
+        return res.status(400).json({ error: 'entityId is not a valid id.' });
+      }
+      let patient;
+      if (externalId) {
+        patient = await patients.findByExternalId(externalId);
+        if (!patient) {
+          return res.status(404).json({ error: 'Patient not found' });
+        }
+      }
+
+      const entries = await auditLog.list(
+        { entityId, patient: patient && patient._id, action },
+        500
+      );
+      res.json({ count: entries.length, entries });
+    } catch (err) {
+      console.error('Error fetching audit log', err);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRoutes };
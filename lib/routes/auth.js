@@ -0,0 +1,44 @@
+// Login, and the token check every route mounted after this router sits behind
+const express = require('express');
+const { verifyPassword, signToken, requireAuth } = require('../auth');
+const { publicUser } = require('../services');
+
+function createAuthRoutes({ store }) {
+  const { users } = store;
+  const router = express.Router();
+
+  // Log in with a local account and receive a bearer token
+  router.post('/api/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (!username || !password) {
+        return res.status(400).json({ error: 'username and password are required.' });
+      }
+
+      const user = await users.findByUsername(String(username).toLowerCase().trim());
+      if (!user || !user.active || !(await verifyPassword(String(password), user.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid username or password.' });
+      }
+
+      res.json({ token: signToken(user), user: publicUser(user) });
+    } catch (err) {
+      console.error('Error logging in', err);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  // Every /api route after this requires a logged-in user; only the live stream also takes ?token=
+  const authenticate = requireAuth(users);
+  const authenticateStream = requireAuth(users, { allowQueryToken: true });
+  router.use('/api', (req, res, next) =>
+    (req.path === '/stream' ? authenticateStream : authenticate)(req, res, next)
+  );
+
+  router.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRoutes };
@@ -0,0 +1,169 @@
+// Patient baselines and personalised thresholds
+const express = require('express');
+const { activeThresholds, validateBaseline, validateOverride } = require('../baselines');
+const { requireRole, canRecord, actorFrom } = require('../auth');
+
+function createBaselineRoutes({ store, services }) {
+  const { patients } = store;
+  const { audit, findPatient, currentEncounter, patientBaseline } = services;
+  const router = express.Router();
+
+  const canOverrideThresholds = requireRole('admin', 'physician');
+
+  async function baselineResponse(patient) {
+    const encounter = await currentEncounter(patient._id);
+    return {
+      patientId: patient.externalId,
+      baseline: await patientBaseline(patient, encounter ? encounter._id : null),
+      thresholdOverrides: patient.thresholdOverrides,
+      activeThresholds: activeThresholds(patient.thresholdOverrides)
+    };
+  }
+
+  router.get('/api/patients/:externalId/baseline', async (req, res) => {
+    try {
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      res.json(await baselineResponse(patient));
+    } catch (err) {
+      console.error('Error fetching baseline', err);
+      res.status(500).json({ error: 'Failed to fetch baseline' });
+    }
+  });
+
+  // Body: { values: { respiratoryRate?, systolicBP?, heartRate?, temperature?, spo2? }, note? }
+  router.put('/api/patients/:externalId/baseline', canRecord, async (req, res) => {
+    try {
+      const { value, errors } = validateBaseline(req.body);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Baseline failed validation.', errors });
+      }
+      let patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+
+      const actor = actorFrom(req.user);
+      const before = patient.baseline;
+      patient = await patients.update(patient._id, {
+        baseline: { ...value, setBy: actor, setAt: new Date() },
+        updatedBy: actor
+      });
+      await audit({
+        actor,
+        action: 'patient.baseline.set',
+        entityType: 'Patient',
+        entityId: patient._id,
+        patient: patient._id,
+        before,
+        after: value
+      });
+      res.json(await baselineResponse(patient));
+    } catch (err) {
+      console.error('Error setting baseline', err);
+      res.status(500).json({ error: 'Failed to set baseline' });
+    }
+  });
+
+  // Clears the manual baseline; the derived one applies again
+  router.delete('/api/patients/:externalId/baseline', canRecord, async (req, res) => {
+    try {
+      let patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+
+      const actor = actorFrom(req.user);
+      const before = patient.baseline;
+      patient = await patients.update(patient._id, { baseline: undefined, updatedBy: actor });
+      await audit({
+        actor,
+        action: 'patient.baseline.clear',
+        entityType: 'Patient',
+        entityId: patient._id,
+        patient: patient._id,
+        before
+      });
+      res.json(await baselineResponse(patient));
+    } catch (err) {
+      console.error('Error clearing baseline', err);
+      res.status(500).json({ error: 'Failed to clear baseline' });
+    }
+  });
+
+  // Body: { field: "respiratoryRate"|"systolicBP", value, reason, expiresAt }. A new override for
+  // the same field replaces the old one. Applies to readings stored from now on.
+  router.post(
+    '/api/patients/:externalId/threshold-overrides',
+    canOverrideThresholds,
+    async (req, res) => {
+      try {
+        const { value, errors } = validateOverride(req.body);
+        if (errors.length) {
+          return res.status(422).json({ error: 'Threshold override failed validation.', errors });
+        }
+        let patient = await findPatient(req.params.externalId, res);
+        if (!patient) return;
+
+        const actor = actorFrom(req.user);
+        const replaced = patient.thresholdOverrides.filter((o) => o.field === value.field);
+        patient = await patients.update(patient._id, {
+          thresholdOverrides: [
+            ...patient.thresholdOverrides.filter((o) => o.field !== value.field),
+            { ...value, setBy: actor, setAt: new Date() }
+          ],
+          updatedBy: actor
+        });
+        await audit({
+          actor,
+          action: 'patient.threshold.override',
+          entityType: 'Patient',
+          entityId: patient._id,
+          patient: patient._id,
+          reason: value.reason,
+          before: replaced.length ? replaced : undefined,
+          after: value
+        });
+        res.status(201).json(await baselineResponse(patient));
+      } catch (err) {
+        console.error('Error setting threshold override', err);
+        res.status(500).json({ error: 'Failed to set threshold override' });
+      }
+    }
+  );
+
+  router.delete(
+    '/api/patients/:externalId/threshold-overrides/:overrideId',
+    canOverrideThresholds,
+    async (req, res) => {
+      try {
+        let patient = await findPatient(req.params.externalId, res);
+        if (!patient) return;
+        const override = patient.thresholdOverrides.find(
+          (o) => String(o._id) === req.params.overrideId
+        );
+        if (!override) {
+          return res.status(404).json({ error: 'Threshold override not found' });
+        }
+
+        const actor = actorFrom(req.user);
+        patient = await patients.update(patient._id, {
+          thresholdOverrides: patient.thresholdOverrides.filter((o) => o !== override),
+          updatedBy: actor
+        });
+        await audit({
+          actor,
+          action: 'patient.threshold.remove',
+          entityType: 'Patient',
+          entityId: patient._id,
+          patient: patient._id,
+          before: override
+        });
+        res.json(await baselineResponse(patient));
+      } catch (err) {
+        console.error('Error removing threshold override', err);
+        res.status(500).json({ error: 'Failed to remove threshold override' });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createBaselineRoutes };
@@ -0,0 +1,158 @@
+// Sepsis bundles: per-stay checklists, overdue actions and compliance
+const express = require('express');
+const mongoose = require('mongoose');
+const events = require('../events');
+const { queryStringError, parseDateRange } = require('../pagination');
+const {
+  BUNDLE_ACTIONS,
+  validateBundleAction,
+  applyBundleAction,
+  bundleStatus,
+  complianceByLocation
+} = require('../bundles');
+const { canRecord, actorFrom } = require('../auth');
+
+function createBundleRoutes({ store, services }) {
+  const { patients, encounters, bundles } = store;
+  const { audit, findPatient, currentEncounter } = services;
+  const router = express.Router();
+
+  // Bundles of a stay: ?encounter=<id>, otherwise the active or most recent encounter
+  router.get('/api/patients/:externalId/bundles', async (req, res) => {
+    try {
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      let encounter;
+      if (req.query.encounter === undefined) {
+        encounter = await currentEncounter(patient._id);
+      } else if (mongoose.isValidObjectId(req.query.encounter)) {
+        encounter = await encounters.findForPatient(req.query.encounter, patient._id);
+      }
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      const stayBundles = await bundles.forEncounter(encounter._id);
+      res.json({
+        patientId: patient.externalId,
+        encounter: encounter._id,
+        bundles: stayBundles.map((bundle) => bundleStatus(bundle))
+      });
+    } catch (err) {
+      console.error('Error fetching bundles', err);
+      res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+  });
+
+  // Open bundles of admitted patients with an action past due, most overdue first
+  router.get('/api/bundles/overdue', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['location']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const open = await bundles.overdue({ location: req.query.location }, new Date());
+      const active = await encounters.activeIds(open.map((b) => b.encounter));
+      const activeIds = new Set(active.map(String));
+
+      const overdue = open
+        .filter((bundle) => activeIds.has(String(bundle.encounter)))
+        .map((bundle) => bundleStatus(bundle))
+        .filter((bundle) => bundle.overdueCount > 0)
+        .map((bundle) => ({
+          ...bundle,
+          overdueSince: bundle.actions.find((a) => a.state === 'overdue').dueAt
+        }))
+        .sort((a, b) => new Date(a.overdueSince) - new Date(b.overdueSince));
+      res.json({ count: overdue.length, bundles: overdue });
+    } catch (err) {
+      console.error('Error fetching overdue bundles', err);
+      res.status(500).json({ error: 'Failed to fetch overdue bundles' });
+    }
+  });
+
+  // Per-ward compliance for bundles started in ?from=&to=, optionally one ?location=
+  router.get('/api/bundles/compliance', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['location']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { range, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+      const started = await bundles.startedIn({ range, location: req.query.location });
+      res.json({
+        asOf: new Date(),
+        actions: BUNDLE_ACTIONS,
+        wards: complianceByLocation(started)
+      });
+    } catch (err) {
+      console.error('Error fetching bundle compliance', err);
+      res.status(500).json({ error: 'Failed to fetch bundle compliance' });
+    }
+  });
+
+  router.get('/api/bundles/:id', async (req, res) => {
+    try {
+      const bundle =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await bundles.findByIdWithDetails(req.params.id));
+      if (!bundle) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+      res.json({ bundle: bundleStatus(bundle) });
+    } catch (err) {
+      console.error('Error fetching bundle', err);
+      res.status(500).json({ error: 'Failed to fetch bundle' });
+    }
+  });
+
+  // Record one action: body { status: "done"|"not-applicable", at?, note? }
+  router.post('/api/bundles/:id/actions/:actionId', canRecord, async (req, res) => {
+    try {
+      const { value, errors } = validateBundleAction(req.body);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Bundle action failed validation.', errors });
+      }
+      const bundle =
+        mongoose.isValidObjectId(req.params.id) && (await bundles.findById(req.params.id));
+      if (!bundle) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+      const idx = bundle.actions.findIndex((a) => a.actionId === req.params.actionId);
+      if (idx === -1) {
+        return res.status(404).json({ error: `Unknown bundle action: ${req.params.actionId}` });
+      }
+
+      const actor = actorFrom(req.user);
+      const conflict = applyBundleAction(bundle, req.params.actionId, value, actor);
+      if (conflict) {
+        return res.status(409).json({ error: conflict });
+      }
+      // Only written while the action is still pending, so two people recording it at once
+      // cannot both succeed. Actions never move, so the index path names the same one.
+      const action = bundle.actions[idx];
+      if (!(await bundles.recordAction(bundle._id, idx, action))) {
+        return res.status(409).json({ error: `${action.label} is already recorded.` });
+      }
+      // Closed by whichever request records the last pending action
+      await bundles.closeIfComplete(bundle._id, new Date());
+      const updated = await bundles.findById(bundle._id);
+      await audit({
+        actor,
+        action: `bundle.action.${value.status}`,
+        entityType: 'SepsisBundle',
+        entityId: bundle._id,
+        patient: bundle.patient,
+        reason: value.note,
+        after: { actionId: req.params.actionId, ...value }
+      });
+
+      const patient = await patients.findById(bundle.patient);
+      events.publish('bundle-updated', { patient, bundle: updated });
+      res.json({ bundle: bundleStatus(updated) });
+    } catch (err) {
+      console.error('Error recording bundle action', err);
+      res.status(500).json({ error: 'Failed to record bundle action' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBundleRoutes };
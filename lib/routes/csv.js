@@ -0,0 +1,209 @@
+// Bulk CSV import and export of readings
+const express = require('express');
+const { enabledScoreIds, scoreReading } = require('../scoring');
+const { READING_SCHEMA, validateReading } = require('../validation');
+const { parseCsv, formatCsvRow, mapColumns, rowToObject } = require('../csv');
+const { queryStringError, parseDateRange } = require('../pagination');
+const { canRecord, actorFrom } = require('../auth');
+const { readingFor, READING_FIELDS } = require('../services');
+
+function createCsvRoutes({ store, services }) {
+  const { patients, readings } = store;
+  const { stayError, storeReading } = services;
+  const router = express.Router();
+
+  const MAX_IMPORT_ROWS = 5000;
+  const IMPORT_FIELDS = ['externalId', ...Object.keys(READING_SCHEMA)];
+  const IMPORT_REQUIRED = [
+    'externalId',
+    ...Object.keys(READING_SCHEMA).filter((field) => READING_SCHEMA[field].required)
+  ];
+
+  // Body: text/csv, or JSON { csv, mapping?, dryRun? }. mapping is { field: columnHeader }
+  // (also accepted as ?mapping[field]=Header). Valid rows are stored in timestamp order through
+  // the same path as single readings; invalid rows are reported by CSV line number and skipped.
+  // With dryRun nothing is stored and the response previews the scores each row would get.
+  router.post(
+    '/api/import/readings',
+    canRecord,
+    express.text({ type: 'text/csv', limit: '5mb' }),
+    async (req, res) => {
+      try {
+        const isCsvBody = typeof req.body === 'string';
+        const text = isCsvBody ? req.body : req.body.csv;
+        const mapping = (!isCsvBody && req.body.mapping) || req.query.mapping || {};
+        const dryRun = req.query.dryRun === 'true' || (!isCsvBody && req.body.dryRun === true);
+
+        if (typeof text !== 'string' || typeof mapping !== 'object') {
+          return res
+            .status(400)
+            .json({ error: 'Send CSV as text/csv or as JSON { csv, mapping?, dryRun? }.' });
+        }
+        const [header, ...rows] = parseCsv(text);
+        if (!header || !rows.length) {
+          return res
+            .status(400)
+            .json({ error: 'CSV needs a header row and at least one reading.' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+          return res
+            .status(413)
+            .json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once.` });
+        }
+        const { columns, errors: mappingErrors } = mapColumns(
+          header,
+          mapping,
+          IMPORT_FIELDS,
+          IMPORT_REQUIRED
+        );
+        if (mappingErrors.length) {
+          return res.status(400).json({ error: 'Column mapping failed.', errors: mappingErrors });
+        }
+
+        const rowErrors = [];
+        const valid = [];
+        for (const [idx, row] of rows.entries()) {
+          // Line 1 is the header
+          const line = idx + 2;
+          const { externalId, ...body } = rowToObject(row, columns);
+          const validation = validateReading(body);
+          if (!externalId) {
+            validation.errors.unshift({
+              field: 'externalId',
+              code: 'required',
+              message: 'Patient identifier is required.'
+            });
+          } else if (!validation.errors.length) {
+            const error = await stayError(externalId, validation.value.timestamp);
+            if (error) validation.errors.push(error);
+          }
+          if (validation.errors.length) {
+            validation.errors.forEach((e) => rowErrors.push({ line, ...e }));
+          } else {
+            valid.push({ line, externalId, validation });
+          }
+        }
+        valid.sort((a, b) => a.validation.value.timestamp - b.validation.value.timestamp);
+
+        const summary = {
+          dryRun,
+          columns: Object.fromEntries(
+            Object.entries(columns).map(([field, index]) => [field, header[index]])
+          ),
+          totalRows: rows.length,
+          validRows: valid.length,
+          invalidRows: new Set(rowErrors.map((e) => e.line)).size,
+          errors: rowErrors
+        };
+
+        if (dryRun) {
+          const preview = valid.map(({ line, externalId, validation }) => {
+            const { qsofaScore, qsofaRiskLabel, needsVerification } = readingFor(
+              req,
+              scoreReading(validation.value, validation.flags)
+            );
+            return {
+              line,
+              externalId,
+              timestamp: validation.value.timestamp,
+              qsofaScore,
+              qsofaRiskLabel,
+              needsVerification
+            };
+          });
+          return res.json({ ...summary, preview });
+        }
+
+        const actor = actorFrom(req.user);
+        let alertCount = 0;
+        for (const { externalId, validation } of valid) {
+          const { alerts } = await storeReading(externalId, validation, actor, {
+            notify: false,
+            bundles: false
+          });
+          alertCount += alerts.length;
+        }
+        res.status(valid.length ? 201 : 422).json({
+          ...summary,
+          imported: valid.length,
+          alertsRaised: alertCount
+        });
+      } catch (err) {
+        console.error('Error importing readings', err);
+        res.status(500).json({ error: 'Failed to import readings' });
+      }
+    }
+  );
+
+  const EXPORT_FIELDS = READING_FIELDS.filter((field) => field !== 'timestamp');
+
+  // Streams every current reading matching the filters, oldest first, without a row limit
+  router.get('/api/export/readings.csv', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['location']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { location } = req.query;
+      const { range, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+      const filter = { range };
+      if (location) filter.patients = await patients.idsWhere({ location });
+
+      const scoreIds = enabledScoreIds();
+      res.type('text/csv');
+      res.attachment('readings.csv');
+      res.write(
+        formatCsvRow([
+          'readingId',
+          'externalId',
+          'name',
+          'location',
+          'timestamp',
+          ...EXPORT_FIELDS,
+          'qsofaRiskLabel',
+          ...scoreIds.map((id) => `${id}Score`),
+          'needsVerification',
+          'recordedBy'
+        ])
+      );
+
+      let closed = false;
+      res.on('close', () => {
+        closed = true;
+      });
+      for await (const reading of readings.export(filter)) {
+        if (closed) break;
+        const patient = reading.patient || {};
+        const scores = new Map((reading.scores || []).map((s) => [s.scoreId, s.score]));
+        // Readings from before the scoring engine only have the qSOFA fields
+        if (!scores.has('qsofa')) scores.set('qsofa', reading.qsofaScore);
+        const row = formatCsvRow([
+          reading._id,
+          patient.externalId,
+          patient.name,
+          patient.location,
+          reading.timestamp,
+          ...EXPORT_FIELDS.map((field) => reading[field]),
+          reading.qsofaRiskLabel,
+          ...scoreIds.map((id) => scores.get(id)),
+          reading.needsVerification,
+          reading.recordedBy && reading.recordedBy.username
+        ]);
+        if (!res.write(row)) {
+          await new Promise((resolve) => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      }
+      res.end();
+    } catch (err) {
+      console.error('Error exporting readings', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: 'Failed to export readings' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCsvRoutes };
@@ -0,0 +1,125 @@
+// Scenario simulation and rule replay (demo only, not real data)
+const express = require('express');
+const mongoose = require('mongoose');
+const { scoreReading } = require('../scoring');
+const { validateRule, ruleDefinition } = require('../rules');
+const simulator = require('../simulator');
+const { readingFor, alertFor } = require('../services');
+
+function createDemoRoutes({ store, services }) {
+  const { encounters, readings, alerts, rules } = store;
+  const { findPatient, currentEncounter } = services;
+  const router = express.Router();
+
+  // Runs a scenario through the same scoring and alert rules as stored readings; nothing is stored
+  async function runSimulation(input, req, res) {
+    const { config, errors } = simulator.resolveScenario(input);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Scenario failed validation.', errors });
+    }
+
+    const simulated = simulator
+      .generateReadings(config)
+      .map(({ minute, ...value }) => ({ minute, ...scoreReading(value, []) }));
+    const raised = simulator.replayAlerts(simulated, await rules.enabled());
+
+    res.json({
+      scenarioName: config.name,
+      scenario: config,
+      readings: simulated.map((reading) => readingFor(req, reading)),
+      alerts: raised.map((alert) => alertFor(req, alert))
+    });
+  }
+
+  router.get('/api/demo/scenarios', (req, res) => {
+    res.json({ defaultScenario: simulator.DEFAULT_SCENARIO, scenarios: simulator.scenarioList() });
+  });
+
+  // Simulated readings and alerts, e.g.
+  // /api/demo/scenario?scenario=rapid-septic-shock&seed=42&noise=1
+  router.get('/api/demo/scenario', async (req, res) => {
+    try {
+      const input = { scenario: req.query.scenario };
+      ['seed', 'intervalMinutes', 'durationMinutes', 'noise'].forEach((field) => {
+        if (req.query[field] !== undefined) input[field] = Number(req.query[field]);
+      });
+      await runSimulation(input, req, res);
+    } catch (err) {
+      console.error('Error running scenario', err);
+      res.status(500).json({ error: 'Failed to run scenario' });
+    }
+  });
+
+  // Body: { scenario?, seed?, intervalMinutes?, durationMinutes?, noise?, trajectories?,
+  // mentalStatus? }; trajectories replace the named scenario's keyframes field by field
+  router.post('/api/demo/scenario', async (req, res) => {
+    try {
+      await runSimulation(req.body || {}, req, res);
+    } catch (err) {
+      console.error('Error running scenario', err);
+      res.status(500).json({ error: 'Failed to run scenario' });
+    }
+  });
+
+  // Re-runs alert rules over a patient's stored readings without changing anything, to see what
+  // a rule change would have raised. Body: { encounter?, rules? }; rules default to the enabled
+  // stored rules and are validated like new rules.
+  router.post('/api/patients/:externalId/replay', async (req, res) => {
+    try {
+      const candidate = req.body.rules;
+      if (candidate !== undefined) {
+        if (!Array.isArray(candidate)) {
+          return res.status(422).json({ error: 'rules must be a list of alert rules.' });
+        }
+        const errors = candidate.flatMap((rule, idx) =>
+          validateRule(ruleDefinition(rule || {})).map((message) => `rules[${idx}]: ${message}`)
+        );
+        if (errors.length) {
+          return res.status(422).json({ error: 'Rules failed validation.', errors });
+        }
+      }
+
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      let encounter;
+      if (req.body.encounter === undefined) {
+        encounter = await currentEncounter(patient._id);
+      } else if (mongoose.isValidObjectId(req.body.encounter)) {
+        encounter = await encounters.findForPatient(req.body.encounter, patient._id);
+      }
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+
+      const replayRules = candidate ? candidate.map(ruleDefinition) : await rules.enabled();
+      const stayReadings = await readings.forEncounters([encounter._id]);
+      const storedAlerts = await alerts.forReadings(stayReadings.map((r) => r._id));
+
+      // Observation alerts are left out: they follow the reassessment policy, not the rules
+      const replayed = simulator
+        .replayAlerts(stayReadings, replayRules, { patient })
+        .filter((alert) => alert.readingIndex !== undefined)
+        .map((alert) => ({
+          ...alertFor(req, alert),
+          reading: stayReadings[alert.readingIndex]._id
+        }));
+      const countByRule = (list) =>
+        list.reduce((counts, a) => ({ ...counts, [a.ruleId]: (counts[a.ruleId] || 0) + 1 }), {});
+
+      res.json({
+        patientId: patient.externalId,
+        encounter: encounter._id,
+        readingCount: stayReadings.length,
+        alerts: replayed,
+        comparison: { replayed: countByRule(replayed), stored: countByRule(storedAlerts) }
+      });
+    } catch (err) {
+      console.error('Error replaying rules', err);
+      res.status(500).json({ error: 'Failed to replay rules' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDemoRoutes };
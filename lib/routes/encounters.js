@@ -0,0 +1,166 @@
+// Admission, transfer and discharge of patient stays
+const express = require('express');
+const mongoose = require('mongoose');
+const { READING_SCHEMA, validateReading } = require('../validation');
+const { applyAlertAction, alertActionChanges } = require('../alerts');
+const events = require('../events');
+const {
+  ENCOUNTER_EVENTS,
+  validateEncounterEvent,
+  admission,
+  applyEncounterEvent,
+  encounterEventChanges
+} = require('../encounters');
+const { canRecord, actorFrom } = require('../auth');
+
+function createEncounterRoutes({ store, services }) {
+  const { patients, encounters, alerts } = store;
+  const { findPatient, ensurePatient, auditEncounter } = services;
+  const router = express.Router();
+
+  // Stays of a patient, newest first
+  router.get('/api/patients/:externalId/encounters', async (req, res) => {
+    try {
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      const stays = await encounters.forPatient(patient._id);
+      res.json({ patientId: patient.externalId, count: stays.length, encounters: stays });
+    } catch (err) {
+      console.error('Error fetching encounters', err);
+      res.status(500).json({ error: 'Failed to fetch encounters' });
+    }
+  });
+
+  // Admit a patient: body { name?, location?, at?, note? }; creates the patient if needed
+  router.post('/api/patients/:externalId/encounters', canRecord, async (req, res) => {
+    try {
+      const { value, errors } = validateEncounterEvent(req.body);
+      const name = validateReading({ name: req.body.name }, { name: READING_SCHEMA.name });
+      errors.push(...name.errors);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Admission failed validation.', errors });
+      }
+
+      const existing = await patients.findByExternalId(req.params.externalId);
+      const latest = existing && (await encounters.latest(existing._id));
+      if (latest && latest.status === 'active') {
+        return res
+          .status(409)
+          .json({ error: 'Patient already has an active encounter.', encounterId: latest._id });
+      }
+      const at = value.at || new Date();
+      if (latest && at < latest.dischargedAt) {
+        return res.status(422).json({
+          error: 'Admission failed validation.',
+          errors: [
+            {
+              field: 'at',
+              code: 'invalid_date',
+              message: 'Admission time is before the previous discharge.'
+            }
+          ]
+        });
+      }
+
+      const actor = actorFrom(req.user);
+      const patient = await ensurePatient(
+        req.params.externalId,
+        name.value.name,
+        value.location,
+        actor
+      );
+      const encounter = await encounters.create(
+        admission({
+          patient: patient._id,
+          location: value.location || patient.location,
+          at,
+          actor,
+          note: value.note
+        })
+      );
+      await auditEncounter(encounter, 'encounter.admit', actor, value.note);
+      events.publish('encounter-updated', { patient, encounter });
+      res.status(201).json({ encounter });
+    } catch (err) {
+      console.error('Error admitting patient', err);
+      res.status(500).json({ error: 'Failed to admit patient' });
+    }
+  });
+
+  router.get('/api/encounters/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      const encounter = await encounters.findByIdWithPatient(req.params.id);
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      res.json({ encounter });
+    } catch (err) {
+      console.error('Error fetching encounter', err);
+      res.status(500).json({ error: 'Failed to fetch encounter' });
+    }
+  });
+
+  // Transfer ({ location, at?, note? }) or discharge ({ at?, note? }) an active encounter.
+  // Discharge resolves the stay's open alerts so they stop escalating.
+  router.post('/api/encounters/:id/:event', canRecord, async (req, res) => {
+    try {
+      const { id, event } = req.params;
+      // Own keys only, so names like "constructor" are not taken for an event
+      if (!Object.hasOwn(ENCOUNTER_EVENTS, event)) {
+        return res.status(404).json({ error: `Unknown encounter event: ${event}` });
+      }
+      const { value, errors } = validateEncounterEvent(req.body, ENCOUNTER_EVENTS[event]);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Encounter event failed validation.', errors });
+      }
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      let encounter = await encounters.findById(id);
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+
+      const actor = actorFrom(req.user);
+      const conflict = applyEncounterEvent(encounter, event, {
+        location: value.location,
+        at: value.at || new Date(),
+        actor,
+        note: value.note
+      });
+      if (conflict) {
+        return res.status(409).json({ error: conflict });
+      }
+      encounter = await encounters.update(encounter._id, encounterEventChanges(encounter));
+      await auditEncounter(encounter, `encounter.${event}`, actor, value.note);
+
+      let patient = await patients.findById(encounter.patient);
+      if (event === 'transfer') {
+        patient = await patients.update(patient._id, {
+          location: encounter.location,
+          updatedBy: actor
+        });
+      } else {
+        const openAlerts = await alerts.unresolvedForEncounter(encounter._id);
+        for (const open of openAlerts) {
+          applyAlertAction(open, 'resolve', { user: actor.username, note: 'Patient discharged.' });
+          const alert = await alerts.update(open._id, alertActionChanges(open));
+          events.publish('alert-updated', { patient, alert });
+        }
+      }
+
+      events.publish('encounter-updated', { patient, encounter });
+      res.json({ encounter });
+    } catch (err) {
+      console.error('Error updating encounter', err);
+      res.status(500).json({ error: 'Failed to update encounter' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEncounterRoutes };
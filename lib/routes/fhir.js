@@ -0,0 +1,192 @@
+// FHIR R4 read, search and transaction endpoints
+const express = require('express');
+const { validateReading } = require('../validation');
+const fhir = require('../fhir');
+const { queryStringError } = require('../pagination');
+const { requireAuth, canRecord, actorFrom } = require('../auth');
+function createFhirRoutes({ store, services }) {
+  const { users, patients, readings } = store;
+  const { ensurePatient, stayError, storeReading } = services;
+  const router = express.Router();
+
+  // FHIR clients log in like any other; the /api token check does not cover /fhir
+  router.use('/fhir', requireAuth(users));
+
+  function sendFhir(res, status, resource) {
+    res.status(status).type('application/fhir+json').json(resource);
+  }
+
+  // Patient from ?subject=Patient/<id> or ?patient=<id>; sends a 400/404 OperationOutcome if
+  // missing
+  async function fhirSubject(req, res) {
+    const queryError = queryStringError(req.query, ['subject', 'patient']);
+    if (queryError) {
+      sendFhir(res, 400, fhir.operationOutcome([{ code: 'invalid', diagnostics: queryError }]));
+      return null;
+    }
+    const externalId = fhir.patientIdFromReference(req.query.subject || req.query.patient);
+    if (!externalId) {
+      sendFhir(
+        res,
+        400,
+        fhir.operationOutcome([
+          { code: 'required', diagnostics: 'subject or patient is required.' }
+        ])
+      );
+      return null;
+    }
+    const patient = await patients.findByExternalId(externalId);
+    if (!patient) {
+      sendFhir(
+        res,
+        404,
+        fhir.operationOutcome([
+          { code: 'not-found', diagnostics: `Patient/${externalId} not found.` }
+        ])
+      );
+      return null;
+    }
+    return patient;
+  }
+
+  router.get('/fhir/metadata', (req, res) => {
+    sendFhir(res, 200, {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      kind: 'instance',
+      fhirVersion: '4.0.1',
+      format: ['application/fhir+json'],
+      rest: [
+        {
+          mode: 'server',
+          resource: [
+            { type: 'Patient', interaction: [{ code: 'read' }] },
+            {
+              type: 'Observation',
+              interaction: [{ code: 'search-type' }],
+              searchParam: [{ name: 'subject', type: 'reference' }]
+            },
+            {
+              type: 'RiskAssessment',
+              interaction: [{ code: 'search-type' }],
+              searchParam: [{ name: 'subject', type: 'reference' }]
+            }
+          ],
+          interaction: [{ code: 'transaction' }]
+        }
+      ]
+    });
+  });
+
+  router.get('/fhir/Patient/:id', async (req, res) => {
+    try {
+      const patient = await patients.findByExternalId(req.params.id);
+      if (!patient) {
+        return sendFhir(
+          res,
+          404,
+          fhir.operationOutcome([
+            { code: 'not-found', diagnostics: `Patient/${req.params.id} not found.` }
+          ])
+        );
+      }
+      sendFhir(res, 200, fhir.toFhirPatient(patient));
+    } catch (err) {
+      console.error('Error reading FHIR Patient', err);
+      sendFhir(res, 500, fhir.operationOutcome([{ code: 'exception', diagnostics: err.message }]));
+    }
+  });
+
+  router.get('/fhir/Observation', async (req, res) => {
+    try {
+      const patient = await fhirSubject(req, res);
+      if (!patient) return;
+      const timeline = await readings.timeline(patient._id);
+      const observations = timeline.flatMap((r) => fhir.readingToObservations(r, patient));
+      sendFhir(res, 200, fhir.searchBundle(observations));
+    } catch (err) {
+      console.error('Error searching FHIR Observations', err);
+      sendFhir(res, 500, fhir.operationOutcome([{ code: 'exception', diagnostics: err.message }]));
+    }
+  });
+
+  router.get('/fhir/RiskAssessment', async (req, res) => {
+    try {
+      const patient = await fhirSubject(req, res);
+      if (!patient) return;
+      const timeline = await readings.timeline(patient._id);
+      const assessments = timeline.flatMap((r) => fhir.readingToRiskAssessments(r, patient));
+      sendFhir(res, 200, fhir.searchBundle(assessments));
+    } catch (err) {
+      console.error('Error searching FHIR RiskAssessments', err);
+      sendFhir(res, 500, fhir.operationOutcome([{ code: 'exception', diagnostics: err.message }]));
+    }
+  });
+
+  // Transaction Bundle of Patient and Observation entries. Observations for the same patient and
+  // effectiveDateTime become one reading, stored through the same path as the REST route.
+  // Every reading is validated before any is stored.
+  router.post('/fhir', canRecord, async (req, res) => {
+    try {
+      const { patients, readings, issues } = fhir.transactionToReadings(req.body);
+
+      const validated = [];
+      for (const group of readings) {
+        const { name } = patients.get(group.externalId) || {};
+        const validation = validateReading({ ...group.body, name });
+        if (!validation.errors.length) {
+          const error = await stayError(group.externalId, validation.value.timestamp);
+          if (error) validation.errors.push(error);
+        }
+        validation.errors.forEach((e) => {
+          issues.push({
+            code: 'invalid',
+            diagnostics: `${group.externalId} at ${group.body.timestamp}: ${e.message}`,
+            expression: group.entries.map(({ index }) => `Bundle.entry[${index}]`)
+          });
+        });
+        validated.push({ group, validation });
+      }
+      if (issues.length) {
+        return sendFhir(res, 422, fhir.operationOutcome(issues));
+      }
+
+      const actor = actorFrom(req.user);
+      const responseEntries = [];
+      for (const [externalId, { name, index }] of patients) {
+        // Patients without readings are still registered so later Observations can reference them
+        await ensurePatient(externalId, name, undefined, actor);
+        responseEntries[index] = {
+          response: { status: '200 OK', location: `Patient/${externalId}` }
+        };
+      }
+      // Oldest first, so a new patient's stay starts at their earliest reading
+      validated.sort((a, b) => a.validation.value.timestamp - b.validation.value.timestamp);
+      for (const { group, validation } of validated) {
+        const { reading } = await storeReading(group.externalId, validation, actor);
+        group.entries.forEach(({ index, field }) => {
+          responseEntries[index] = {
+            response: {
+              status: '201 Created',
+              location: `Observation/${reading._id}-${field}`,
+              lastModified: reading.createdAt.toISOString()
+            }
+          };
+        });
+      }
+
+      sendFhir(res, 200, {
+        resourceType: 'Bundle',
+        type: 'transaction-response',
+        entry: responseEntries
+      });
+    } catch (err) {
+      console.error('Error processing FHIR transaction', err);
+      sendFhir(res, 500, fhir.operationOutcome([{ code: 'exception', diagnostics: err.message }]));
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFhirRoutes };
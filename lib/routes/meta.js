@@ -0,0 +1,29 @@
+// Health check and the languages the API answers in; open without logging in
+const express = require('express');
+const { LOCALES, DEFAULT_LOCALE, LOCALE_NAMES, HOSPITAL_TIME_ZONE } = require('../i18n');
+
+function createMetaRoutes() {
+  const router = express.Router();
+
+  // Health check
+  router.get('/api/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Rule-Based Sepsis Screening API running (screening only).'
+    });
+  });
+
+  // Languages the API answers in and the hospital time zone the UI shows times in
+  router.get('/api/i18n', (req, res) => {
+    res.json({
+      locales: LOCALES.map((code) => ({ code, name: LOCALE_NAMES[code] })),
+      defaultLocale: DEFAULT_LOCALE,
+      locale: req.locale,
+      timeZone: HOSPITAL_TIME_ZONE
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMetaRoutes };
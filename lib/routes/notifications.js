@@ -0,0 +1,165 @@
+// Notification routes and the delivery log (admin only)
+const express = require('express');
+const mongoose = require('mongoose');
+const { queryStringError, parseListQuery } = require('../pagination');
+const notifications = require('../notifications');
+const { requireRole, actorFrom } = require('../auth');
+
+function createNotificationRoutes({ store, services }) {
+  const { patients, notificationRoutes, deliveries } = store;
+  const { audit } = services;
+  const router = express.Router();
+
+  const ROUTE_FIELDS = ['location', 'levels', 'enabled', 'chain'];
+
+  function routeDefinition(route) {
+    const definition = {};
+    ROUTE_FIELDS.forEach((field) => {
+      if (route[field] !== undefined) definition[field] = route[field];
+    });
+    if (typeof definition.location === 'string') definition.location = definition.location.trim();
+    return definition;
+  }
+
+  router.get('/api/notification-routes', requireRole('admin'), async (req, res) => {
+    try {
+      const routes = await notificationRoutes.list();
+      res.json({ count: routes.length, routes });
+    } catch (err) {
+      console.error('Error fetching notification routes', err);
+      res.status(500).json({ error: 'Failed to fetch notification routes' });
+    }
+  });
+
+  router.post('/api/notification-routes', requireRole('admin'), async (req, res) => {
+    try {
+      const definition = routeDefinition(req.body);
+      const errors = notifications.validateRoute(definition);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Route failed validation.', errors });
+      }
+      if (await notificationRoutes.findByLocation(definition.location)) {
+        return res.status(409).json({ error: 'A route for that location already exists.' });
+      }
+
+      const actor = actorFrom(req.user);
+      const route = await notificationRoutes.create({
+        ...definition,
+        createdBy: actor,
+        updatedBy: actor
+      });
+      await audit({
+        actor,
+        action: 'notificationRoute.create',
+        entityType: 'NotificationRoute',
+        entityId: route._id,
+        after: definition
+      });
+      res.status(201).json({ route });
+    } catch (err) {
+      console.error('Error creating notification route', err);
+      res.status(500).json({ error: 'Failed to create notification route' });
+    }
+  });
+
+  // Change the levels, chain or enabled flag; the location is fixed once created
+  router.patch('/api/notification-routes/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Notification route not found' });
+      }
+      const existing = await notificationRoutes.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Notification route not found' });
+      }
+
+      const before = routeDefinition(existing);
+      const definition = {
+        ...before,
+        ...routeDefinition({ ...req.body, location: existing.location })
+      };
+      const errors = notifications.validateRoute(definition);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Route failed validation.', errors });
+      }
+
+      const actor = actorFrom(req.user);
+      const route = await notificationRoutes.update(existing._id, {
+        ...definition,
+        updatedBy: actor
+      });
+      await audit({
+        actor,
+        action: 'notificationRoute.update',
+        entityType: 'NotificationRoute',
+        entityId: route._id,
+        before,
+        after: definition
+      });
+      res.json({ route });
+    } catch (err) {
+      console.error('Error updating notification route', err);
+      res.status(500).json({ error: 'Failed to update notification route' });
+    }
+  });
+
+  // Alerts already on this route stop escalating; their delivery history is kept
+  router.delete('/api/notification-routes/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Notification route not found' });
+      }
+      const route = await notificationRoutes.delete(req.params.id);
+      if (!route) {
+        return res.status(404).json({ error: 'Notification route not found' });
+      }
+      await audit({
+        actor: actorFrom(req.user),
+        action: 'notificationRoute.delete',
+        entityType: 'NotificationRoute',
+        entityId: route._id,
+        before: routeDefinition(route)
+      });
+      res.json({ deleted: route._id });
+    } catch (err) {
+      console.error('Error deleting notification route', err);
+      res.status(500).json({ error: 'Failed to delete notification route' });
+    }
+  });
+
+  const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+  const DELIVERY_SORTS = { createdAt: 'date' };
+
+  // Delivery log, newest first, e.g.
+  // /api/notifications/deliveries?status=failed&patient=Ward-12-Bed-03
+  router.get('/api/notifications/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+      const page = parseListQuery(req.query, DELIVERY_SORTS, 'createdAt');
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const queryError = queryStringError(req.query, ['status', 'alert', 'patient']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { status, alert, patient } = req.query;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+      }
+      if (alert && !mongoose.isValidObjectId(alert)) {
+        return res.status(400).json({ error: 'alert must be an alert id.' });
+      }
+      const filter = { status, alert };
+      if (patient) filter.patients = await patients.idsWhere({ externalId: patient });
+
+      const { items, nextCursor } = await deliveries.page(filter, page);
+      res.json({ count: items.length, deliveries: items, nextCursor });
+    } catch (err) {
+      console.error('Error fetching notification deliveries', err);
+      res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationRoutes };
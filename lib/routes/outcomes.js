@@ -0,0 +1,111 @@
+// Outcome labels of stays, used by the screening performance report
+const express = require('express');
+const mongoose = require('mongoose');
+const { validateOutcome } = require('../outcomes');
+const { requireRole, actorFrom } = require('../auth');
+
+function createOutcomeRoutes({ store, services }) {
+  const { encounters } = store;
+  const { audit, findPatient, currentEncounter } = services;
+  const router = express.Router();
+
+  // Outcome labels: body { label: "confirmed-sepsis"|"icu-transfer"|"none", at?, note? }
+  const canLabelOutcomes = requireRole('admin', 'physician');
+
+  async function setOutcome(encounter, body, user, res) {
+    const { value, errors } = validateOutcome(body);
+    if (!errors.length && value.at && value.at < encounter.admittedAt) {
+      errors.push({
+        field: 'at',
+        code: 'invalid_date',
+        message: 'Outcome time is before admission.'
+      });
+    }
+    if (errors.length) {
+      return res.status(422).json({ error: 'Outcome failed validation.', errors });
+    }
+
+    const actor = actorFrom(user);
+    const before = encounter.outcome && encounter.outcome.label ? encounter.outcome : null;
+    const updated = await encounters.update(encounter._id, {
+      outcome: { ...value, recordedBy: actor, recordedAt: new Date() }
+    });
+    await audit({
+      actor,
+      action: 'encounter.outcome.set',
+      entityType: 'Encounter',
+      entityId: encounter._id,
+      patient: encounter.patient,
+      reason: value.note,
+      before,
+      after: value
+    });
+    res.json({ encounter: updated });
+  }
+
+  router.put('/api/encounters/:id/outcome', canLabelOutcomes, async (req, res) => {
+    try {
+      const encounter =
+        mongoose.isValidObjectId(req.params.id) && (await encounters.findById(req.params.id));
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      await setOutcome(encounter, req.body, req.user, res);
+    } catch (err) {
+      console.error('Error recording outcome', err);
+      res.status(500).json({ error: 'Failed to record outcome' });
+    }
+  });
+
+  // Labels the patient's active or most recent encounter, or body.encounter
+  router.put('/api/patients/:externalId/outcome', canLabelOutcomes, async (req, res) => {
+    try {
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      let encounter;
+      if (req.body.encounter === undefined) {
+        encounter = await currentEncounter(patient._id);
+      } else if (mongoose.isValidObjectId(req.body.encounter)) {
+        encounter = await encounters.findForPatient(req.body.encounter, patient._id);
+      }
+      if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+      await setOutcome(encounter, req.body, req.user, res);
+    } catch (err) {
+      console.error('Error recording outcome', err);
+      res.status(500).json({ error: 'Failed to record outcome' });
+    }
+  });
+
+  router.delete('/api/encounters/:id/outcome', canLabelOutcomes, async (req, res) => {
+    try {
+      const encounter =
+        mongoose.isValidObjectId(req.params.id) && (await encounters.findById(req.params.id));
+      if (!encounter || !encounter.outcome || !encounter.outcome.label) {
+        return res.status(404).json({ error: 'Outcome not found' });
+      }
+
+      const actor = actorFrom(req.user);
+      const before = encounter.outcome;
+      const updated = await encounters.update(encounter._id, { outcome: undefined });
+      await audit({
+        actor,
+        action: 'encounter.outcome.remove',
+        entityType: 'Encounter',
+        entityId: encounter._id,
+        patient: encounter.patient,
+        reason: req.body.reason || req.query.reason,
+        before
+      });
+      res.json({ encounter: updated });
+    } catch (err) {
+      console.error('Error removing outcome', err);
+      res.status(500).json({ error: 'Failed to remove outcome' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOutcomeRoutes };
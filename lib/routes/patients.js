@@ -0,0 +1,99 @@
+// Patient and reading lists with filters and cursor pagination
+const express = require('express');
+const mongoose = require('mongoose');
+const { MENTAL_STATUS_OPTIONS } = require('../validation');
+const { queryStringError, parseDateRange, parseListQuery } = require('../pagination');
+const { readingFor } = require('../services');
+
+function createPatientRoutes({ store }) {
+  const { patients, readings } = store;
+  const router = express.Router();
+
+  // Sortable fields of the list endpoints and how their cursor values are typed
+  const PATIENT_SORTS = { createdAt: 'date', externalId: 'string' };
+  const READING_SORTS = { timestamp: 'date', qsofaScore: 'number' };
+
+  // List patients, newest first by default, e.g. /api/patients?location=Ward-12&q=smith&limit=50
+  router.get('/api/patients', async (req, res) => {
+    try {
+      const page = parseListQuery(req.query, PATIENT_SORTS, 'createdAt');
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const queryError = queryStringError(req.query, ['location', 'q']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { location, q } = req.query;
+      const { items, nextCursor } = await patients.page({ location, q }, page);
+      res.json({ count: items.length, patients: items, nextCursor });
+    } catch (err) {
+      console.error('Error fetching patients', err);
+      res.status(500).json({ error: 'Failed to fetch patients' });
+    }
+  });
+
+  // List readings, newest first by default, e.g.
+  // /api/readings?location=Ward-12&minScore=2&mentalStatus=Drowsy&from=...&to=...&limit=50
+  router.get('/api/readings', async (req, res) => {
+    try {
+      const page = parseListQuery(req.query, READING_SORTS, 'timestamp');
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const queryError = queryStringError(req.query, [
+        'location',
+        'patient',
+        'encounter',
+        'mentalStatus',
+        'minScore',
+        'maxScore'
+      ]);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { location, patient, encounter, mentalStatus, minScore, maxScore } = req.query;
+      const filter = {};
+      if (encounter) {
+        if (!mongoose.isValidObjectId(encounter)) {
+          return res.status(400).json({ error: 'encounter must be an encounter id.' });
+        }
+        filter.encounter = encounter;
+      }
+
+      const { range, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+      filter.range = range;
+
+      if (mentalStatus) {
+        const match = MENTAL_STATUS_OPTIONS.find(
+          (o) => o.toLowerCase() === String(mentalStatus).toLowerCase()
+        );
+        if (!match) {
+          return res
+            .status(400)
+            .json({ error: `mentalStatus must be one of: ${MENTAL_STATUS_OPTIONS.join(', ')}.` });
+        }
+        filter.mentalStatus = match;
+      }
+
+      if (minScore !== undefined) filter.minScore = Number(minScore);
+      if (maxScore !== undefined) filter.maxScore = Number(maxScore);
+      if ([filter.minScore, filter.maxScore].some((n) => n !== undefined && !Number.isFinite(n))) {
+        return res.status(400).json({ error: 'minScore and maxScore must be numbers.' });
+      }
+
+      if (patient || location) {
+        filter.patients = await patients.idsWhere({ externalId: patient, location });
+      }
+
+      const { items, nextCursor } = await readings.page(filter, page);
+      res.json({
+        count: items.length,
+        readings: items.map((reading) => readingFor(req, reading)),
+        nextCursor
+      });
+    } catch (err) {
+      console.error('Error fetching readings', err);
+      res.status(500).json({ error: 'Failed to fetch readings' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPatientRoutes };
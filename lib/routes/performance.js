@@ -0,0 +1,88 @@
+// Screening performance against labelled outcomes
+const express = require('express');
+const { READING_SCHEMA } = require('../validation');
+const { OVERRIDABLE_THRESHOLDS } = require('../baselines');
+const { queryStringError, parseDateRange } = require('../pagination');
+const {
+  OUTCOME_LABELS,
+  DEFAULT_POSITIVE_LABELS,
+  DEFAULT_CUTOFFS,
+  evaluatePerformance
+} = require('../outcomes');
+
+function createPerformanceRoutes({ store }) {
+  const { patients, encounters, readings, rules } = store;
+  const router = express.Router();
+
+  // Comma-separated list in a query parameter, or undefined when absent
+  function queryList(value) {
+    if (value === undefined) return undefined;
+    return String(value)
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  // ?cutoffs=1,2,3&positive=confirmed-sepsis,icu-transfer&respiratoryRate=&systolicBP=
+  // -> { options, error }
+  function parsePerformanceQuery(query) {
+    const queryError = queryStringError(query, [
+      'location',
+      'cutoffs',
+      'positive',
+      ...Object.keys(OVERRIDABLE_THRESHOLDS)
+    ]);
+    if (queryError) return { error: queryError };
+    const cutoffs = (queryList(query.cutoffs) || DEFAULT_CUTOFFS).map(Number);
+    if (!cutoffs.length || !cutoffs.every((c) => Number.isInteger(c) && c >= 0 && c <= 3)) {
+      return { error: 'cutoffs must be whole qSOFA scores from 0 to 3.' };
+    }
+    const positiveLabels = queryList(query.positive) || DEFAULT_POSITIVE_LABELS;
+    if (!positiveLabels.length || !positiveLabels.every((l) => OUTCOME_LABELS.includes(l))) {
+      return { error: `positive must list outcome labels: ${OUTCOME_LABELS.join(', ')}.` };
+    }
+    const criteria = {};
+    for (const field of Object.keys(OVERRIDABLE_THRESHOLDS)) {
+      if (query[field] === undefined) continue;
+      const value = Number(query[field]);
+      const { min, max } = READING_SCHEMA[field];
+      if (!Number.isFinite(value) || value < min || value > max) {
+        return { error: `${field} must be a number from ${min} to ${max}.` };
+      }
+      criteria[field] = value;
+    }
+    return { options: { cutoffs: [...new Set(cutoffs)], positiveLabels, criteria } };
+  }
+
+  // Replays labelled encounters admitted in ?from=&to= (optionally ever at ?location=) through
+  // qSOFA at the chosen cut-offs and every alert rule, and compares the flags with the outcomes
+  router.get('/api/analytics/performance', async (req, res) => {
+    try {
+      const { range, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+      const parsed = parsePerformanceQuery(req.query);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const labelled = await encounters.labelled({ range, location: req.query.location });
+      const stayPatients = await patients.findByIds(labelled.map((e) => e.patient));
+      const stayReadings = await readings.forEncounters(labelled.map((e) => e._id));
+
+      const patientsById = new Map(stayPatients.map((p) => [String(p._id), p]));
+      const readingsByEncounter = new Map(labelled.map((e) => [String(e._id), []]));
+      stayReadings.forEach((r) => readingsByEncounter.get(String(r.encounter)).push(r));
+      const stays = labelled.map((encounter) => ({
+        encounter,
+        patient: patientsById.get(String(encounter.patient)),
+        readings: readingsByEncounter.get(String(encounter._id))
+      }));
+      res.json(evaluatePerformance(stays, await rules.list(), parsed.options));
+    } catch (err) {
+      console.error('Error evaluating screening performance', err);
+      res.status(500).json({ error: 'Failed to evaluate screening performance' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPerformanceRoutes };
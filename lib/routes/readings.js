@@ -0,0 +1,256 @@
+// Recording, amending and deleting readings
+const express = require('express');
+const mongoose = require('mongoose');
+const { scoreReading } = require('../scoring');
+const { validateReading } = require('../validation');
+const { applyAlertAction, alertActionChanges } = require('../alerts');
+const { activeThresholds } = require('../baselines');
+const events = require('../events');
+const { canRecord, actorFrom } = require('../auth');
+const {
+  readingFor,
+  alertFor,
+  READING_FIELDS,
+  pickReadingFields,
+  requestFingerprint
+} = require('../services');
+
+function createReadingRoutes({ store, services }) {
+  const { patients, readings, alerts } = store;
+  const { audit, stayError, raiseAlerts, storeReading } = services;
+  const router = express.Router();
+
+  // Idempotency keys are client-generated, e.g. a UUID per submitted form
+  const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_:-]{8,100}$/;
+
+  // Answers a repeated Idempotency-Key with the reading it created (its current version) and the
+  // alerts it raised; reusing a key for a different reading is refused
+  async function replayReading(existing, fingerprint, req, res) {
+    if (existing.idempotency.fingerprint !== fingerprint) {
+      return res
+        .status(422)
+        .json({ error: 'This Idempotency-Key was already used for a different reading.' });
+    }
+    const [patient, reading, raised] = await Promise.all([
+      patients.findById(existing.patient),
+      readings.latestVersion(existing.readingGroup),
+      alerts.forReadings([existing._id])
+    ]);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(201).json({
+      patientId: patient.externalId,
+      reading: readingFor(req, reading),
+      alerts: raised.map((alert) => alertFor(req, alert))
+    });
+  }
+
+  // Create reading for a patient. An Idempotency-Key header makes retries safe: a key seen before
+  // returns the original result instead of storing the reading again.
+  router.post('/api/patients/:externalId/readings', canRecord, async (req, res) => {
+    try {
+      const key = req.get('Idempotency-Key');
+      let idempotency;
+      if (key !== undefined) {
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+          return res.status(400).json({
+            error: 'Idempotency-Key must be 8-100 letters, digits, "-", "_" or ":".'
+          });
+        }
+        idempotency = { key, fingerprint: requestFingerprint(req.params.externalId, req.body) };
+        const existing = await readings.findByIdempotencyKey(key);
+        if (existing) return replayReading(existing, idempotency.fingerprint, req, res);
+      }
+
+      const validation = validateReading(req.body);
+      if (!validation.errors.length) {
+        const error = await stayError(req.params.externalId, validation.value.timestamp);
+        if (error) validation.errors.push(error);
+      }
+      if (validation.errors.length) {
+        return res
+          .status(422)
+          .json({ error: 'Reading failed validation.', errors: validation.errors });
+      }
+
+      let stored;
+      try {
+        stored = await storeReading(req.params.externalId, validation, actorFrom(req.user), {
+          idempotency
+        });
+      } catch (err) {
+        // A concurrent retry with the same key stored it first
+        if (!idempotency || err.code !== 11000) throw err;
+        const existing = await readings.findByIdempotencyKey(key);
+        return replayReading(existing, idempotency.fingerprint, req, res);
+      }
+      const { patient, reading } = stored;
+
+      res.status(201).json({
+        patientId: patient.externalId,
+        reading: readingFor(req, reading),
+        alerts: stored.alerts.map((alert) => alertFor(req, alert))
+      });
+    } catch (err) {
+      console.error('Error creating reading', err);
+      res.status(500).json({ error: 'Failed to record reading' });
+    }
+  });
+
+  // Supersede the current version of a reading with a new one (amendment or deletion tombstone).
+  // The old version is claimed first, so of two concurrent changes only one goes ahead; returns
+  // null for the other. Open alerts on the superseded version are resolved and the new version
+  // is re-screened.
+  async function supersedeReading(current, fields, { reason, actor, deleted }) {
+    if (!(await readings.claimCurrent(current._id))) return null;
+
+    let reading;
+    try {
+      reading = await readings.create({
+        ...fields,
+        patient: current.patient,
+        encounter: current.encounter,
+        readingGroup: current.readingGroup || current._id,
+        version: (current.version || 1) + 1,
+        recordedBy: current.recordedBy,
+        isDeleted: Boolean(deleted),
+        amendment: { reason, by: actor, at: new Date(), previousVersion: current._id }
+      });
+    } catch (err) {
+      await readings.restoreCurrent(current._id);
+      throw err;
+    }
+
+    await audit({
+      actor,
+      action: deleted ? 'reading.delete' : 'reading.amend',
+      entityType: 'Reading',
+      entityId: reading.readingGroup,
+      patient: current.patient,
+      reason,
+      before: { version: current.version || 1, ...pickReadingFields(current) },
+      after: deleted ? null : { version: reading.version, ...pickReadingFields(reading) }
+    });
+
+    const staleAlerts = await alerts.unresolvedForReading(current._id);
+    for (const alert of staleAlerts) {
+      applyAlertAction(alert, 'resolve', {
+        user: actor.username,
+        note: `Reading ${deleted ? 'deleted' : `amended to version ${reading.version}`}: ${reason}`
+      });
+      await alerts.update(alert._id, alertActionChanges(alert));
+    }
+
+    const patient = await patients.findById(current.patient);
+    const raised = deleted ? [] : await raiseAlerts(patient, reading);
+
+    events.publish('reading-amended', { patient, reading });
+    raised.forEach((alert) => events.publish('alert-raised', { patient, alert }));
+
+    return { reading, alerts: raised };
+  }
+
+  // Looks up the reading being changed; only its current version may be amended or deleted
+  async function findCurrentReading(id, res) {
+    if (!mongoose.isValidObjectId(id)) {
+      res.status(404).json({ error: 'Reading not found' });
+      return null;
+    }
+    const reading = await readings.findById(id);
+    if (!reading) {
+      res.status(404).json({ error: 'Reading not found' });
+      return null;
+    }
+    if (reading.isCurrent === false || reading.isDeleted) {
+      await sendSuperseded(reading, res);
+      return null;
+    }
+    return reading;
+  }
+
+  // 409 for a change to a version that is no longer current, pointing at the one that is
+  async function sendSuperseded(reading, res) {
+    const latest = await readings.latestVersion(reading.readingGroup || reading._id);
+    res.status(409).json({
+      error: 'This reading has already been amended or deleted.',
+      currentVersionId: latest && !latest.isDeleted ? latest._id : null
+    });
+  }
+
+  // Amend a reading: body holds the changed fields plus a required reason
+  router.put('/api/readings/:id', canRecord, async (req, res) => {
+    try {
+      const { reason } = req.body;
+      if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to amend a reading.' });
+      }
+
+      const current = await findCurrentReading(req.params.id, res);
+      if (!current) return;
+
+      const changes = {};
+      READING_FIELDS.forEach((field) => {
+        if (field in req.body) changes[field] = req.body[field];
+      });
+      const { value, errors, flags } = validateReading({
+        ...pickReadingFields(current),
+        ...changes
+      });
+      if (errors.length) {
+        return res.status(422).json({ error: 'Reading failed validation.', errors });
+      }
+
+      const patient = await patients.findById(current.patient);
+      const thresholds = activeThresholds(patient.thresholdOverrides, value.timestamp);
+      const superseded = await supersedeReading(current, scoreReading(value, flags, thresholds), {
+        reason: reason.trim(),
+        actor: actorFrom(req.user)
+      });
+      if (!superseded) return sendSuperseded(current, res);
+      res.json({
+        reading: readingFor(req, superseded.reading),
+        alerts: superseded.alerts.map((alert) => alertFor(req, alert))
+      });
+    } catch (err) {
+      console.error('Error amending reading', err);
+      res.status(500).json({ error: 'Failed to amend reading' });
+    }
+  });
+
+  // Delete a reading: records a tombstone version; the reason comes from the body or ?reason=
+  router.delete('/api/readings/:id', canRecord, async (req, res) => {
+    try {
+      const reason = (req.body && req.body.reason) || req.query.reason;
+      if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to delete a reading.' });
+      }
+
+      const current = await findCurrentReading(req.params.id, res);
+      if (!current) return;
+
+      const fields = {
+        ...pickReadingFields(current),
+        qsofaScore: current.qsofaScore,
+        qsofaRiskLabel: current.qsofaRiskLabel,
+        qsofaReasons: current.qsofaReasons,
+        qsofaRiskCode: current.qsofaRiskCode,
+        qsofaReasonCodes: current.qsofaReasonCodes,
+        scores: current.scores,
+        personalizedQsofa: current.personalizedQsofa
+      };
+      const superseded = await supersedeReading(current, fields, {
+        reason: reason.trim(),
+        actor: actorFrom(req.user),
+        deleted: true
+      });
+      if (!superseded) return sendSuperseded(current, res);
+      res.json({ reading: readingFor(req, superseded.reading) });
+    } catch (err) {
+      console.error('Error deleting reading', err);
+      res.status(500).json({ error: 'Failed to delete reading' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReadingRoutes };
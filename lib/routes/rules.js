@@ -0,0 +1,108 @@
+// Alert rule administration
+const express = require('express');
+const { validateRule, ruleDefinition } = require('../rules');
+const { requireRole, actorFrom } = require('../auth');
+
+function createRuleRoutes({ store, services }) {
+  const { rules } = store;
+  const { audit } = services;
+  const router = express.Router();
+
+  // Rules in evaluation order
+  router.get('/api/alert-rules', async (req, res) => {
+    try {
+      const list = await rules.list();
+      res.json({ count: list.length, rules: list });
+    } catch (err) {
+      console.error('Error fetching alert rules', err);
+      res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+  });
+
+  router.post('/api/alert-rules', requireRole('admin'), async (req, res) => {
+    try {
+      const definition = ruleDefinition(req.body);
+      const errors = validateRule(definition);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Rule failed validation.', errors });
+      }
+      if (await rules.findByRuleId(definition.ruleId)) {
+        return res.status(409).json({ error: 'A rule with that ruleId already exists.' });
+      }
+
+      const actor = actorFrom(req.user);
+      const rule = await rules.create({ ...definition, createdBy: actor, updatedBy: actor });
+      await audit({
+        actor,
+        action: 'alertRule.create',
+        entityType: 'AlertRule',
+        entityId: rule._id,
+        after: definition
+      });
+      res.status(201).json({ rule });
+    } catch (err) {
+      console.error('Error creating alert rule', err);
+      res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+  });
+
+  // Change any part of a rule except its ruleId; the merged rule is validated as a whole
+  router.patch('/api/alert-rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+      const existing = await rules.findByRuleId(req.params.ruleId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+
+      const before = ruleDefinition(existing);
+      const definition = {
+        ...before,
+        ...ruleDefinition({ ...req.body, ruleId: existing.ruleId })
+      };
+      const errors = validateRule(definition);
+      if (errors.length) {
+        return res.status(422).json({ error: 'Rule failed validation.', errors });
+      }
+
+      const actor = actorFrom(req.user);
+      const rule = await rules.update(existing._id, { ...definition, updatedBy: actor });
+      await audit({
+        actor,
+        action: 'alertRule.update',
+        entityType: 'AlertRule',
+        entityId: rule._id,
+        before,
+        after: definition
+      });
+      res.json({ rule });
+    } catch (err) {
+      console.error('Error updating alert rule', err);
+      res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+  });
+
+  // Alerts already raised keep their ruleId after the rule is deleted
+  router.delete('/api/alert-rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+      const rule = await rules.deleteByRuleId(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+      await audit({
+        actor: actorFrom(req.user),
+        action: 'alertRule.delete',
+        entityType: 'AlertRule',
+        entityId: rule._id,
+        before: ruleDefinition(rule)
+      });
+      res.json({ deleted: rule.ruleId });
+    } catch (err) {
+      console.error('Error deleting alert rule', err);
+      res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRuleRoutes };
@@ -0,0 +1,32 @@
+// Registered scores and optional measurements
+const express = require('express');
+const { listScores, enabledScoreIds } = require('../scoring');
+const { OPTIONAL_MEASUREMENTS } = require('../vitals');
+
+function createScoreRoutes() {
+  const router = express.Router();
+
+  // Registered scores and which are enabled
+  router.get('/api/scores', (req, res) => {
+    const enabled = enabledScoreIds();
+    res.json({
+      scores: listScores().map(({ id, name, maxScore, inputs, thresholds }) => ({
+        id,
+        name,
+        maxScore,
+        inputs,
+        thresholds,
+        enabled: enabled.includes(id)
+      }))
+    });
+  });
+
+  // Optional vitals and labs with units and plausible ranges
+  router.get('/api/measurements', (req, res) => {
+    res.json({ measurements: OPTIONAL_MEASUREMENTS });
+  });
+
+  return router;
+}
+
+module.exports = { createScoreRoutes };
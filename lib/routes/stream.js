@@ -0,0 +1,40 @@
+// Live updates over Server-Sent Events
+const express = require('express');
+const events = require('../events');
+const { queryStringError } = require('../pagination');
+
+function createStreamRoutes() {
+  const router = express.Router();
+
+  // Live updates over Server-Sent Events, e.g. /api/stream?patient=Ward-12-Bed-03 or
+  // ?location=Ward-12
+  router.get('/api/stream', (req, res) => {
+    const queryError = queryStringError(req.query, ['patient', 'location']);
+    if (queryError) return res.status(400).json({ error: queryError });
+    const { patient, location } = req.query;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    // Ask the browser to wait 5 s before reconnecting after a drop
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = events.subscribe({ patient, location }, (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createStreamRoutes };
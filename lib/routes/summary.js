@@ -0,0 +1,204 @@
+// Patient summary and the handover report built from it
+const express = require('express');
+const { activeThresholds } = require('../baselines');
+const { parseDateRange } = require('../pagination');
+const { reassessmentStatus, deriveObservationAlerts } = require('../reassessment');
+const report = require('../report');
+const { bundleStatus } = require('../bundles');
+const { HOSPITAL_TIME_ZONE } = require('../i18n');
+const { readingFor, alertFor } = require('../services');
+
+function createSummaryRoutes({ store, services }) {
+  const { encounters, readings, alerts, bundles } = store;
+  const { findPatient, patientBaseline } = services;
+  const router = express.Router();
+
+  // Every amended or deleted reading of an encounter with all of its versions, oldest change first
+  async function amendmentHistory(patientId, encounterId) {
+    const groups = await readings.amendedGroups(patientId, encounterId);
+    if (!groups.length) return [];
+
+    const versions = await readings.versions(groups);
+    return groups
+      .map((group) => {
+        const groupVersions = versions.filter((v) => String(v.readingGroup) === String(group));
+        const latest = groupVersions[groupVersions.length - 1];
+        return {
+          readingGroup: group,
+          deleted: Boolean(latest.isDeleted),
+          currentVersionId: latest.isDeleted ? null : latest._id,
+          lastChangedAt: latest.amendment.at,
+          versions: groupVersions
+        };
+      })
+      .sort((a, b) => new Date(a.lastChangedAt) - new Date(b.lastChangedAt));
+  }
+
+  // Readings & derived summary for a patient (the /summary response), shared with the report.
+  // Sends 400/404 and returns null when the query is invalid.
+  async function patientSummary(patient, query, res) {
+    // One stay at a time: ?encounter=<id>, otherwise the active or most recent encounter
+    const stays = await encounters.forPatient(patient._id);
+    let encounter = stays.find((e) => e.status === 'active') || stays[0];
+    if (query.encounter) {
+      encounter = stays.find((e) => String(e._id) === String(query.encounter));
+      if (!encounter) {
+        res.status(404).json({ error: 'Encounter not found' });
+        return null;
+      }
+    }
+    const encounterId = encounter ? encounter._id : null;
+
+    // Optional ?from=&to= window; alerts and the overall status are as of the window's end,
+    // or the discharge time for a past stay
+    const { range, error } = parseDateRange(query);
+    if (error) {
+      res.status(400).json({ error });
+      return null;
+    }
+    const ends = [new Date(), range && range.to, encounter && encounter.dischargedAt];
+    const asOf = new Date(Math.min(...ends.filter(Boolean)));
+
+    const timeline = await readings.timeline(patient._id, { encounter: encounterId, range });
+    const history =
+      query.includeHistory === 'true'
+        ? await amendmentHistory(patient._id, encounterId)
+        : undefined;
+
+    const patientInfo = {
+      externalId: patient.externalId,
+      name: patient.name,
+      location: patient.location,
+      baseline: await patientBaseline(patient, encounterId),
+      thresholds: activeThresholds(patient.thresholdOverrides, asOf)
+    };
+    const encounterList = stays.map(({ _id, status, admittedAt, dischargedAt, location }) => ({
+      _id,
+      status,
+      admittedAt,
+      dischargedAt,
+      location
+    }));
+
+    if (!timeline.length) {
+      return {
+        patient: patientInfo,
+        encounter: encounter || null,
+        encounters: encounterList,
+        readings: [],
+        alerts: [],
+        bundles: [],
+        overall: null,
+        history
+      };
+    }
+
+    // Alerts on superseded versions were resolved by the amendment and only show in history
+    const storedAlerts = await alerts.forReadings(timeline.map((r) => r._id));
+    // Missed/overdue observation alerts depend on the current time, so they are derived per request
+    const stayAlerts = [...storedAlerts, ...deriveObservationAlerts(timeline, asOf)].sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    const stayBundles = await bundles.forEncounter(encounterId);
+
+    const latest = timeline[timeline.length - 1];
+    const overall = {
+      latestQSOFA: latest.qsofaScore,
+      latestRiskLabel: latest.qsofaRiskLabel,
+      latestScores: latest.scores || [],
+      // Shown next to the standard score, never instead of it
+      latestPersonalizedQSOFA: latest.personalizedQsofa || null,
+      totalReadings: timeline.length,
+      reassessment: reassessmentStatus(latest, asOf)
+    };
+
+    return {
+      patient: patientInfo,
+      encounter,
+      encounters: encounterList,
+      readings: timeline,
+      alerts: stayAlerts,
+      bundles: stayBundles.map((bundle) => bundleStatus(bundle, asOf)),
+      overall,
+      history
+    };
+  }
+
+  // The summary with score and alert texts in the request's language (the report stays English)
+  function localizedSummary(req, summary) {
+    const { readings, alerts, overall, history } = summary;
+    const latest = readings.length ? readingFor(req, readings[readings.length - 1]) : null;
+    return {
+      ...summary,
+      readings: readings.map((reading) => readingFor(req, reading)),
+      alerts: alerts.map((alert) => alertFor(req, alert)),
+      overall: overall && {
+        ...overall,
+        latestRiskLabel: latest.qsofaRiskLabel,
+        latestScores: latest.scores || [],
+        latestPersonalizedQSOFA: latest.personalizedQsofa || null
+      },
+      history:
+        history &&
+        history.map((group) => ({
+          ...group,
+          versions: group.versions.map((version) => readingFor(req, version))
+        }))
+    };
+  }
+
+  router.get('/api/patients/:externalId/summary', async (req, res) => {
+    try {
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      const summary = await patientSummary(patient, req.query, res);
+      if (summary) res.json(localizedSummary(req, summary));
+    } catch (err) {
+      console.error('Error fetching summary', err);
+      res.status(500).json({ error: 'Failed to fetch summary' });
+    }
+  });
+
+  const REPORT_FORMATS = ['pdf', 'html'];
+
+  // Handover report of one stay: ?format=pdf|html plus the summary's encounter/from/to, and
+  // ?tz= (an IANA time zone such as Europe/London) for the times shown; defaults to
+  // HOSPITAL_TIME_ZONE
+  router.get('/api/patients/:externalId/report', async (req, res) => {
+    try {
+      const format = req.query.format || 'pdf';
+      if (!REPORT_FORMATS.includes(format)) {
+        const formats = REPORT_FORMATS.join(', ');
+        return res.status(400).json({ error: `format must be one of: ${formats}.` });
+      }
+      const timeZone = req.query.tz || HOSPITAL_TIME_ZONE;
+      try {
+        report.timeFormatter(timeZone);
+      } catch (err) {
+        return res.status(400).json({ error: 'tz must be an IANA time zone, e.g. Europe/London.' });
+      }
+
+      const patient = await findPatient(req.params.externalId, res);
+      if (!patient) return;
+      const summary = await patientSummary(patient, { ...req.query, includeHistory: 'false' }, res);
+      if (!summary) return;
+
+      const options = { generatedBy: req.user.username, timeZone };
+      const filename = `screening-report-${patient.externalId.replace(/[^\w-]/g, '_')}.${format}`;
+      if (format === 'html') {
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        return res.type('html').send(report.renderHtml(summary, options));
+      }
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.type('pdf');
+      report.renderPdf(summary, res, options);
+    } catch (err) {
+      console.error('Error generating report', err);
+      res.status(500).json({ error: 'Failed to generate report' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSummaryRoutes };
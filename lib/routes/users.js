@@ -0,0 +1,106 @@
+// User administration (admin only)
+const express = require('express');
+const mongoose = require('mongoose');
+const { ROLES, hashPassword, requireRole, actorFrom } = require('../auth');
+const { publicUser } = require('../services');
+
+function createUserRoutes({ store, services }) {
+  const { users } = store;
+  const { audit } = services;
+  const router = express.Router();
+
+  // User administration (admin only)
+  router.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const list = await users.list();
+      res.json({ count: list.length, users: list.map(publicUser) });
+    } catch (err) {
+      console.error('Error fetching users', err);
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  router.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const { username, password, role, displayName } = req.body;
+      if (!username || !password || !role) {
+        return res.status(400).json({ error: 'username, password and role are required.' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` });
+      }
+      if (String(password).length < 8) {
+        return res.status(400).json({ error: 'password must be at least 8 characters.' });
+      }
+      if (await users.findByUsername(String(username).toLowerCase().trim())) {
+        return res.status(409).json({ error: 'A user with that username already exists.' });
+      }
+
+      const user = await users.create({
+        username,
+        displayName,
+        role,
+        passwordHash: await hashPassword(String(password))
+      });
+      await audit({
+        actor: actorFrom(req.user),
+        action: 'user.create',
+        entityType: 'User',
+        entityId: user._id,
+        after: { username: user.username, role: user.role }
+      });
+      res.status(201).json({ user: publicUser(user) });
+    } catch (err) {
+      console.error('Error creating user', err);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  // Change a user's role, display name, password or active flag
+  router.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const { role, displayName, password, active } = req.body;
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const existing = await users.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const changes = {};
+      if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` });
+        }
+        changes.role = role;
+      }
+      if (password !== undefined) {
+        if (String(password).length < 8) {
+          return res.status(400).json({ error: 'password must be at least 8 characters.' });
+        }
+        changes.passwordHash = await hashPassword(String(password));
+      }
+      if (displayName !== undefined) changes.displayName = displayName;
+      if (active !== undefined) changes.active = Boolean(active);
+
+      const user = await users.update(existing._id, changes);
+      await audit({
+        actor: actorFrom(req.user),
+        action: 'user.update',
+        entityType: 'User',
+        entityId: user._id,
+        // Never copy the password or its hash into the audit trail
+        after: { role, displayName, active, passwordChanged: password !== undefined }
+      });
+      res.json({ user: publicUser(user) });
+    } catch (err) {
+      console.error('Error updating user', err);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUserRoutes };
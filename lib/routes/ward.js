@@ -0,0 +1,107 @@
+// Ward overview and overdue reassessments of admitted patients
+const express = require('express');
+const { queryStringError } = require('../pagination');
+const { reassessmentStatus } = require('../reassessment');
+const { readingFor } = require('../services');
+
+function createWardRoutes({ store }) {
+  const { patients, encounters, readings, alerts } = store;
+  const router = express.Router();
+
+  // Patients currently admitted (with an active encounter), optionally at one location
+  async function admittedPatients(location) {
+    return patients.findByIds(await encounters.activePatientIds(), { location });
+  }
+
+  // Latest reading of each patient's active encounter, keyed by patient id
+  async function latestReadingsByPatient(patientIds) {
+    return readings.latestByPatient(await encounters.activeIdsForPatients(patientIds));
+  }
+
+  // Ward overview: every admitted patient with their latest qSOFA, time since last reading and
+  // open alerts, ranked highest risk first. Optional ?location= filter.
+  router.get('/api/ward', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['location']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { location } = req.query;
+      const patients = await admittedPatients(location);
+      const patientIds = patients.map((p) => p._id);
+
+      const [latestByPatient, openByPatient] = await Promise.all([
+        latestReadingsByPatient(patientIds),
+        alerts.openCountsByPatient(patientIds)
+      ]);
+      const now = Date.now();
+
+      const board = patients.map((patient) => {
+        const latest = latestByPatient.get(String(patient._id));
+        const reassessment = latest ? reassessmentStatus(latest) : null;
+        return {
+          externalId: patient.externalId,
+          name: patient.name,
+          location: patient.location,
+          latestQSOFA: latest ? latest.qsofaScore : null,
+          latestRiskLabel: latest ? readingFor(req, latest).qsofaRiskLabel : null,
+          lastReadingAt: latest ? latest.timestamp : null,
+          minutesSinceLastReading: latest
+            ? Math.max(0, Math.round((now - new Date(latest.timestamp).getTime()) / 60000))
+            : null,
+          nextDueAt: reassessment ? reassessment.nextDueAt : null,
+          overdue: reassessment ? reassessment.overdue : false,
+          openAlertCount: openByPatient.get(String(patient._id)) || 0
+        };
+      });
+
+      // Highest score first, then most open alerts, then the longest without a reading
+      board.sort(
+        (a, b) =>
+          (b.latestQSOFA ?? -1) - (a.latestQSOFA ?? -1) ||
+          b.openAlertCount - a.openAlertCount ||
+          (b.minutesSinceLastReading ?? -1) - (a.minutesSinceLastReading ?? -1)
+      );
+
+      res.json({ location: location || null, count: board.length, patients: board });
+    } catch (err) {
+      console.error('Error fetching ward overview', err);
+      res.status(500).json({ error: 'Failed to fetch ward overview' });
+    }
+  });
+
+  // Patients whose latest reading is past its reassessment time, most overdue first
+  router.get('/api/reassessment/overdue', async (req, res) => {
+    try {
+      const queryError = queryStringError(req.query, ['location']);
+      if (queryError) return res.status(400).json({ error: queryError });
+      const { location } = req.query;
+      const patients = await admittedPatients(location);
+      const latestByPatient = await latestReadingsByPatient(patients.map((p) => p._id));
+      const now = new Date();
+
+      const overdue = patients
+        .filter((patient) => latestByPatient.has(String(patient._id)))
+        .map((patient) => {
+          const latest = latestByPatient.get(String(patient._id));
+          return {
+            externalId: patient.externalId,
+            name: patient.name,
+            location: patient.location,
+            latestQSOFA: latest.qsofaScore,
+            lastReadingAt: latest.timestamp,
+            ...reassessmentStatus(latest, now)
+          };
+        })
+        .filter((entry) => entry.overdue)
+        .sort((a, b) => b.overdueMinutes - a.overdueMinutes);
+
+      res.json({ count: overdue.length, patients: overdue });
+    } catch (err) {
+      console.error('Error fetching overdue reassessments', err);
+      res.status(500).json({ error: 'Failed to fetch overdue reassessments' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWardRoutes };
@@ -0,0 +1,12 @@
+// Shared helper for banded (points-per-range) scoring tables.
+// A band matches when value <= atMost, or value < below; a band with neither is the catch-all.
+function pointsFor(value, bands) {
+  const band = bands.find((b) => {
+    if (b.atMost !== undefined) return value <= b.atMost;
+    if (b.below !== undefined) return value < b.below;
+    return true;
+  });
+  return band ? band.points : 0;
+}
+
+module.exports = { pointsFor };
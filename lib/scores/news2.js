@@ -0,0 +1,100 @@
+// NEWS2 (National Early Warning Score 2), SpO2 scale 1
+const { pointsFor } = require('./bands');
+
+// Banded parameters; each has a reason code news2.reason.<input>
+const PARAMETERS = ['respiratoryRate', 'spo2', 'systolicBP', 'heartRate', 'temperature'];
+
+module.exports = {
+  id: 'news2',
+  name: 'NEWS2',
+  maxScore: 20,
+  inputs: [
+    'respiratoryRate',
+    'spo2',
+    'supplementalOxygen',
+    'systolicBP',
+    'heartRate',
+    'mentalStatus',
+    'temperature'
+  ],
+  thresholds: {
+    respiratoryRate: [
+      { atMost: 8, points: 3 },
+      { atMost: 11, points: 1 },
+      { atMost: 20, points: 0 },
+      { atMost: 24, points: 2 },
+      { points: 3 }
+    ],
+    spo2: [
+      { atMost: 91, points: 3 },
+      { atMost: 93, points: 2 },
+      { atMost: 95, points: 1 },
+      { points: 0 }
+    ],
+    supplementalOxygen: 2,
+    systolicBP: [
+      { atMost: 90, points: 3 },
+      { atMost: 100, points: 2 },
+      { atMost: 110, points: 1 },
+      { atMost: 219, points: 0 },
+      { points: 3 }
+    ],
+    heartRate: [
+      { atMost: 40, points: 3 },
+      { atMost: 50, points: 1 },
+      { atMost: 90, points: 0 },
+      { atMost: 110, points: 1 },
+      { atMost: 130, points: 2 },
+      { points: 3 }
+    ],
+    consciousness: 3,
+    temperature: [
+      { atMost: 35, points: 3 },
+      { atMost: 36, points: 1 },
+      { atMost: 38, points: 0 },
+      { atMost: 39, points: 1 },
+      { points: 2 }
+    ],
+    mediumRisk: 5,
+    highRisk: 7
+  },
+  evaluate(inputs, thresholds) {
+    let score = 0;
+    let hasRedScore = false;
+    const reasonCodes = [];
+
+    PARAMETERS.forEach((input) => {
+      const value = inputs[input];
+      if (value === undefined) return;
+      const points = pointsFor(value, thresholds[input]);
+      if (points > 0) {
+        score += points;
+        reasonCodes.push({ code: `news2.reason.${input}`, params: { value, points } });
+      }
+      if (points === 3) hasRedScore = true;
+    });
+
+    if (inputs.supplementalOxygen) {
+      score += thresholds.supplementalOxygen;
+      reasonCodes.push({
+        code: 'news2.reason.supplementalOxygen',
+        params: { points: thresholds.supplementalOxygen }
+      });
+    }
+    if (inputs.mentalStatus && inputs.mentalStatus.toLowerCase() !== 'alert') {
+      score += thresholds.consciousness;
+      hasRedScore = true;
+      reasonCodes.push({
+        code: 'news2.reason.consciousness',
+        params: { points: thresholds.consciousness }
+      });
+    }
+
+    let riskCode = 'news2.risk.low';
+    if (hasRedScore) riskCode = 'news2.risk.lowMedium';
+    if (score >= thresholds.mediumRisk) riskCode = 'news2.risk.medium';
+    if (score >= thresholds.highRisk) riskCode = 'news2.risk.high';
+
+    return { score, riskCode, reasonCodes };
+  }
+};
@@ -0,0 +1,42 @@
+// qSOFA (quick Sequential Organ Failure Assessment) screening rule set
+// Reasons and the risk label are message codes (lib/locales); lib/scoring.js adds the text.
+
+module.exports = {
+  id: 'qsofa',
+  name: 'qSOFA',
+  maxScore: 3,
+  inputs: ['respiratoryRate', 'systolicBP', 'mentalStatus'],
+  thresholds: {
+    respiratoryRate: 22,
+    systolicBP: 100
+  },
+  evaluate({ respiratoryRate, systolicBP, mentalStatus }, thresholds) {
+    let score = 0;
+    const reasonCodes = [];
+
+    if (respiratoryRate >= thresholds.respiratoryRate) {
+      score += 1;
+      reasonCodes.push({
+        code: 'qsofa.reason.respiratoryRate',
+        params: { threshold: thresholds.respiratoryRate }
+      });
+    }
+    if (systolicBP <= thresholds.systolicBP) {
+      score += 1;
+      reasonCodes.push({
+        code: 'qsofa.reason.systolicBP',
+        params: { threshold: thresholds.systolicBP }
+      });
+    }
+    if (mentalStatus && mentalStatus.toLowerCase() !== 'alert') {
+      score += 1;
+      reasonCodes.push({ code: 'qsofa.reason.mentalStatus', params: {} });
+    }
+
+    let riskCode = 'qsofa.risk.low';
+    if (score === 1) riskCode = 'qsofa.risk.intermediate';
+    if (score >= 2) riskCode = 'qsofa.risk.high';
+
+    return { score, riskCode, reasonCodes };
+  }
+};
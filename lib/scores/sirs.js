@@ -0,0 +1,53 @@
+// SIRS (Systemic Inflammatory Response Syndrome) criteria
+
+module.exports = {
+  id: 'sirs',
+  name: 'SIRS',
+  maxScore: 4,
+  inputs: ['temperature', 'heartRate', 'respiratoryRate', 'wbc'],
+  thresholds: {
+    temperatureHigh: 38,
+    temperatureLow: 36,
+    heartRate: 90,
+    respiratoryRate: 20,
+    wbcHigh: 12,
+    wbcLow: 4
+  },
+  evaluate({ temperature, heartRate, respiratoryRate, wbc }, thresholds) {
+    let score = 0;
+    const reasonCodes = [];
+    const reason = (key, threshold) =>
+      reasonCodes.push({ code: `sirs.reason.${key}`, params: { threshold } });
+
+    if (temperature !== undefined) {
+      if (temperature > thresholds.temperatureHigh) {
+        score += 1;
+        reason('temperatureHigh', thresholds.temperatureHigh);
+      } else if (temperature < thresholds.temperatureLow) {
+        score += 1;
+        reason('temperatureLow', thresholds.temperatureLow);
+      }
+    }
+    if (heartRate !== undefined && heartRate > thresholds.heartRate) {
+      score += 1;
+      reason('heartRate', thresholds.heartRate);
+    }
+    if (respiratoryRate !== undefined && respiratoryRate > thresholds.respiratoryRate) {
+      score += 1;
+      reason('respiratoryRate', thresholds.respiratoryRate);
+    }
+    if (wbc !== undefined) {
+      if (wbc > thresholds.wbcHigh) {
+        score += 1;
+        reason('wbcHigh', thresholds.wbcHigh);
+      } else if (wbc < thresholds.wbcLow) {
+        score += 1;
+        reason('wbcLow', thresholds.wbcLow);
+      }
+    }
+
+    const riskCode = score >= 2 ? 'sirs.risk.met' : 'sirs.risk.notMet';
+
+    return { score, riskCode, reasonCodes };
+  }
+};
@@ -0,0 +1,126 @@
+// SOFA (Sequential Organ Failure Assessment). Only a reading with every input of all six organ
+// systems is called SOFA; otherwise the result is named "Partial SOFA" and lists the systems it
+// scored. Cardiovascular takes the higher of the MAP and vasopressor points, and respiration only
+// scores 3 or 4 points on respiratory support, as in the published table.
+const { pointsFor } = require('./bands');
+
+// Inputs per organ system
+const ORGAN_SYSTEMS = {
+  respiration: ['pao2Fio2Ratio', 'respiratorySupport'],
+  coagulation: ['platelets'],
+  liver: ['bilirubin'],
+  cardiovascular: ['meanArterialPressure', 'vasopressors'],
+  cns: ['gcs'],
+  renal: ['creatinine']
+};
+
+module.exports = {
+  id: 'sofa',
+  name: 'SOFA',
+  maxScore: 24,
+  inputs: Object.values(ORGAN_SYSTEMS).flat(),
+  thresholds: {
+    pao2Fio2Ratio: [
+      { below: 100, points: 4 },
+      { below: 200, points: 3 },
+      { below: 300, points: 2 },
+      { below: 400, points: 1 },
+      { points: 0 }
+    ],
+    // Respiration points without mechanical ventilation or CPAP
+    unsupportedRespiration: 2,
+    platelets: [
+      { below: 20, points: 4 },
+      { below: 50, points: 3 },
+      { below: 100, points: 2 },
+      { below: 150, points: 1 },
+      { points: 0 }
+    ],
+    bilirubin: [
+      { below: 1.2, points: 0 },
+      { below: 2, points: 1 },
+      { below: 6, points: 2 },
+      { below: 12, points: 3 },
+      { points: 4 }
+    ],
+    meanArterialPressure: [{ below: 70, points: 1 }, { points: 0 }],
+    // Vasopressor dose bands from lib/vitals.js
+    vasopressors: { none: 0, low: 2, medium: 3, high: 4 },
+    gcs: [
+      { below: 6, points: 4 },
+      { below: 10, points: 3 },
+      { below: 13, points: 2 },
+      { below: 15, points: 1 },
+      { points: 0 }
+    ],
+    creatinine: [
+      { below: 1.2, points: 0 },
+      { below: 2, points: 1 },
+      { below: 3.5, points: 2 },
+      { below: 5, points: 3 },
+      { points: 4 }
+    ],
+    organDysfunction: 2
+  },
+  evaluate(inputs, thresholds) {
+    const banded = (input) =>
+      inputs[input] === undefined ? 0 : pointsFor(inputs[input], thresholds[input]);
+    const respiration = inputs.respiratorySupport
+      ? banded('pao2Fio2Ratio')
+      : Math.min(banded('pao2Fio2Ratio'), thresholds.unsupportedRespiration);
+    // Vasopressors replace the MAP point rather than adding to it
+    const vasopressors = Object.hasOwn(thresholds.vasopressors, inputs.vasopressors || '')
+      ? thresholds.vasopressors[inputs.vasopressors]
+      : 0;
+    const cardiovascular =
+      vasopressors > banded('meanArterialPressure')
+        ? ['vasopressors', vasopressors]
+        : ['meanArterialPressure', banded('meanArterialPressure')];
+
+    let score = 0;
+    const reasonCodes = [];
+    [
+      ['pao2Fio2Ratio', respiration],
+      ['platelets', banded('platelets')],
+      ['bilirubin', banded('bilirubin')],
+      cardiovascular,
+      ['gcs', banded('gcs')],
+      ['creatinine', banded('creatinine')]
+    ].forEach(([input, points]) => {
+      if (points === 0) return;
+      score += points;
+      reasonCodes.push(
+        input === 'vasopressors'
+          ? { code: `sofa.reason.vasopressors.${inputs.vasopressors}`, params: { points } }
+          : { code: `sofa.reason.${input}`, params: { value: inputs[input], points } }
+      );
+    });
+
+    // A system counts as scored once all its inputs are known; until then its points are a floor
+    const organSystems = Object.keys(ORGAN_SYSTEMS).filter((system) =>
+      ORGAN_SYSTEMS[system].every((input) => inputs[input] !== undefined)
+    );
+    const dysfunction = score >= thresholds.organDysfunction;
+    if (organSystems.length === Object.keys(ORGAN_SYSTEMS).length) {
+      return {
+        score,
+        riskCode: dysfunction ? 'sofa.risk.dysfunction' : 'sofa.risk.belowThreshold',
+        reasonCodes,
+        organSystems
+      };
+    }
+    // Missing inputs can only add points, so a partial score can show dysfunction but not rule
+    // it out
+    reasonCodes.push({
+      code: 'sofa.reason.partial',
+      params: { count: organSystems.length, total: Object.keys(ORGAN_SYSTEMS).length }
+    });
+    return {
+      nameCode: 'sofa.name.partial',
+      score,
+      riskCode: dysfunction ? 'sofa.risk.partialDysfunction' : 'sofa.risk.partial',
+      reasonCodes,
+      organSystems
+    };
+  }
+};
@@ -0,0 +1,151 @@
+// Scoring engine (screening only)
+// Each score is a registered rule set with its own inputs, thresholds and reason codes.
+// Readings are evaluated against every enabled score and the results stored side by side.
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const registry = new Map();
+
+// Inputs that are not plain numbers; everything else is coerced with Number()
+const INPUT_TYPES = {
+  mentalStatus: 'string',
+  supplementalOxygen: 'boolean',
+  vasopressors: 'string',
+  respiratorySupport: 'boolean'
+};
+
+function registerScore(definition) {
+  if (!definition || !definition.id || typeof definition.evaluate !== 'function') {
+    throw new Error('A score definition needs an id and an evaluate function.');
+  }
+  registry.set(definition.id, {
+    name: definition.id,
+    inputs: [],
+    thresholds: {},
+    ...definition
+  });
+}
+
+function getScore(id) {
+  return registry.get(id);
+}
+
+function listScores() {
+  return Array.from(registry.values());
+}
+
+// ENABLED_SCORES=qsofa,news2 limits which scores are computed; qSOFA is always computed
+// because the rest of the app (alerts, summary) is built on it.
+function enabledScoreIds() {
+  const configured = (process.env.ENABLED_SCORES || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const ids = configured.length ? configured : Array.from(registry.keys());
+  return ['qsofa', ...ids.filter((id) => id !== 'qsofa' && registry.has(id))];
+}
+
+function normalizeInput(name, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const type = INPUT_TYPES[name];
+  if (type === 'string') return String(value);
+  if (type === 'boolean') return value === true || value === 'true';
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+// A definition's result with the English riskLabel and reasons stored beside the codes, and the
+// English name when it gives a nameCode (e.g. a partial result). Other fields it returns are kept.
+function withText({ score, riskCode, reasonCodes, nameCode, ...details }) {
+  return {
+    ...details,
+    ...(nameCode && { name: translate(DEFAULT_LOCALE, nameCode), nameCode }),
+    score,
+    riskLabel: translate(DEFAULT_LOCALE, riskCode),
+    reasons: reasonCodes.map(({ code, params }) => translate(DEFAULT_LOCALE, code, params)),
+    riskCode,
+    reasonCodes
+  };
+}
+
+function evaluateScore(id, source) {
+  const def = registry.get(id);
+  if (!def) throw new Error(`Unknown score: ${id}`);
+
+  const inputs = {};
+  def.inputs.forEach((name) => {
+    inputs[name] = normalizeInput(name, source[name]);
+  });
+  const missingInputs = def.inputs.filter((name) => inputs[name] === undefined);
+
+  return {
+    scoreId: def.id,
+    name: def.name,
+    ...withText(def.evaluate(inputs, def.thresholds)),
+    maxScore: def.maxScore,
+    missingInputs,
+    complete: missingInputs.length === 0
+  };
+}
+
+function computeScores(source, ids = enabledScoreIds()) {
+  return ids.map((id) => evaluateScore(id, source));
+}
+
+// Kept for callers that only need the qSOFA result
+// thresholds: optional per-patient overrides of the qSOFA respiratoryRate/systolicBP cut-offs
+function calculateQSOFA({ respiratoryRate, systolicBP, mentalStatus }, thresholds = {}) {
+  const def = registry.get('qsofa');
+  const inputs = { respiratoryRate, systolicBP, mentalStatus };
+  return withText(def.evaluate(inputs, { ...def.thresholds, ...thresholds }));
+}
+
+// Stored fields and scores for validated reading values; thresholds are the patient's active
+// qSOFA overrides, which add a personalised score alongside the standard one
+function scoreReading(value, flags, thresholds = {}) {
+  const { respiratoryRate, systolicBP, mentalStatus, timestamp, ...measurements } = value;
+  const { score, riskLabel, reasons, riskCode, reasonCodes } = calculateQSOFA({
+    respiratoryRate,
+    systolicBP,
+    mentalStatus
+  });
+
+  return {
+    respiratoryRate,
+    systolicBP,
+    mentalStatus,
+    timestamp,
+    qsofaScore: score,
+    qsofaRiskLabel: riskLabel,
+    qsofaReasons: reasons,
+    qsofaRiskCode: riskCode,
+    qsofaReasonCodes: reasonCodes,
+    ...measurements,
+    scores: computeScores({ respiratoryRate, systolicBP, mentalStatus, ...measurements }),
+    personalizedQsofa: Object.keys(thresholds).length
+      ? {
+          ...calculateQSOFA({ respiratoryRate, systolicBP, mentalStatus }, thresholds),
+          thresholds
+        }
+      : undefined,
+    needsVerification: flags.length > 0,
+    verificationFlags: flags
+  };
+}
+
+[
+  require('./scores/qsofa'),
+  require('./scores/sirs'),
+  require('./scores/news2'),
+  require('./scores/sofa')
+].forEach(registerScore);
+
+module.exports = {
+  registerScore,
+  getScore,
+  listScores,
+  enabledScoreIds,
+  evaluateScore,
+  computeScores,
+  calculateQSOFA,
+  scoreReading
+};
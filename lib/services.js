@@ -0,0 +1,326 @@
+// Services shared by the routes, the HL7 worker and the demo seed: recording a reading (patient,
+// encounter, scores, alerts, bundle and notifications) and the lookups around it.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { scoreReading } = require('./scoring');
+const { READING_SCHEMA } = require('./validation');
+const { historyNeeds, evaluateRules } = require('./rules');
+const {
+  BASELINE_READING_COUNT,
+  effectiveBaseline,
+  baselineReading,
+  activeThresholds,
+  baselineDeviation
+} = require('./baselines');
+const events = require('./events');
+const {
+  admission,
+  applyEncounterEvent,
+  encounterEventChanges,
+  encounterAt
+} = require('./encounters');
+const { BUNDLE_TRIGGER_RULES, newBundle } = require('./bundles');
+const { localizeReading, localizeAlert } = require('./i18n');
+
+// A reading or alert with its score and alert texts in the request's language
+const readingFor = (req, reading) => localizeReading(reading, req.locale);
+const alertFor = (req, alert) => localizeAlert(alert, req.locale);
+
+function publicUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    active: user.active
+  };
+}
+
+// Clinical fields of a reading (everything validated except patient name/location)
+const READING_FIELDS = Object.keys(READING_SCHEMA).filter(
+  (field) => field !== 'name' && field !== 'location'
+);
+
+function pickReadingFields(reading) {
+  const fields = {};
+  READING_FIELDS.forEach((field) => {
+    if (reading[field] !== undefined && reading[field] !== null) fields[field] = reading[field];
+  });
+  return fields;
+}
+
+// Fingerprint of an idempotent request, so a reused key with a different body is refused
+function requestFingerprint(externalId, body) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([externalId, body]))
+    .digest('hex');
+}
+
+// auditLog is the store's audit repository (lib/storage/index.js)
+function createAudit(auditLog) {
+  return function audit({ actor, action, entityType, entityId, patient, reason, before, after }) {
+    return auditLog.add({ actor, action, entityType, entityId, patient, reason, before, after });
+  };
+}
+
+// store is from lib/storage/index.js and audit from createAudit(); notifyAlerts(patient, alerts)
+// queues outbound notifications (see lib/workers/notifications.js)
+function createServices(store, { audit, notifyAlerts }) {
+  const { patients, encounters, readings } = store;
+
+  // Sends a 404 and returns null when there is no such patient
+  async function findPatient(externalId, res) {
+    const patient = await patients.findByExternalId(externalId);
+    if (!patient) res.status(404).json({ error: 'Patient not found' });
+    return patient;
+  }
+
+  // Ensure patient helper
+  async function ensurePatient(externalId, name, location, actor) {
+    let patient = await patients.findByExternalId(externalId);
+    if (!patient) {
+      patient = await patients.create({
+        externalId,
+        name,
+        location,
+        createdBy: actor,
+        updatedBy: actor
+      });
+      await audit({
+        actor,
+        action: 'patient.create',
+        entityType: 'Patient',
+        entityId: patient._id,
+        patient: patient._id,
+        after: { externalId, name, location }
+      });
+    } else if ((name && name !== patient.name) || (location && location !== patient.location)) {
+      const before = { name: patient.name, location: patient.location };
+      patient = await patients.update(patient._id, {
+        name: name || patient.name,
+        location: location || patient.location,
+        updatedBy: actor
+      });
+      await audit({
+        actor,
+        action: 'patient.update',
+        entityType: 'Patient',
+        entityId: patient._id,
+        patient: patient._id,
+        before,
+        after: { name: patient.name, location: patient.location }
+      });
+    }
+    return patient;
+  }
+
+  // The active encounter, or the most recent one once the patient has been discharged
+  async function currentEncounter(patientId) {
+    return (await encounters.active(patientId)) || encounters.latest(patientId);
+  }
+
+  function auditEncounter(encounter, action, actor, reason) {
+    return audit({
+      actor,
+      action,
+      entityType: 'Encounter',
+      entityId: encounter._id,
+      patient: encounter.patient,
+      reason,
+      after: { status: encounter.status, location: encounter.location }
+    });
+  }
+
+  const OUTSIDE_STAYS = {
+    field: 'timestamp',
+    code: 'outside_encounter',
+    message: 'Reading time is before the current admission and outside every earlier stay.'
+  };
+
+  // A back-dated reading the active stay cannot take: it is from before that admission and falls
+  // in no discharged stay either. Checked with validation so every ingestion path can reject it.
+  async function stayError(externalId, timestamp) {
+    const patient = await patients.findByExternalId(externalId);
+    if (!patient) return null;
+    const stays = await encounters.forPatient(patient._id);
+    const active = stays.find((e) => e.status === 'active');
+    if (!active || encounterAt(stays, timestamp)) return null;
+    return OUTSIDE_STAYS;
+  }
+
+  // The encounter a new reading belongs to: the stay its timestamp falls in, else the active one
+  // if the reading is not from before its admission. Without either the patient is admitted
+  // automatically at the reading's time, and a reading from a new location transfers the active
+  // encounter there.
+  async function encounterForReading(patient, timestamp, location, actor) {
+    const stays = await encounters.forPatient(patient._id);
+    let encounter = encounterAt(stays, timestamp);
+    if (!encounter && stays.some((e) => e.status === 'active')) {
+      // stayError() normally rejects these first
+      throw new Error(OUTSIDE_STAYS.message);
+    }
+
+    if (!encounter) {
+      encounter = await encounters.create(
+        admission({
+          patient: patient._id,
+          location: patient.location,
+          at: timestamp,
+          actor,
+          note: 'Admitted automatically with the first reading of this stay.'
+        })
+      );
+      await auditEncounter(encounter, 'encounter.admit', actor);
+    } else if (encounter.status === 'active' && location && location !== encounter.location) {
+      const last = encounter.events[encounter.events.length - 1];
+      applyEncounterEvent(encounter, 'transfer', {
+        location,
+        at: last.at > timestamp ? last.at : timestamp,
+        actor,
+        note: 'Location changed on a reading.'
+      });
+      encounter = await encounters.update(encounter._id, encounterEventChanges(encounter));
+      await auditEncounter(encounter, 'encounter.transfer', actor);
+    }
+    return encounter;
+  }
+
+  // The patient's manual baseline, or one derived from the first readings of the encounter
+  async function patientBaseline(patient, encounterId) {
+    const first = await readings.timeline(patient._id, {
+      encounter: encounterId,
+      limit: BASELINE_READING_COUNT
+    });
+    return effectiveBaseline(patient, first);
+  }
+
+  // Derive and persist alerts for a new reading against earlier readings of the same encounter
+  async function raiseAlerts(patient, reading) {
+    const rules = await store.rules.enabled();
+    if (!rules.length) return [];
+
+    // Earlier readings the rules can look back on: the last few plus any inside the longest window
+    const needs = historyNeeds(rules);
+    const [recent, windowed, baseline] = await Promise.all([
+      readings.earlier(reading, { limit: needs.count }),
+      needs.windowMinutes
+        ? readings.earlier(reading, {
+            since: new Date(reading.timestamp.getTime() - needs.windowMinutes * 60 * 1000)
+          })
+        : [],
+      patientBaseline(patient, reading.encounter)
+    ]);
+    const history = Array.from(
+      new Map([...recent, ...windowed].map((r) => [String(r._id), r])).values()
+    ).sort((a, b) => a.timestamp - b.timestamp || String(a._id).localeCompare(String(b._id)));
+
+    const derived = evaluateRules(rules, reading, {
+      history,
+      baseline: baselineReading(baseline),
+      thresholds: activeThresholds(patient.thresholdOverrides, reading.timestamp)
+    });
+    if (!derived.length) return [];
+    const deviation = baselineDeviation(reading, baseline);
+
+    const raisedAt = new Date();
+    return store.alerts.createMany(
+      derived.map((alert) => ({
+        ...alert,
+        patient: patient._id,
+        reading: reading._id,
+        encounter: reading.encounter,
+        location: patient.location,
+        baselineDeviation: deviation,
+        history: [{ action: 'raised', to: 'open', at: raisedAt }]
+      }))
+    );
+  }
+
+  // Store a validated reading, screen it, raise alerts and publish it. Every ingestion path
+  // (REST, FHIR, HL7) goes through here so readings are scored and alerted identically.
+  // notify: false skips outbound notifications and bundles: false skips starting a sepsis bundle
+  // (both for bulk imports of past readings); idempotency is stored on the reading for idempotent
+  // POSTs and resent HL7 messages.
+  async function storeReading(
+    externalId,
+    { value, flags },
+    actor,
+    { notify = true, bundles = true, idempotency } = {}
+  ) {
+    const { name, location, ...readingValues } = value;
+    const patient = await ensurePatient(externalId, name, location, actor);
+    const encounter = await encounterForReading(patient, readingValues.timestamp, location, actor);
+    const thresholds = activeThresholds(patient.thresholdOverrides, readingValues.timestamp);
+
+    const _id = new mongoose.Types.ObjectId();
+    const reading = await readings.create({
+      _id,
+      readingGroup: _id,
+      patient: patient._id,
+      encounter: encounter._id,
+      ...scoreReading(readingValues, flags, thresholds),
+      recordedBy: actor,
+      idempotency
+    });
+    await audit({
+      actor,
+      action: 'reading.create',
+      entityType: 'Reading',
+      entityId: reading._id,
+      patient: patient._id,
+      after: pickReadingFields(reading)
+    });
+
+    const alerts = await raiseAlerts(patient, reading);
+
+    events.publish('reading-created', { patient, reading });
+    alerts.forEach((alert) => events.publish('alert-raised', { patient, alert }));
+    if (notify && alerts.length) {
+      notifyAlerts(patient, alerts).catch((err) =>
+        console.error('Error queueing notifications', err)
+      );
+    }
+    if (bundles && alerts.length) await startBundle(patient, alerts);
+
+    return { patient, reading, alerts };
+  }
+
+  // Starts a sepsis bundle from the first triggering alert unless the stay already has an open one
+  async function startBundle(patient, alerts) {
+    const trigger = alerts.find((alert) => BUNDLE_TRIGGER_RULES.includes(alert.ruleId));
+    if (!trigger) return null;
+    try {
+      const bundle = await store.bundles.create(newBundle(trigger));
+      events.publish('bundle-updated', { patient, bundle });
+      return bundle;
+    } catch (err) {
+      // Duplicate key: the stay's open bundle already covers this alert
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  }
+
+  return {
+    audit,
+    findPatient,
+    ensurePatient,
+    currentEncounter,
+    auditEncounter,
+    stayError,
+    patientBaseline,
+    raiseAlerts,
+    storeReading
+  };
+}
+
+module.exports = {
+  READING_FIELDS,
+  readingFor,
+  alertFor,
+  publicUser,
+  pickReadingFields,
+  requestFingerprint,
+  createAudit,
+  createServices
+};
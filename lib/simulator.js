@@ -0,0 +1,365 @@
+// Scenario simulator for training, and retrospective replay of alert rules.
+// A scenario is a set of trajectories: keyframes ({ minute, value }) per vital, interpolated
+// linearly and sampled every intervalMinutes, plus seeded Gaussian noise so a run can be
+// reproduced exactly from its seed. Mental status changes in steps at its keyframes.
+const { READING_SCHEMA, MENTAL_STATUS_OPTIONS } = require('./validation');
+const { evaluateRules } = require('./rules');
+const {
+  effectiveBaseline,
+  baselineReading,
+  activeThresholds,
+  baselineDeviation
+} = require('./baselines');
+const { deriveObservationAlerts } = require('./reassessment');
+
+// Vitals a trajectory can drive, with the noise standard deviation at noise = 1 and decimals kept
+const SIMULATED_FIELDS = {
+  respiratoryRate: { sd: 1.5, decimals: 0 },
+  systolicBP: { sd: 5, decimals: 0 },
+  heartRate: { sd: 4, decimals: 0 },
+  temperature: { sd: 0.15, decimals: 1 },
+  spo2: { sd: 1, decimals: 0 },
+  lactate: { sd: 0.2, decimals: 1 },
+  meanArterialPressure: { sd: 4, decimals: 0 }
+};
+
+const MAX_READINGS = 200;
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_NOISE = 3;
+
+const SCENARIOS = {
+  'gradual-escalation': {
+    name: 'Gradual escalation over first hour on the ward',
+    description: 'Respiratory rate creeps up and blood pressure drifts down; drowsy by 45 min.',
+    intervalMinutes: 15,
+    durationMinutes: 45,
+    noise: 0,
+    trajectories: {
+      respiratoryRate: [
+        { minute: 0, value: 18 },
+        { minute: 45, value: 24 }
+      ],
+      systolicBP: [
+        { minute: 0, value: 115 },
+        { minute: 45, value: 100 }
+      ]
+    },
+    mentalStatus: [
+      { minute: 0, value: 'Alert' },
+      { minute: 45, value: 'Drowsy' }
+    ]
+  },
+  'rapid-septic-shock': {
+    name: 'Rapid septic shock',
+    description:
+      'Febrile and tachypnoeic on arrival, hypotensive within two hours and unresponsive by three.',
+    intervalMinutes: 15,
+    durationMinutes: 180,
+    noise: 1,
+    trajectories: {
+      respiratoryRate: [
+        { minute: 0, value: 20 },
+        { minute: 60, value: 26 },
+        { minute: 120, value: 32 },
+        { minute: 180, value: 36 }
+      ],
+      systolicBP: [
+        { minute: 0, value: 118 },
+        { minute: 60, value: 100 },
+        { minute: 120, value: 84 },
+        { minute: 180, value: 72 }
+      ],
+      heartRate: [
+        { minute: 0, value: 96 },
+        { minute: 60, value: 118 },
+        { minute: 120, value: 132 },
+        { minute: 180, value: 140 }
+      ],
+      temperature: [
+        { minute: 0, value: 38.4 },
+        { minute: 90, value: 39.3 },
+        { minute: 180, value: 39.6 }
+      ],
+      spo2: [
+        { minute: 0, value: 96 },
+        { minute: 120, value: 91 },
+        { minute: 180, value: 88 }
+      ]
+    },
+    mentalStatus: [
+      { minute: 0, value: 'Alert' },
+      { minute: 75, value: 'Drowsy' },
+      { minute: 150, value: 'Unresponsive' }
+    ]
+  },
+  'transient-hypotension': {
+    name: 'Transient hypotension',
+    description: 'A brief blood pressure dip around 45-75 min that recovers without other signs.',
+    intervalMinutes: 15,
+    durationMinutes: 180,
+    noise: 1,
+    trajectories: {
+      respiratoryRate: [
+        { minute: 0, value: 16 },
+        { minute: 180, value: 18 }
+      ],
+      systolicBP: [
+        { minute: 0, value: 122 },
+        { minute: 30, value: 118 },
+        { minute: 45, value: 96 },
+        { minute: 60, value: 92 },
+        { minute: 90, value: 104 },
+        { minute: 120, value: 120 }
+      ],
+      heartRate: [
+        { minute: 0, value: 78 },
+        { minute: 60, value: 98 },
+        { minute: 120, value: 80 }
+      ],
+      temperature: [{ minute: 0, value: 36.9 }],
+      spo2: [{ minute: 0, value: 98 }]
+    },
+    mentalStatus: [{ minute: 0, value: 'Alert' }]
+  },
+  'recovery-after-fluids': {
+    name: 'Recovery after fluids',
+    description: 'High risk on arrival; blood pressure and mental status recover after fluids.',
+    intervalMinutes: 15,
+    durationMinutes: 240,
+    noise: 1,
+    trajectories: {
+      respiratoryRate: [
+        { minute: 0, value: 26 },
+        { minute: 60, value: 24 },
+        { minute: 150, value: 19 },
+        { minute: 240, value: 16 }
+      ],
+      systolicBP: [
+        { minute: 0, value: 86 },
+        { minute: 30, value: 88 },
+        { minute: 90, value: 104 },
+        { minute: 180, value: 116 }
+      ],
+      heartRate: [
+        { minute: 0, value: 124 },
+        { minute: 90, value: 104 },
+        { minute: 240, value: 88 }
+      ],
+      temperature: [
+        { minute: 0, value: 38.9 },
+        { minute: 240, value: 37.6 }
+      ],
+      spo2: [
+        { minute: 0, value: 92 },
+        { minute: 120, value: 95 },
+        { minute: 240, value: 97 }
+      ]
+    },
+    mentalStatus: [
+      { minute: 0, value: 'Drowsy' },
+      { minute: 90, value: 'Alert' }
+    ]
+  }
+};
+
+const DEFAULT_SCENARIO = 'gradual-escalation';
+
+// mulberry32: small and fast, and the same seed always gives the same sequence
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Linear between keyframes; held flat before the first and after the last
+function interpolate(keyframes, minute) {
+  if (minute <= keyframes[0].minute) return keyframes[0].value;
+  const next = keyframes.findIndex((k) => k.minute >= minute);
+  if (next === -1) return keyframes[keyframes.length - 1].value;
+  const a = keyframes[next - 1];
+  const b = keyframes[next];
+  return a.value + ((b.value - a.value) * (minute - a.minute)) / (b.minute - a.minute);
+}
+
+function stepValue(keyframes, minute) {
+  const reached = keyframes.filter((k) => k.minute <= minute);
+  return (reached.length ? reached[reached.length - 1] : keyframes[0]).value;
+}
+
+function scenarioList() {
+  return Object.entries(SCENARIOS).map(([id, scenario]) => ({ id, ...scenario }));
+}
+
+function checkKeyframes(field, keyframes, checkValue, errors) {
+  if (!Array.isArray(keyframes) || !keyframes.length) {
+    errors.push(`${field} needs at least one { minute, value } keyframe.`);
+    return;
+  }
+  keyframes.forEach((k, idx) => {
+    const at = `${field}[${idx}]`;
+    if (!k || !Number.isFinite(k.minute) || k.minute < 0) {
+      errors.push(`${at}.minute must be a number of minutes from 0.`);
+    } else if (idx > 0 && keyframes[idx - 1] && !(k.minute > keyframes[idx - 1].minute)) {
+      errors.push(`${at}.minute must be later than the keyframe before it.`);
+    }
+    const problem = k ? checkValue(k.value) : 'is missing';
+    if (problem) errors.push(`${at}.value ${problem}`);
+  });
+}
+
+function integerIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Merges overrides ({ scenario, seed, intervalMinutes, durationMinutes, noise, trajectories,
+// mentalStatus }) into a named scenario. Returns { config, errors }; without a seed one is
+// chosen at random and returned in the config so the run can be repeated.
+function resolveScenario(input = {}) {
+  const errors = [];
+  const id = input.scenario || DEFAULT_SCENARIO;
+  const base = SCENARIOS[id];
+  if (!base) {
+    return {
+      errors: [`scenario must be one of: ${Object.keys(SCENARIOS).join(', ')}.`]
+    };
+  }
+
+  const config = {
+    id,
+    name: base.name,
+    description: base.description,
+    seed: input.seed === undefined ? Math.floor(Math.random() * 2 ** 32) : input.seed,
+    intervalMinutes:
+      input.intervalMinutes === undefined ? base.intervalMinutes : input.intervalMinutes,
+    durationMinutes:
+      input.durationMinutes === undefined ? base.durationMinutes : input.durationMinutes,
+    noise: input.noise === undefined ? base.noise : input.noise,
+    trajectories: { ...base.trajectories, ...(input.trajectories || {}) },
+    mentalStatus: input.mentalStatus || base.mentalStatus
+  };
+
+  if (!integerIn(config.seed, 0, 2 ** 32 - 1)) {
+    errors.push('seed must be a whole number from 0 to 4294967295.');
+  }
+  if (!integerIn(config.intervalMinutes, 1, 240)) {
+    errors.push('intervalMinutes must be a whole number from 1 to 240.');
+  }
+  if (!integerIn(config.durationMinutes, 0, MAX_DURATION_MINUTES)) {
+    errors.push(`durationMinutes must be a whole number from 0 to ${MAX_DURATION_MINUTES}.`);
+  } else if (config.durationMinutes / config.intervalMinutes >= MAX_READINGS) {
+    errors.push(`A run can produce at most ${MAX_READINGS} readings; raise intervalMinutes.`);
+  }
+  if (!(Number.isFinite(config.noise) && config.noise >= 0 && config.noise <= MAX_NOISE)) {
+    errors.push(`noise must be a number from 0 to ${MAX_NOISE}.`);
+  }
+
+  if (!config.trajectories || typeof config.trajectories !== 'object') {
+    errors.push('trajectories must be an object of { field: keyframes }.');
+  } else {
+    Object.entries(config.trajectories).forEach(([field, keyframes]) => {
+      const spec = READING_SCHEMA[field];
+      if (!SIMULATED_FIELDS[field]) {
+        errors.push(
+          `${field} cannot be simulated; use ${Object.keys(SIMULATED_FIELDS).join(', ')}.`
+        );
+        return;
+      }
+      checkKeyframes(
+        field,
+        keyframes,
+        (v) =>
+          Number.isFinite(v) && v >= spec.min && v <= spec.max
+            ? null
+            : `must be a number from ${spec.min} to ${spec.max}.`,
+        errors
+      );
+    });
+    ['respiratoryRate', 'systolicBP'].forEach((field) => {
+      if (!config.trajectories[field]) errors.push(`A ${field} trajectory is required.`);
+    });
+  }
+  checkKeyframes(
+    'mentalStatus',
+    config.mentalStatus,
+    (v) =>
+      MENTAL_STATUS_OPTIONS.includes(v)
+        ? null
+        : `must be one of: ${MENTAL_STATUS_OPTIONS.join(', ')}.`,
+    errors
+  );
+
+  return { config, errors };
+}
+
+// Unscored reading values for a resolved scenario, starting at `start`
+function generateReadings(config, start = new Date()) {
+  const random = seededRandom(config.seed);
+  const fields = Object.keys(SIMULATED_FIELDS).filter((field) => config.trajectories[field]);
+  const readings = [];
+
+  for (let minute = 0; minute <= config.durationMinutes; minute += config.intervalMinutes) {
+    const reading = {
+      minute,
+      timestamp: new Date(start.getTime() + minute * 60 * 1000),
+      mentalStatus: stepValue(config.mentalStatus, minute)
+    };
+    fields.forEach((field) => {
+      const { sd, decimals } = SIMULATED_FIELDS[field];
+      const { min, max } = READING_SCHEMA[field];
+      const value = interpolate(config.trajectories[field], minute);
+      const noisy = value + gaussian(random) * sd * config.noise;
+      const factor = 10 ** decimals;
+      reading[field] = Math.min(max, Math.max(min, Math.round(noisy * factor) / factor));
+    });
+    readings.push(reading);
+  }
+  return readings;
+}
+
+// Replays the alert rules over scored readings (oldest first) as if each had just been stored,
+// the way the reading routes raise alerts, then adds missed/overdue observation alerts as of
+// asOf. patient supplies a manual baseline and threshold overrides if it has them; otherwise
+// the baseline is derived from the first readings. Each alert carries its readingIndex.
+function replayAlerts(readings, rules, { patient = {}, asOf } = {}) {
+  const alerts = [];
+  readings.forEach((reading, readingIndex) => {
+    const baseline = effectiveBaseline(patient, readings.slice(0, readingIndex + 1));
+    const raised = evaluateRules(rules, reading, {
+      history: readings.slice(0, readingIndex),
+      baseline: baselineReading(baseline),
+      thresholds: activeThresholds(patient.thresholdOverrides, reading.timestamp)
+    });
+    const deviation = baselineDeviation(reading, baseline);
+    raised.forEach((alert) =>
+      alerts.push({ ...alert, readingIndex, baselineDeviation: deviation })
+    );
+  });
+
+  const end = asOf || (readings.length ? readings[readings.length - 1].timestamp : new Date());
+  return [...alerts, ...deriveObservationAlerts(readings, new Date(end))].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+}
+
+module.exports = {
+  SIMULATED_FIELDS,
+  SCENARIOS,
+  DEFAULT_SCENARIO,
+  seededRandom,
+  scenarioList,
+  resolveScenario,
+  generateReadings,
+  replayAlerts
+};
@@ -0,0 +1,24 @@
+// Storage backends, chosen with STORAGE_BACKEND.
+// The routes, services and workers reach data only through a store: one repository per kind of
+// record (users, patients, encounters, readings, alerts, bundles, rules, notificationRoutes,
+// deliveries, auditLog), each a set of async functions resolving to plain objects. mongo (the
+// default) is lib/storage/mongoose.js on MONGO_URI; memory is lib/storage/memory.js, which keeps
+// everything in the process for demos and training laptops without MongoDB and starts with the
+// demo scenario patients from lib/bootstrap.js.
+const mongoose = require('mongoose');
+const { createMongooseStore } = require('./mongoose');
+const { createMemoryStore } = require('./memory');
+
+const STORAGE_BACKENDS = ['mongo', 'memory'];
+
+// Resolves to the store for createApp({ store })
+async function openStorage(backend, { uri } = {}) {
+  if (backend === 'memory') return createMemoryStore();
+  if (backend === 'mongo') {
+    await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+    return createMongooseStore(mongoose.connection);
+  }
+  throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}.`);
+}
+
+module.exports = { STORAGE_BACKENDS, openStorage, createMongooseStore, createMemoryStore };
@@ -0,0 +1,575 @@
+// The in-memory store: the repository functions of lib/storage/index.js over plain arrays, for
+// demos and training laptops without MongoDB. Everything is lost when the process exits.
+// Documents still go through the schemas in lib/models.js, so they get the same defaults,
+// casting and validation as in MongoDB; the models are never connected.
+const mongoose = require('mongoose');
+const { createModels } = require('../models');
+const { compareValues, slicePage } = require('../pagination');
+const { OUTCOME_LABELS } = require('../outcomes');
+
+// Deep copy that keeps ObjectIds and Dates, so callers never hold a stored document
+function copy(value) {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+}
+
+// Ids compare by value; a missing reference matches null, as in a MongoDB query
+const idKey = (id) => String(id ?? null);
+const sameId = (a, b) => idKey(a) === idKey(b);
+const idSet = (ids) => new Set(ids.map(idKey));
+
+const isCurrent = (reading) => reading.isCurrent !== false && reading.isDeleted !== true;
+
+// parseDateRange's { from, to } against a date field; a missing date is never in range
+function inRange(date, range) {
+  if (!range) return true;
+  if (!date) return false;
+  return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+}
+
+// Comparator over fields, each [field, direction]
+function byFields(...fields) {
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(a[field], b[field]);
+      if (order) return order * direction;
+    }
+    return 0;
+  };
+}
+
+function duplicateKeyError(name, keyValue) {
+  const error = new Error(`E11000 duplicate key error, index ${name}: ${JSON.stringify(keyValue)}`);
+  error.code = 11000;
+  error.keyValue = keyValue;
+  return error;
+}
+
+// The documents of one model. uniqueKeys mirrors its unique indexes: { name: doc => key }, with
+// an undefined key for documents the index does not cover.
+function createCollection(Model, uniqueKeys = {}) {
+  const docs = [];
+  const timestamps = Boolean(Model.schema.options.timestamps);
+
+  // Casts, defaults and validates like a save; throws the same ValidationError
+  function toStored(fields) {
+    const doc = new Model(fields);
+    const error = doc.validateSync();
+    if (error) throw error;
+    return doc.toObject();
+  }
+
+  function checkUnique(doc, replacing) {
+    Object.entries(uniqueKeys).forEach(([name, keyOf]) => {
+      const key = keyOf(doc);
+      if (key === undefined) return;
+      if (docs.some((other) => other !== replacing && keyOf(other) === key)) {
+        throw duplicateKeyError(name, { [name]: key });
+      }
+    });
+  }
+
+  const indexOf = (id) => docs.findIndex((doc) => sameId(doc._id, id));
+
+  return {
+    // Stored documents for reading inside this store; copy before handing them out
+    docs,
+    get: (id) => docs[indexOf(id)],
+    insert(fields) {
+      const doc = toStored(fields);
+      if (timestamps) {
+        const now = new Date();
+        doc.createdAt = now;
+        doc.updatedAt = now;
+      }
+      doc.__v = 0;
+      checkUnique(doc);
+      docs.push(doc);
+      return copy(doc);
+    },
+    // Changed fields replace the stored ones; undefined removes a field. Resolves to the
+    // updated document, or null when there is none.
+    update(id, changes) {
+      const index = indexOf(id);
+      if (index === -1) return null;
+      const fields = { ...copy(docs[index]), ...changes };
+      Object.keys(fields).forEach((field) => fields[field] === undefined && delete fields[field]);
+      if (timestamps) fields.updatedAt = new Date();
+      const doc = toStored(fields);
+      checkUnique(doc, docs[index]);
+      docs[index] = doc;
+      return copy(doc);
+    },
+    remove(id) {
+      const index = indexOf(id);
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    }
+  };
+}
+
+function find(collection, predicate) {
+  const doc = collection.docs.find(predicate);
+  return doc ? copy(doc) : null;
+}
+
+function filter(collection, predicate) {
+  return collection.docs.filter(predicate).map(copy);
+}
+
+// Unique ids in first-seen order, like distinct()
+function distinctIds(ids) {
+  return Array.from(new Map(ids.map((id) => [idKey(id), id])).values());
+}
+
+// Patient fields joined onto list entries, as populate('patient', 'externalId name location')
+function patientJoin(patients) {
+  return (doc) => {
+    const patient = patients.get(doc.patient);
+    return {
+      ...doc,
+      patient: patient
+        ? {
+            _id: patient._id,
+            externalId: patient.externalId,
+            name: patient.name,
+            location: patient.location
+          }
+        : null
+    };
+  };
+}
+
+function userRepository({ users }) {
+  return {
+    findById: async (id) => find(users, (user) => sameId(user._id, id)),
+    findByUsername: async (username) => find(users, (user) => user.username === username),
+    list: async () => filter(users, () => true).sort(byFields(['username', 1])),
+    isEmpty: async () => !users.docs.length,
+    create: async (fields) => users.insert(fields),
+    update: async (id, changes) => users.update(id, changes)
+  };
+}
+
+function patientRepository({ patients }) {
+  return {
+    findById: async (id) => find(patients, (patient) => sameId(patient._id, id)),
+    findByExternalId: async (externalId) =>
+      find(patients, (patient) => patient.externalId === externalId),
+    findByIds: async (ids, { location } = {}) => {
+      const wanted = idSet(ids);
+      return filter(
+        patients,
+        (patient) => wanted.has(idKey(patient._id)) && (!location || patient.location === location)
+      );
+    },
+    idsWhere: async ({ externalId, location }) =>
+      patients.docs
+        .filter(
+          (patient) =>
+            (externalId === undefined || patient.externalId === externalId) &&
+            (location === undefined || patient.location === location)
+        )
+        .map((patient) => patient._id),
+    page: async ({ location, q }, page) => {
+      const text = q && q.toLowerCase();
+      const contains = (value) => typeof value === 'string' && value.toLowerCase().includes(text);
+      return slicePage(
+        filter(
+          patients,
+          (patient) =>
+            (!location || patient.location === location) &&
+            (!text || contains(patient.externalId) || contains(patient.name))
+        ),
+        page
+      );
+    },
+    isEmpty: async () => !patients.docs.length,
+    create: async (fields) => patients.insert(fields),
+    update: async (id, changes) => patients.update(id, changes)
+  };
+}
+
+function encounterRepository({ encounters, patients }) {
+  const newestFirst = byFields(['admittedAt', -1]);
+  const ofPatient = (patient) => (encounter) => sameId(encounter.patient, patient);
+  return {
+    findById: async (id) => find(encounters, (encounter) => sameId(encounter._id, id)),
+    findByIdWithPatient: async (id) => {
+      const encounter = find(encounters, (e) => sameId(e._id, id));
+      return encounter && patientJoin(patients)(encounter);
+    },
+    findForPatient: async (id, patient) =>
+      find(
+        encounters,
+        (encounter) => sameId(encounter._id, id) && sameId(encounter.patient, patient)
+      ),
+    forPatient: async (patient) => filter(encounters, ofPatient(patient)).sort(newestFirst),
+    active: async (patient) =>
+      find(encounters, (e) => sameId(e.patient, patient) && e.status === 'active'),
+    latest: async (patient) => filter(encounters, ofPatient(patient)).sort(newestFirst)[0] || null,
+    activePatientIds: async () =>
+      distinctIds(encounters.docs.filter((e) => e.status === 'active').map((e) => e.patient)),
+    activeIdsForPatients: async (patientIds) => {
+      const wanted = idSet(patientIds);
+      return encounters.docs
+        .filter((e) => e.status === 'active' && wanted.has(idKey(e.patient)))
+        .map((e) => e._id);
+    },
+    activeIds: async (ids) => {
+      const wanted = idSet(ids);
+      return encounters.docs
+        .filter((e) => e.status === 'active' && wanted.has(idKey(e._id)))
+        .map((e) => e._id);
+    },
+    labelled: async ({ range, location }) =>
+      filter(
+        encounters,
+        (e) =>
+          Boolean(e.outcome) &&
+          OUTCOME_LABELS.includes(e.outcome.label) &&
+          inRange(e.admittedAt, range) &&
+          (!location || e.locationHistory.some((stay) => stay.location === location))
+      ).sort(byFields(['admittedAt', 1])),
+    create: async (fields) => encounters.insert(fields),
+    update: async (id, changes) => encounters.update(id, changes)
+  };
+}
+
+function readingRepository({ readings, patients }) {
+  const oldestFirst = byFields(['timestamp', 1]);
+  const newestFirst = byFields(['timestamp', -1]);
+  const inPatients = (ids) => {
+    if (!ids) return () => true;
+    const wanted = idSet(ids);
+    return (reading) => wanted.has(idKey(reading.patient));
+  };
+  const current = (predicate) => filter(readings, (r) => isCurrent(r) && predicate(r));
+
+  return {
+    findById: async (id) => find(readings, (reading) => sameId(reading._id, id)),
+    latestVersion: async (readingGroup) =>
+      find(readings, (r) => sameId(r.readingGroup, readingGroup) && r.isCurrent !== false),
+    findByIdempotencyKey: async (key) =>
+      find(readings, (r) => Boolean(r.idempotency) && r.idempotency.key === key),
+    timeline: async (patient, { encounter, range, limit } = {}) => {
+      const found = current(
+        (r) =>
+          sameId(r.patient, patient) &&
+          (encounter === undefined || sameId(r.encounter, encounter)) &&
+          inRange(r.timestamp, range)
+      ).sort(oldestFirst);
+      return limit ? found.slice(0, limit) : found;
+    },
+    earlier: async (reading, { limit, since }) => {
+      const found = current(
+        (r) =>
+          sameId(r.patient, reading.patient) &&
+          sameId(r.encounter, reading.encounter) &&
+          r.timestamp < reading.timestamp &&
+          (!since || r.timestamp >= since)
+      ).sort(newestFirst);
+      return limit ? found.slice(0, limit) : found;
+    },
+    forEncounters: async (encounters) => {
+      const wanted = idSet(encounters);
+      return current((r) => r.encounter && wanted.has(idKey(r.encounter))).sort(oldestFirst);
+    },
+    latestByPatient: async (encounters) => {
+      const wanted = idSet(encounters);
+      const latest = new Map();
+      current((r) => r.encounter && wanted.has(idKey(r.encounter)))
+        .sort(newestFirst)
+        .forEach(({ patient, qsofaScore, qsofaRiskLabel, qsofaRiskCode, timestamp }) => {
+          if (latest.has(idKey(patient))) return;
+          latest.set(idKey(patient), { qsofaScore, qsofaRiskLabel, qsofaRiskCode, timestamp });
+        });
+      return latest;
+    },
+    page: async ({ encounter, range, mentalStatus, minScore, maxScore, patients: ids }, page) => {
+      const found = current(
+        (r) =>
+          (!encounter || sameId(r.encounter, encounter)) &&
+          inRange(r.timestamp, range) &&
+          (!mentalStatus || r.mentalStatus === mentalStatus) &&
+          (minScore === undefined || r.qsofaScore >= minScore) &&
+          (maxScore === undefined || r.qsofaScore <= maxScore) &&
+          inPatients(ids)(r)
+      );
+      const { items, nextCursor } = slicePage(found, page);
+      return { items: items.map(patientJoin(patients)), nextCursor };
+    },
+    async *export({ range, patients: ids }) {
+      const found = current((r) => inRange(r.timestamp, range) && inPatients(ids)(r));
+      yield* found.sort(oldestFirst).map(patientJoin(patients));
+    },
+    amendedGroups: async (patient, encounter) =>
+      distinctIds(
+        readings.docs
+          .filter(
+            (r) => sameId(r.patient, patient) && sameId(r.encounter, encounter) && r.version > 1
+          )
+          .map((r) => r.readingGroup)
+      ),
+    versions: async (readingGroups) => {
+      const wanted = idSet(readingGroups);
+      return filter(readings, (r) => wanted.has(idKey(r.readingGroup))).sort(
+        byFields(['version', 1])
+      );
+    },
+    unassigned: async () => {
+      const firstAt = new Map();
+      readings.docs
+        .filter((r) => r.encounter === undefined)
+        .sort(byFields(['timestamp', 1]))
+        .forEach(({ patient, timestamp }) => {
+          const key = idKey(patient);
+          if (!firstAt.has(key)) firstAt.set(key, { patient, firstAt: timestamp });
+        });
+      return Array.from(firstAt.values()).map(copy);
+    },
+    assignEncounter: async (patient, encounter) =>
+      readings.docs
+        .filter((r) => sameId(r.patient, patient) && r.encounter === undefined)
+        .forEach((r) => readings.update(r._id, { encounter })),
+    create: async (fields) => readings.insert(fields),
+    claimCurrent: async (id) => {
+      const reading = readings.get(id);
+      if (!reading || reading.isCurrent === false) return null;
+      const claimed = copy(reading);
+      readings.update(id, { isCurrent: false });
+      return claimed;
+    },
+    restoreCurrent: async (id) => readings.update(id, { isCurrent: true })
+  };
+}
+
+function alertRepository({ alerts, patients }) {
+  const unresolved = (alert) => alert.status !== 'resolved';
+  return {
+    findById: async (id) => find(alerts, (alert) => sameId(alert._id, id)),
+    forReadings: async (readings) => {
+      const wanted = idSet(readings);
+      return filter(alerts, (alert) => wanted.has(idKey(alert.reading))).sort(
+        byFields(['timestamp', 1], ['_id', 1])
+      );
+    },
+    unresolvedForReading: async (reading) =>
+      filter(alerts, (alert) => sameId(alert.reading, reading) && unresolved(alert)),
+    unresolvedForEncounter: async (encounter) =>
+      filter(alerts, (alert) => sameId(alert.encounter, encounter) && unresolved(alert)),
+    list: async ({ status, location, ruleId }) =>
+      filter(
+        alerts,
+        (alert) =>
+          (!status || alert.status === status) &&
+          (!location || alert.location === location) &&
+          (!ruleId || alert.ruleId === ruleId)
+      )
+        .sort(byFields(['timestamp', -1]))
+        .map(patientJoin(patients)),
+    openCountsByPatient: async (patientIds) => {
+      const wanted = idSet(patientIds);
+      const counts = new Map();
+      alerts.docs
+        .filter((alert) => alert.status === 'open' && wanted.has(idKey(alert.patient)))
+        .forEach(({ patient }) => {
+          const key = idKey(patient);
+          counts.set(key, (counts.get(key) || 0) + 1);
+        });
+      return counts;
+    },
+    dueForEscalation: async (now) =>
+      filter(
+        alerts,
+        (alert) =>
+          alert.status === 'open' &&
+          Boolean(alert.notification && alert.notification.nextEscalationAt) &&
+          alert.notification.nextEscalationAt <= now
+      ),
+    createMany: async (list) => list.map((fields) => alerts.insert(fields)),
+    update: async (id, changes) => alerts.update(id, changes),
+    assignEncounter: async (patient, encounter) =>
+      alerts.docs
+        .filter((alert) => sameId(alert.patient, patient) && alert.encounter === undefined)
+        .forEach((alert) => alerts.update(alert._id, { encounter }))
+  };
+}
+
+function bundleRepository({ bundles, patients, alerts }) {
+  return {
+    findById: async (id) => find(bundles, (bundle) => sameId(bundle._id, id)),
+    findByIdWithDetails: async (id) => {
+      const bundle = find(bundles, (b) => sameId(b._id, id));
+      if (!bundle) return null;
+      const alert = alerts.get(bundle.alert);
+      return { ...patientJoin(patients)(bundle), alert: alert ? copy(alert) : null };
+    },
+    forEncounter: async (encounter) =>
+      filter(bundles, (bundle) => sameId(bundle.encounter, encounter)).sort(
+        byFields(['startedAt', 1])
+      ),
+    overdue: async ({ location }, now) =>
+      filter(
+        bundles,
+        (bundle) =>
+          bundle.status === 'open' &&
+          bundle.actions.some((action) => action.dueAt < now) &&
+          (!location || bundle.location === location)
+      ).map(patientJoin(patients)),
+    startedIn: async ({ range, location }) =>
+      filter(
+        bundles,
+        (bundle) => inRange(bundle.startedAt, range) && (!location || bundle.location === location)
+      ),
+    create: async (fields) => bundles.insert(fields),
+    recordAction: async (id, index, { actionId, status, at, by, note }) => {
+      const bundle = bundles.get(id);
+      const action = bundle && bundle.actions[index];
+      if (!action || action.actionId !== actionId || action.status !== 'pending') return false;
+      const actions = copy(bundle.actions);
+      actions[index] = { ...actions[index], status, at, by, note };
+      bundles.update(id, { actions });
+      return true;
+    },
+    closeIfComplete: async (id, closedAt) => {
+      const bundle = bundles.get(id);
+      if (!bundle || bundle.status !== 'open') return;
+      if (bundle.actions.some((action) => action.status === 'pending')) return;
+      bundles.update(id, { status: 'closed', closedAt });
+    }
+  };
+}
+
+function ruleRepository({ rules }) {
+  const withRuleId = (ruleId) => (rule) => rule.ruleId === ruleId;
+  return {
+    list: async () => filter(rules, () => true).sort(byFields(['priority', 1], ['ruleId', 1])),
+    enabled: async () => filter(rules, (rule) => rule.enabled),
+    findByRuleId: async (ruleId) => find(rules, withRuleId(ruleId)),
+    isEmpty: async () => !rules.docs.length,
+    create: async (fields) => rules.insert(fields),
+    createMany: async (list) => list.map((fields) => rules.insert(fields)),
+    update: async (id, changes) => rules.update(id, changes),
+    deleteByRuleId: async (ruleId) => {
+      const rule = rules.docs.find(withRuleId(ruleId));
+      return rule ? rules.remove(rule._id) : null;
+    },
+    replaceMessage: async (ruleId, from, to) => {
+      const rule = rules.docs.find(withRuleId(ruleId));
+      if (rule && rule.message === from) rules.update(rule._id, { message: to });
+    }
+  };
+}
+
+function notificationRouteRepository({ notificationRoutes }) {
+  return {
+    list: async () => filter(notificationRoutes, () => true).sort(byFields(['location', 1])),
+    findById: async (id) => find(notificationRoutes, (route) => sameId(route._id, id)),
+    findByLocation: async (location) =>
+      find(notificationRoutes, (route) => route.location === location),
+    enabledFor: async (location) =>
+      filter(
+        notificationRoutes,
+        (route) => route.enabled && (route.location === '*' || route.location === location)
+      ),
+    create: async (fields) => notificationRoutes.insert(fields),
+    update: async (id, changes) => notificationRoutes.update(id, changes),
+    delete: async (id) => notificationRoutes.remove(id)
+  };
+}
+
+function deliveryRepository({ deliveries, patients }) {
+  const due = (now) => (delivery) =>
+    delivery.status === 'pending' &&
+    Boolean(delivery.nextAttemptAt) &&
+    delivery.nextAttemptAt <= now;
+  return {
+    create: async (fields) => deliveries.insert(fields),
+    claimDue: async (id, now, until) => {
+      const delivery = deliveries.get(id);
+      if (!delivery || !due(now)(delivery)) return null;
+      return deliveries.update(id, { nextAttemptAt: until });
+    },
+    update: async (id, changes) => deliveries.update(id, changes),
+    dueIds: async (now, limit) =>
+      deliveries.docs
+        .filter(due(now))
+        .sort(byFields(['nextAttemptAt', 1]))
+        .slice(0, limit)
+        .map((delivery) => delivery._id),
+    page: async ({ status, alert, patients: ids }, page) => {
+      const wanted = ids && idSet(ids);
+      const found = filter(
+        deliveries,
+        (delivery) =>
+          (!status || delivery.status === status) &&
+          (!alert || sameId(delivery.alert, alert)) &&
+          (!wanted || wanted.has(idKey(delivery.patient)))
+      );
+      const { items, nextCursor } = slicePage(found, page);
+      return { items: items.map(patientJoin(patients)), nextCursor };
+    }
+  };
+}
+
+function auditRepository({ auditLog }) {
+  return {
+    add: async (entry) => auditLog.insert(entry),
+    list: async ({ entityId, patient, action }, limit) =>
+      filter(
+        auditLog,
+        (entry) =>
+          (!entityId || sameId(entry.entityId, entityId)) &&
+          (!patient || sameId(entry.patient, patient)) &&
+          (!action || entry.action === action)
+      )
+        .sort(byFields(['at', -1]))
+        .slice(0, limit)
+  };
+}
+
+// An empty store; seedDemo() in lib/bootstrap.js fills it with the demo scenario patients
+function createMemoryStore() {
+  // Never connected: only used to cast, default and validate documents
+  const models = createModels(mongoose.createConnection());
+  const collections = {
+    users: createCollection(models.User, { username: (user) => user.username }),
+    patients: createCollection(models.Patient),
+    encounters: createCollection(models.Encounter),
+    readings: createCollection(models.Reading, {
+      'idempotency.key': (reading) => (reading.idempotency ? reading.idempotency.key : undefined),
+      readingGroup_current: (reading) =>
+        reading.isCurrent === true && reading.readingGroup ? idKey(reading.readingGroup) : undefined
+    }),
+    alerts: createCollection(models.Alert),
+    bundles: createCollection(models.SepsisBundle, {
+      encounter_status: (bundle) => (bundle.status === 'open' ? idKey(bundle.encounter) : undefined)
+    }),
+    rules: createCollection(models.AlertRule, { ruleId: (rule) => rule.ruleId }),
+    notificationRoutes: createCollection(models.NotificationRoute, {
+      location: (route) => route.location
+    }),
+    deliveries: createCollection(models.NotificationDelivery),
+    auditLog: createCollection(models.AuditLog)
+  };
+
+  return {
+    users: userRepository(collections),
+    patients: patientRepository(collections),
+    encounters: encounterRepository(collections),
+    readings: readingRepository(collections),
+    alerts: alertRepository(collections),
+    bundles: bundleRepository(collections),
+    rules: ruleRepository(collections),
+    notificationRoutes: notificationRouteRepository(collections),
+    deliveries: deliveryRepository(collections),
+    auditLog: auditRepository(collections),
+    close: async () => {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,411 @@
+// The MongoDB store: the repository functions of lib/storage/index.js on the Mongoose models of
+// lib/models.js. Every function resolves to plain objects, as .lean() does.
+const { createModels } = require('../models');
+const { findPage } = require('../pagination');
+const { OUTCOME_LABELS } = require('../outcomes');
+
+// Only the live version of each reading; superseded and deleted versions are history
+const CURRENT_READING = { isCurrent: { $ne: false }, isDeleted: { $ne: true } };
+// Patient fields joined onto list entries
+const PATIENT_FIELDS = 'externalId name location';
+
+// parseDateRange's { from, to } as a MongoDB condition
+function dateRange({ from, to }) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+// Changed fields as an update: $set, or $unset for fields set to undefined
+function changesUpdate(changes) {
+  const update = { $set: {} };
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value !== undefined) update.$set[field] = value;
+    else update.$unset = { ...update.$unset, [field]: 1 };
+  });
+  return update;
+}
+
+// Validated like a save, with updatedAt set; resolves to the updated document or null
+function updateById(Model, id, changes) {
+  return Model.findByIdAndUpdate(id, changesUpdate(changes), {
+    new: true,
+    runValidators: true
+  }).lean();
+}
+
+async function create(Model, fields) {
+  return (await Model.create(fields)).toObject();
+}
+
+function userRepository({ User }) {
+  return {
+    findById: (id) => User.findById(id).lean(),
+    findByUsername: (username) => User.findOne({ username }).lean(),
+    list: () => User.find().sort({ username: 1 }).lean(),
+    isEmpty: async () => !(await User.exists({})),
+    create: (fields) => create(User, fields),
+    update: (id, changes) => updateById(User, id, changes)
+  };
+}
+
+function patientRepository({ Patient }) {
+  return {
+    findById: (id) => Patient.findById(id).lean(),
+    findByExternalId: (externalId) => Patient.findOne({ externalId }).lean(),
+    findByIds: (ids, { location } = {}) =>
+      Patient.find({ _id: { $in: ids }, ...(location && { location }) }).lean(),
+    // Ids of the patients with this externalId and/or at this location
+    idsWhere: ({ externalId, location }) =>
+      Patient.find({
+        ...(externalId !== undefined && { externalId }),
+        ...(location !== undefined && { location })
+      }).distinct('_id'),
+    // One page of patients at a location and/or whose externalId or name contains q
+    page: ({ location, q }, page) => {
+      const filter = {};
+      if (location) filter.location = location;
+      if (q) {
+        const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ externalId: pattern }, { name: pattern }];
+      }
+      return findPage(Patient, filter, page);
+    },
+    isEmpty: async () => !(await Patient.exists({})),
+    create: (fields) => create(Patient, fields),
+    update: (id, changes) => updateById(Patient, id, changes)
+  };
+}
+
+function encounterRepository({ Encounter }) {
+  return {
+    findById: (id) => Encounter.findById(id).lean(),
+    findByIdWithPatient: (id) => Encounter.findById(id).populate('patient', PATIENT_FIELDS).lean(),
+    // The encounter only if it is one of this patient's
+    findForPatient: (id, patient) => Encounter.findOne({ _id: id, patient }).lean(),
+    // Newest admission first
+    forPatient: (patient) => Encounter.find({ patient }).sort({ admittedAt: -1 }).lean(),
+    active: (patient) => Encounter.findOne({ patient, status: 'active' }).lean(),
+    latest: (patient) => Encounter.findOne({ patient }).sort({ admittedAt: -1 }).lean(),
+    activePatientIds: () => Encounter.distinct('patient', { status: 'active' }),
+    activeIdsForPatients: (patients) =>
+      Encounter.distinct('_id', { patient: { $in: patients }, status: 'active' }),
+    // Which of these encounters are active
+    activeIds: (ids) => Encounter.distinct('_id', { _id: { $in: ids }, status: 'active' }),
+    // Encounters with an outcome label, admitted in range and ever at location, oldest first
+    labelled: ({ range, location }) =>
+      Encounter.find({
+        'outcome.label': { $in: OUTCOME_LABELS },
+        ...(range && { admittedAt: dateRange(range) }),
+        ...(location && { 'locationHistory.location': location })
+      })
+        .sort({ admittedAt: 1 })
+        .lean(),
+    create: (fields) => create(Encounter, fields),
+    update: (id, changes) => updateById(Encounter, id, changes)
+  };
+}
+
+function readingRepository({ Reading }) {
+  return {
+    findById: (id) => Reading.findById(id).lean(),
+    // The version of an observation that is not superseded (a tombstone once deleted)
+    latestVersion: (readingGroup) =>
+      Reading.findOne({ readingGroup, isCurrent: { $ne: false } }).lean(),
+    findByIdempotencyKey: (key) => Reading.findOne({ 'idempotency.key': key }).lean(),
+    // Current readings of a patient, oldest first; encounter (null for readings without one),
+    // range and limit narrow them down
+    timeline: (patient, { encounter, range, limit } = {}) => {
+      let query = Reading.find({
+        patient,
+        ...(encounter !== undefined && { encounter }),
+        ...(range && { timestamp: dateRange(range) }),
+        ...CURRENT_READING
+      }).sort({ timestamp: 1 });
+      if (limit) query = query.limit(limit);
+      return query.lean();
+    },
+    // Current readings of the same stay from before reading, newest first: at most limit, or
+    // those since a time
+    earlier: (reading, { limit, since }) => {
+      let query = Reading.find({
+        patient: reading.patient,
+        encounter: reading.encounter,
+        timestamp: { $lt: reading.timestamp, ...(since && { $gte: since }) },
+        ...CURRENT_READING
+      }).sort({ timestamp: -1 });
+      if (limit) query = query.limit(limit);
+      return query.lean();
+    },
+    forEncounters: (encounters) =>
+      Reading.find({ encounter: { $in: encounters }, ...CURRENT_READING })
+        .sort({ timestamp: 1 })
+        .lean(),
+    // Latest current reading of each patient over these encounters, by patient id
+    latestByPatient: async (encounters) => {
+      const latest = await Reading.aggregate([
+        { $match: { encounter: { $in: encounters }, ...CURRENT_READING } },
+        { $sort: { timestamp: -1 } },
+        {
+          $group: {
+            _id: '$patient',
+            qsofaScore: { $first: '$qsofaScore' },
+            qsofaRiskLabel: { $first: '$qsofaRiskLabel' },
+            qsofaRiskCode: { $first: '$qsofaRiskCode' },
+            timestamp: { $first: '$timestamp' }
+          }
+        }
+      ]);
+      return new Map(latest.map(({ _id, ...reading }) => [String(_id), reading]));
+    },
+    // One page of current readings with their patient; patients limits them to those ids
+    page: ({ encounter, range, mentalStatus, minScore, maxScore, patients }, page) => {
+      const filter = { ...CURRENT_READING };
+      if (encounter) filter.encounter = encounter;
+      if (range) filter.timestamp = dateRange(range);
+      if (mentalStatus) filter.mentalStatus = mentalStatus;
+      if (minScore !== undefined || maxScore !== undefined) {
+        filter.qsofaScore = {};
+        if (minScore !== undefined) filter.qsofaScore.$gte = minScore;
+        if (maxScore !== undefined) filter.qsofaScore.$lte = maxScore;
+      }
+      if (patients) filter.patient = { $in: patients };
+      return findPage(Reading, filter, page, ['patient', PATIENT_FIELDS]);
+    },
+    // Every current reading with its patient, oldest first, read as it is iterated
+    async *export({ range, patients }) {
+      const cursor = Reading.find({
+        ...CURRENT_READING,
+        ...(range && { timestamp: dateRange(range) }),
+        ...(patients && { patient: { $in: patients } })
+      })
+        .populate('patient', PATIENT_FIELDS)
+        .sort({ timestamp: 1 })
+        .lean()
+        .cursor();
+      try {
+        for await (const reading of cursor) yield reading;
+      } finally {
+        await cursor.close();
+      }
+    },
+    // readingGroup of each amended or deleted reading of an encounter
+    amendedGroups: (patient, encounter) =>
+      Reading.distinct('readingGroup', { patient, encounter, version: { $gt: 1 } }),
+    versions: (readingGroups) =>
+      Reading.find({ readingGroup: { $in: readingGroups } })
+        .sort({ version: 1 })
+        .lean(),
+    // [{ patient, firstAt }] for patients with readings from before encounters were tracked
+    unassigned: async () => {
+      const groups = await Reading.aggregate([
+        { $match: { encounter: { $exists: false } } },
+        { $group: { _id: '$patient', firstAt: { $min: '$timestamp' } } }
+      ]);
+      return groups.map(({ _id, firstAt }) => ({ patient: _id, firstAt }));
+    },
+    assignEncounter: (patient, encounter) =>
+      Reading.updateMany({ patient, encounter: { $exists: false } }, { $set: { encounter } }),
+    create: (fields) => create(Reading, fields),
+    // Marks a version superseded unless another change did first; resolves to it or null
+    claimCurrent: (id) =>
+      Reading.findOneAndUpdate(
+        { _id: id, isCurrent: { $ne: false } },
+        { $set: { isCurrent: false } }
+      ).lean(),
+    restoreCurrent: (id) => Reading.updateOne({ _id: id }, { $set: { isCurrent: true } })
+  };
+}
+
+function alertRepository({ Alert }) {
+  return {
+    findById: (id) => Alert.findById(id).lean(),
+    forReadings: (readings) =>
+      Alert.find({ reading: { $in: readings } })
+        .sort({ timestamp: 1, _id: 1 })
+        .lean(),
+    unresolvedForReading: (reading) => Alert.find({ reading, status: { $ne: 'resolved' } }).lean(),
+    unresolvedForEncounter: (encounter) =>
+      Alert.find({ encounter, status: { $ne: 'resolved' } }).lean(),
+    // The ward queue with each alert's patient, newest first
+    list: ({ status, location, ruleId }) =>
+      Alert.find({
+        ...(status && { status }),
+        ...(location && { location }),
+        ...(ruleId && { ruleId })
+      })
+        .populate('patient', PATIENT_FIELDS)
+        .sort({ timestamp: -1 })
+        .lean(),
+    // Number of open alerts of each of these patients, by patient id
+    openCountsByPatient: async (patients) => {
+      const counts = await Alert.aggregate([
+        { $match: { patient: { $in: patients }, status: 'open' } },
+        { $group: { _id: '$patient', count: { $sum: 1 } } }
+      ]);
+      return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    },
+    // Open alerts whose notification chain is due to move on
+    dueForEscalation: (now) =>
+      Alert.find({ status: 'open', 'notification.nextEscalationAt': { $lte: now } }).lean(),
+    createMany: async (alerts) => (await Alert.insertMany(alerts)).map((alert) => alert.toObject()),
+    update: (id, changes) => updateById(Alert, id, changes),
+    assignEncounter: (patient, encounter) =>
+      Alert.updateMany({ patient, encounter: { $exists: false } }, { $set: { encounter } })
+  };
+}
+
+function bundleRepository({ SepsisBundle }) {
+  return {
+    findById: (id) => SepsisBundle.findById(id).lean(),
+    // With its patient and triggering alert
+    findByIdWithDetails: (id) =>
+      SepsisBundle.findById(id).populate('patient', PATIENT_FIELDS).populate('alert').lean(),
+    forEncounter: (encounter) => SepsisBundle.find({ encounter }).sort({ startedAt: 1 }).lean(),
+    // Open bundles with an action due before now, with their patient
+    overdue: ({ location }, now) =>
+      SepsisBundle.find({
+        status: 'open',
+        'actions.dueAt': { $lt: now },
+        ...(location && { location })
+      })
+        .populate('patient', PATIENT_FIELDS)
+        .lean(),
+    startedIn: ({ range, location }) =>
+      SepsisBundle.find({
+        ...(range && { startedAt: dateRange(range) }),
+        ...(location && { location })
+      }).lean(),
+    // Fails with a duplicate key error (code 11000) while the stay has an open bundle
+    create: (fields) => create(SepsisBundle, fields),
+    // Records actions[index] only while it is still pending; resolves to whether it did
+    recordAction: async (id, index, { actionId, status, at, by, note }) => {
+      const path = `actions.${index}`;
+      const { matchedCount } = await SepsisBundle.updateOne(
+        { _id: id, [`${path}.actionId`]: actionId, [`${path}.status`]: 'pending' },
+        {
+          $set: {
+            [`${path}.status`]: status,
+            [`${path}.at`]: at,
+            [`${path}.by`]: by,
+            [`${path}.note`]: note
+          }
+        }
+      );
+      return matchedCount > 0;
+    },
+    // Closes the bundle once no action is pending
+    closeIfComplete: (id, closedAt) =>
+      SepsisBundle.updateOne(
+        { _id: id, status: 'open', 'actions.status': { $ne: 'pending' } },
+        { $set: { status: 'closed', closedAt } }
+      )
+  };
+}
+
+function ruleRepository({ AlertRule }) {
+  return {
+    // Evaluation order
+    list: () => AlertRule.find().sort({ priority: 1, ruleId: 1 }).lean(),
+    enabled: () => AlertRule.find({ enabled: true }).lean(),
+    findByRuleId: (ruleId) => AlertRule.findOne({ ruleId }).lean(),
+    isEmpty: async () => !(await AlertRule.exists({})),
+    create: (fields) => create(AlertRule, fields),
+    createMany: (rules) => AlertRule.insertMany(rules),
+    update: (id, changes) => updateById(AlertRule, id, changes),
+    deleteByRuleId: (ruleId) => AlertRule.findOneAndDelete({ ruleId }).lean(),
+    // Swaps the message of a rule only while it is still `from`
+    replaceMessage: (ruleId, from, to) =>
+      AlertRule.updateOne({ ruleId, message: from }, { $set: { message: to } })
+  };
+}
+
+function notificationRouteRepository({ NotificationRoute }) {
+  return {
+    list: () => NotificationRoute.find().sort({ location: 1 }).lean(),
+    findById: (id) => NotificationRoute.findById(id).lean(),
+    findByLocation: (location) => NotificationRoute.findOne({ location }).lean(),
+    // Enabled routes for this location and the "*" route
+    enabledFor: (location) =>
+      NotificationRoute.find({
+        enabled: true,
+        location: location ? { $in: [location, '*'] } : '*'
+      }).lean(),
+    create: (fields) => create(NotificationRoute, fields),
+    update: (id, changes) => updateById(NotificationRoute, id, changes),
+    delete: (id) => NotificationRoute.findByIdAndDelete(id).lean()
+  };
+}
+
+function deliveryRepository({ NotificationDelivery }) {
+  return {
+    create: (fields) => create(NotificationDelivery, fields),
+    // Takes a pending delivery that is due, pushing its next attempt to `until` so no one else
+    // sends it meanwhile; resolves to it or null
+    claimDue: (id, now, until) =>
+      NotificationDelivery.findOneAndUpdate(
+        { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: until } },
+        { new: true }
+      ).lean(),
+    update: (id, changes) => updateById(NotificationDelivery, id, changes),
+    // Ids of pending deliveries due by now, earliest first
+    dueIds: async (now, limit) =>
+      (
+        await NotificationDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+          .sort({ nextAttemptAt: 1 })
+          .limit(limit)
+          .select('_id')
+          .lean()
+      ).map(({ _id }) => _id),
+    // One page of the delivery log with each delivery's patient
+    page: ({ status, alert, patients }, page) =>
+      findPage(
+        NotificationDelivery,
+        {
+          ...(status && { status }),
+          ...(alert && { alert }),
+          ...(patients && { patient: { $in: patients } })
+        },
+        page,
+        ['patient', PATIENT_FIELDS]
+      )
+  };
+}
+
+function auditRepository({ AuditLog }) {
+  return {
+    add: (entry) => create(AuditLog, entry),
+    // Newest first
+    list: ({ entityId, patient, action }, limit) =>
+      AuditLog.find({
+        ...(entityId && { entityId }),
+        ...(patient && { patient }),
+        ...(action && { action })
+      })
+        .sort({ at: -1 })
+        .limit(limit)
+        .lean()
+  };
+}
+
+// The store on db, a mongoose connection
+function createMongooseStore(db) {
+  const models = createModels(db);
+  return {
+    users: userRepository(models),
+    patients: patientRepository(models),
+    encounters: encounterRepository(models),
+    readings: readingRepository(models),
+    alerts: alertRepository(models),
+    bundles: bundleRepository(models),
+    rules: ruleRepository(models),
+    notificationRoutes: notificationRouteRepository(models),
+    deliveries: deliveryRepository(models),
+    auditLog: auditRepository(models),
+    close: () => db.close()
+  };
+}
+
+module.exports = { createMongooseStore };
@@ -0,0 +1,159 @@
+// Schema-driven validation for incoming readings.
+// Errors reject the reading (422); flags store it but mark it as needing verification.
+const { OPTIONAL_MEASUREMENTS } = require('./vitals');
+
+const MENTAL_STATUS_OPTIONS = ['Alert', 'Drowsy', 'Agitated', 'Unresponsive'];
+
+// Readings timestamped further than this into the future are flagged
+const FUTURE_TOLERANCE_MS = 60 * 60 * 1000;
+
+const READING_SCHEMA = {
+  name: { type: 'string', maxLength: 100 },
+  location: { type: 'string', maxLength: 100 },
+  respiratoryRate: {
+    type: 'number',
+    required: true,
+    label: 'Respiratory rate',
+    unit: 'breaths/min',
+    min: 0,
+    max: 80,
+    plausibleMin: 6,
+    plausibleMax: 50
+  },
+  systolicBP: {
+    type: 'number',
+    required: true,
+    label: 'Systolic blood pressure',
+    unit: 'mmHg',
+    min: 20,
+    max: 350,
+    plausibleMin: 60,
+    plausibleMax: 250
+  },
+  mentalStatus: {
+    type: 'enum',
+    required: true,
+    label: 'Mental status',
+    options: MENTAL_STATUS_OPTIONS
+  },
+  timestamp: { type: 'date', required: true, label: 'Observation time' },
+  ...OPTIONAL_MEASUREMENTS
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function error(field, code, message) {
+  return { field, code, message };
+}
+
+function checkNumber(field, spec, raw, errors, flags) {
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  const label = spec.label || field;
+  const unit = spec.unit ? ` ${spec.unit}` : '';
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(error(field, 'invalid_type', `${label} must be a number.`));
+    return undefined;
+  }
+  if (spec.integer && !Number.isInteger(value)) {
+    errors.push(error(field, 'not_integer', `${label} must be a whole number.`));
+    return undefined;
+  }
+  if (value < spec.min || value > spec.max) {
+    errors.push(
+      error(field, 'out_of_range', `${label} must be between ${spec.min} and ${spec.max}${unit}.`)
+    );
+    return undefined;
+  }
+  if (
+    (spec.plausibleMin !== undefined && value < spec.plausibleMin) ||
+    (spec.plausibleMax !== undefined && value > spec.plausibleMax)
+  ) {
+    flags.push(
+      error(field, 'implausible', `${label} of ${value}${unit} is unusual; please verify.`)
+    );
+  }
+  return value;
+}
+
+function checkField(field, spec, raw, errors, flags) {
+  const label = spec.label || field;
+
+  switch (spec.type) {
+    case 'number':
+    case undefined:
+      return checkNumber(field, spec, raw, errors, flags);
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === 'false') return raw === 'true';
+      errors.push(error(field, 'invalid_type', `${label} must be true or false.`));
+      return undefined;
+    case 'string':
+      if (typeof raw !== 'string') {
+        errors.push(error(field, 'invalid_type', `${label} must be text.`));
+        return undefined;
+      }
+      if (spec.maxLength && raw.length > spec.maxLength) {
+        errors.push(
+          error(field, 'too_long', `${label} must be at most ${spec.maxLength} characters.`)
+        );
+        return undefined;
+      }
+      return raw.trim();
+    case 'enum': {
+      const match =
+        typeof raw === 'string' &&
+        spec.options.find((opt) => opt.toLowerCase() === raw.trim().toLowerCase());
+      if (!match) {
+        errors.push(
+          error(field, 'invalid_option', `${label} must be one of: ${spec.options.join(', ')}.`)
+        );
+        return undefined;
+      }
+      return match;
+    }
+    case 'date': {
+      // Dates come back as Date objects when a stored reading is revalidated (amendments)
+      const date =
+        typeof raw === 'string' || typeof raw === 'number' || raw instanceof Date
+          ? new Date(raw)
+          : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        errors.push(error(field, 'invalid_date', `${label} is not a valid date/time.`));
+        return undefined;
+      }
+      if (date.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+        flags.push(error(field, 'implausible', `${label} is in the future; please verify.`));
+      }
+      return date;
+    }
+    default:
+      throw new Error(`Unknown field type ${spec.type} for ${field}`);
+  }
+}
+
+// Returns { value, errors, flags }; value only holds fields that were supplied and valid.
+function validateReading(body, schema = READING_SCHEMA) {
+  const value = {};
+  const errors = [];
+  const flags = [];
+  const input = body || {};
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const raw = input[field];
+    if (isBlank(raw)) {
+      if (spec.required) {
+        errors.push(error(field, 'required', `${spec.label || field} is required.`));
+      }
+      return;
+    }
+    const parsed = checkField(field, spec, raw, errors, flags);
+    if (parsed !== undefined) value[field] = parsed;
+  });
+
+  return { value, errors, flags };
+}
+
+module.exports = { READING_SCHEMA, MENTAL_STATUS_OPTIONS, validateReading };
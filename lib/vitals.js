@@ -0,0 +1,78 @@
+// Optional vitals and lab measurements captured alongside the core qSOFA inputs.
+// min/max is the physiologically possible range (outside it the reading is rejected);
+// plausibleMin/plausibleMax is the usual range (outside it the reading is flagged for verification).
+
+// Vasopressor dose bands as SOFA scores them (µg/kg/min): low is dopamine ≤ 5 or any dobutamine,
+// medium is dopamine > 5 or adrenaline/noradrenaline ≤ 0.1, high is dopamine > 15 or
+// adrenaline/noradrenaline > 0.1
+const VASOPRESSOR_DOSES = ['none', 'low', 'medium', 'high'];
+
+const OPTIONAL_MEASUREMENTS = {
+  heartRate: {
+    label: 'Heart rate',
+    unit: 'beats/min',
+    min: 20,
+    max: 250,
+    plausibleMin: 30,
+    plausibleMax: 200
+  },
+  temperature: {
+    label: 'Temperature',
+    unit: '°C',
+    min: 25,
+    max: 45,
+    plausibleMin: 33,
+    plausibleMax: 42
+  },
+  spo2: { label: 'Oxygen saturation', unit: '%', min: 50, max: 100, plausibleMin: 70 },
+  supplementalOxygen: { label: 'Supplemental oxygen', type: 'boolean' },
+  gcs: { label: 'Glasgow Coma Scale', unit: 'points', min: 3, max: 15, integer: true },
+  lactate: { label: 'Lactate', unit: 'mmol/L', min: 0, max: 30, plausibleMax: 20 },
+  wbc: {
+    label: 'White cell count',
+    unit: 'x10^9/L',
+    min: 0,
+    max: 200,
+    plausibleMin: 0.5,
+    plausibleMax: 50
+  },
+  pao2Fio2Ratio: {
+    label: 'PaO2/FiO2 ratio',
+    unit: 'mmHg',
+    min: 20,
+    max: 700,
+    plausibleMin: 50,
+    plausibleMax: 600
+  },
+  platelets: {
+    label: 'Platelets',
+    unit: 'x10^3/µL',
+    min: 0,
+    max: 2000,
+    plausibleMin: 5,
+    plausibleMax: 1000
+  },
+  bilirubin: { label: 'Bilirubin', unit: 'mg/dL', min: 0, max: 50, plausibleMax: 30 },
+  meanArterialPressure: {
+    label: 'Mean arterial pressure',
+    unit: 'mmHg',
+    min: 20,
+    max: 200,
+    plausibleMin: 40,
+    plausibleMax: 160
+  },
+  creatinine: {
+    label: 'Creatinine',
+    unit: 'mg/dL',
+    min: 0,
+    max: 25,
+    plausibleMin: 0.2,
+    plausibleMax: 15
+  },
+  // SOFA scores cardiovascular above 1 point only with vasopressors, and respiration above 2 only
+  // with respiratory support
+  vasopressors: { label: 'Vasopressor dose', type: 'enum', options: VASOPRESSOR_DOSES },
+  respiratorySupport: { label: 'Mechanical ventilation or CPAP', type: 'boolean' }
+};
+
+module.exports = { VASOPRESSOR_DOSES, OPTIONAL_MEASUREMENTS };
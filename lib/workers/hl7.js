@@ -0,0 +1,82 @@
+// HL7 v2 ingestion: each ORU^R01 message from the monitor gateway, received over MLLP, is stored
+// through the same path as the REST route. lib/hl7.js does the framing, parsing and ACKs.
+const { validateReading } = require('../validation');
+const hl7 = require('../hl7');
+const { requestFingerprint } = require('../services');
+
+// MLLP listener for HL7 v2 results from the monitor gateway; off unless a port is set
+const HL7_MLLP_PORT = process.env.HL7_MLLP_PORT;
+
+// store is from lib/storage/index.js
+function createHl7Worker(store, services) {
+  const { readings } = store;
+  const { stayError, storeReading } = services;
+
+  // Readings from the monitor gateway are attributed to this interface rather than a user
+  const HL7_ACTOR = { username: 'hl7-interface' };
+
+  // A gateway resends a message it got no ACK for with the same MSH-10 control id; the sending
+  // application and control id are the reading's idempotency key
+  async function replayHl7Message(header, idempotency) {
+    const existing = await readings.findByIdempotencyKey(idempotency.key);
+    if (!existing) return null;
+    if (existing.idempotency.fingerprint !== idempotency.fingerprint) {
+      return hl7.buildAck(header, 'AR', 'Message control id was already used for another message.');
+    }
+    return hl7.buildAck(header, 'AA');
+  }
+
+  // One ORU^R01 message becomes one reading; replies AA on success, AE/AR with the reason otherwise
+  async function handleHl7Message(message) {
+    const parsed = hl7.parseOru(message);
+    if (parsed.errors.length) {
+      return hl7.buildAck(parsed.header, 'AR', parsed.errors.join(' '));
+    }
+    const { header } = parsed;
+    const idempotency = header.controlId
+      ? {
+          key: `hl7:${header.sendingApplication}:${header.controlId}`,
+          fingerprint: requestFingerprint(parsed.externalId, parsed.body)
+        }
+      : undefined;
+    try {
+      if (idempotency) {
+        const replay = await replayHl7Message(header, idempotency);
+        if (replay) return replay;
+      }
+      const validation = validateReading(parsed.body);
+      if (!validation.errors.length) {
+        const error = await stayError(parsed.externalId, validation.value.timestamp);
+        if (error) validation.errors.push(error);
+      }
+      if (validation.errors.length) {
+        return hl7.buildAck(header, 'AE', validation.errors.map((e) => e.message).join(' '));
+      }
+      try {
+        await storeReading(parsed.externalId, validation, HL7_ACTOR, { idempotency });
+      } catch (err) {
+        // The same message arriving twice at once: the other copy stored it
+        if (!idempotency || err.code !== 11000) throw err;
+        return replayHl7Message(header, idempotency);
+      }
+      return hl7.buildAck(header, 'AA');
+    } catch (err) {
+      console.error('Error storing HL7 reading', err);
+      return hl7.buildAck(parsed.header, 'AE', 'Failed to record reading');
+    }
+  }
+
+  function startMllpListener() {
+    if (!HL7_MLLP_PORT) return;
+    hl7
+      .createMllpServer(handleHl7Message)
+      .on('error', (err) => console.error('MLLP listener error', err))
+      .listen(HL7_MLLP_PORT, () => {
+        console.log(`HL7 MLLP listener on port ${HL7_MLLP_PORT}`);
+      });
+  }
+
+  return { handleHl7Message, startMllpListener };
+}
+
+module.exports = { createHl7Worker };
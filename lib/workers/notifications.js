@@ -0,0 +1,169 @@
+// Notification worker: routes new alerts to the first contact of their ward's chain, escalates
+// unacknowledged ones along the chain and retries failed deliveries. lib/notifications.js formats
+// and sends each message.
+const { applyAlertAction, alertActionChanges } = require('../alerts');
+const events = require('../events');
+const notifications = require('../notifications');
+
+// Default wait for an acknowledgement before escalating to the next contact, and how often the
+// notification worker checks for retries and escalations
+const NOTIFY_ESCALATE_MINUTES = Number(process.env.NOTIFY_ESCALATE_MINUTES) || 15;
+const NOTIFY_POLL_SECONDS = Number(process.env.NOTIFY_POLL_SECONDS) || 30;
+
+// store is from lib/storage/index.js and audit the audit trail writer from createAudit() in
+// lib/services.js
+function createNotificationWorker(store, audit) {
+  const { patients, alerts, notificationRoutes, deliveries } = store;
+
+  // Automatic escalations are attributed to the notification worker
+  const NOTIFY_ACTOR = { username: 'notifications' };
+
+  // The route for a location, falling back to the "*" route
+  async function routeFor(location) {
+    const routes = await notificationRoutes.enabledFor(location);
+    return routes.find((r) => r.location === location) || routes.find((r) => r.location === '*');
+  }
+
+  function escalationDue(route, step, from = new Date()) {
+    if (step + 1 >= route.chain.length) return undefined;
+    const minutes = route.chain[step].escalateAfterMinutes || NOTIFY_ESCALATE_MINUTES;
+    return new Date(from.getTime() + minutes * 60 * 1000);
+  }
+
+  // Queue a delivery to the contact at `step` of the route's chain and try it straight away
+  async function queueDelivery(alert, route, step) {
+    const { name, channel, target } = route.chain[step];
+    const delivery = await deliveries.create({
+      alert: alert._id,
+      patient: alert.patient,
+      route: route._id,
+      step,
+      contact: { name, channel, target }
+    });
+    dispatchDelivery(delivery._id).catch((err) => console.error('Error sending notification', err));
+    return delivery;
+  }
+
+  // Notify the first contact for each new alert whose level the patient's route covers
+  async function notifyAlerts(patient, raised) {
+    const route = await routeFor(patient.location);
+    if (!route || !route.chain.length) return;
+
+    const covered = raised.filter((alert) => route.levels.includes(alert.level));
+    await Promise.all(
+      covered.map(async (alert) => {
+        await alerts.update(alert._id, {
+          notification: { route: route._id, step: 0, nextEscalationAt: escalationDue(route, 0) }
+        });
+        await queueDelivery(alert, route, 0);
+      })
+    );
+  }
+
+  // Claims a due delivery (so overlapping ticks cannot send it twice), sends it and records the
+  // attempt; failures are retried with backoff until MAX_ATTEMPTS
+  async function dispatchDelivery(id) {
+    const now = new Date();
+    const delivery = await deliveries.claimDue(id, now, new Date(now.getTime() + 5 * 60 * 1000));
+    if (!delivery) return;
+
+    const [alert, patient] = await Promise.all([
+      alerts.findById(delivery.alert),
+      patients.findById(delivery.patient)
+    ]);
+    const attempts = delivery.attempts + 1;
+    let changes;
+    try {
+      if (!alert || !patient) throw new Error('Alert or patient no longer exists.');
+      const message = notifications.buildMessage({ alert, patient, step: delivery.step });
+      const response = await notifications.deliver(delivery.contact, message);
+      changes = { status: 'sent', sentAt: new Date(), response, nextAttemptAt: undefined };
+      delivery.attemptLog.push({ at: new Date(), ok: true, detail: response });
+    } catch (err) {
+      const failed = attempts >= notifications.MAX_ATTEMPTS;
+      changes = {
+        status: failed ? 'failed' : 'pending',
+        lastError: err.message,
+        nextAttemptAt: failed
+          ? undefined
+          : new Date(Date.now() + notifications.retryDelayMs(attempts))
+      };
+      delivery.attemptLog.push({ at: new Date(), ok: false, detail: err.message });
+    }
+    await deliveries.update(delivery._id, {
+      ...changes,
+      attempts,
+      attemptLog: delivery.attemptLog
+    });
+  }
+
+  // Moves alerts still open past their escalation time on to the next contact in the chain
+  async function escalateUnacknowledged() {
+    const due = await alerts.dueForEscalation(new Date());
+    for (const alert of due) {
+      const route = await notificationRoutes.findById(alert.notification.route);
+      const step = alert.notification.step + 1;
+      if (!route || !route.enabled || step >= route.chain.length) {
+        await alerts.update(alert._id, {
+          notification: { ...alert.notification, nextEscalationAt: undefined }
+        });
+        continue;
+      }
+
+      const contact = route.chain[step].name || route.chain[step].target;
+      const note = `Not acknowledged; notifying ${contact}.`;
+      applyAlertAction(alert, 'escalate', { user: NOTIFY_ACTOR.username, note });
+      alert.notification = {
+        ...alert.notification,
+        step,
+        nextEscalationAt: escalationDue(route, step)
+      };
+      await alerts.update(alert._id, {
+        ...alertActionChanges(alert),
+        notification: alert.notification
+      });
+      await audit({
+        actor: NOTIFY_ACTOR,
+        action: 'alert.escalate',
+        entityType: 'Alert',
+        entityId: alert._id,
+        patient: alert.patient,
+        reason: note,
+        before: { status: 'open' },
+        after: { status: alert.status, escalationLevel: alert.escalationLevel }
+      });
+      await queueDelivery(alert, route, step);
+
+      const patient = await patients.findById(alert.patient);
+      events.publish('alert-updated', { patient, alert });
+    }
+  }
+
+  async function retryDeliveries() {
+    for (const id of await deliveries.dueIds(new Date(), 50)) {
+      await dispatchDelivery(id);
+    }
+  }
+
+  let notificationTickRunning = false;
+  async function notificationTick() {
+    if (notificationTickRunning) return;
+    notificationTickRunning = true;
+    try {
+      await escalateUnacknowledged();
+      await retryDeliveries();
+    } catch (err) {
+      console.error('Error in notification worker', err);
+    } finally {
+      notificationTickRunning = false;
+    }
+  }
+
+  function startNotificationWorker() {
+    setInterval(notificationTick, NOTIFY_POLL_SECONDS * 1000).unref();
+  }
+
+  return { notifyAlerts, notificationTick, startNotificationWorker };
+}
+
+module.exports = { createNotificationWorker };
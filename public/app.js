@@ -0,0 +1,2103 @@
+// Simple single-page navigation
+function showSection(targetId) {
+  document.querySelectorAll('.nav-link').forEach((b) => {
+    b.classList.toggle('active', b.getAttribute('data-target') === targetId);
+  });
+  document.querySelectorAll('.page-section').forEach((section) => {
+    section.classList.toggle('visible', section.id === targetId);
+  });
+}
+
+document.querySelectorAll('.nav-link').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    const targetId = btn.getAttribute('data-target');
+    showSection(targetId);
+    if (targetId === 'ward-section') loadWard();
+  });
+});
+
+const apiBase = ''; // same origin
+
+// --- Authentication ---
+const AUTH_STORAGE_KEY = 'sepsis-screen-auth';
+let auth = JSON.parse(sessionStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+
+const loginScreen = document.getElementById('login-screen');
+const loginForm = document.getElementById('login-form');
+const loginStatus = document.getElementById('login-status');
+const currentUserLabel = document.getElementById('current-user');
+
+// fetch with the bearer token and interface language attached; a 401 sends the user back to the
+// login screen
+async function apiFetch(url, options = {}) {
+  const headers = { 'Accept-Language': uiLocale, ...(options.headers || {}) };
+  if (auth) headers.Authorization = `Bearer ${auth.token}`;
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401 && auth) {
+    logout(t('login.expired'));
+  }
+  return res;
+}
+
+function canRecord() {
+  return auth && auth.user.role !== 'viewer';
+}
+
+function renderCurrentUser() {
+  const { displayName, username, role } = auth.user;
+  currentUserLabel.textContent = `${displayName || username} (${t(`role.${role}`)})`;
+}
+
+function showApp() {
+  document.body.classList.remove('logged-out');
+  loginScreen.classList.add('hidden');
+  renderCurrentUser();
+
+  // Viewers can browse but not record readings
+  readingForm.querySelectorAll('input, select, button').forEach((el) => {
+    el.disabled = !canRecord();
+  });
+  document.getElementById('viewer-note').classList.toggle('hidden', canRecord());
+  updateConnectionStatus();
+  loadScenarios();
+}
+
+function logout(message) {
+  auth = null;
+  sessionStorage.removeItem(AUTH_STORAGE_KEY);
+  disconnectLiveStream();
+  document.body.classList.add('logged-out');
+  loginScreen.classList.remove('hidden');
+  loginStatus.textContent = message || '';
+  loginStatus.classList.toggle('error', Boolean(message));
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  loginStatus.textContent = t('login.signingIn');
+  loginStatus.classList.remove('error');
+
+  try {
+    const res = await fetch(`${apiBase}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('login-username').value.trim(),
+        password: document.getElementById('login-password').value
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      loginStatus.textContent = data.error || t('login.failed');
+      loginStatus.classList.add('error');
+      return;
+    }
+
+    auth = { token: data.token, user: data.user };
+    sessionStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+    loginForm.reset();
+    loginStatus.textContent = '';
+    showApp();
+  } catch (err) {
+    console.error(err);
+    loginStatus.textContent = t('login.unreachable');
+    loginStatus.classList.add('error');
+  }
+});
+
+document.getElementById('logout').addEventListener('click', () => logout());
+
+// --- Language and hospital time zone ---
+// Times are shown, and datetime-local inputs read, in the hospital's time zone (GET /api/i18n)
+// rather than the device's; the last known zone is kept for offline use
+const TIME_ZONE_STORAGE_KEY = 'sepsis-screen-time-zone';
+let hospitalTimeZone = localStorage.getItem(TIME_ZONE_STORAGE_KEY) || undefined;
+const languageSelect = document.getElementById('language-select');
+
+async function loadLocaleSettings() {
+  try {
+    const res = await fetch(`${apiBase}/api/i18n`);
+    if (!res.ok) return;
+    const { timeZone } = await res.json();
+    hospitalTimeZone = timeZone;
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone);
+  } catch (err) {
+    console.error('Unable to load the hospital time zone', err);
+  }
+}
+
+// Redraws what is on screen in the chosen language; server texts are fetched again
+languageSelect.addEventListener('change', async () => {
+  try {
+    await setUiLocale(languageSelect.value);
+  } catch (err) {
+    console.error('Unable to load the interface language', err);
+    languageSelect.value = uiLocale;
+    return;
+  }
+  if (auth) renderCurrentUser();
+  renderSyncQueue();
+  renderScenarioPlay();
+  if (scenarioRun) renderScenarioStep();
+  if (!summaryContent.classList.contains('hidden')) refreshSummary(summaryPatientId.textContent);
+  if (currentPatientId) loadDashboard(currentPatientId);
+  if (document.getElementById('ward-section').classList.contains('visible')) loadWard();
+});
+
+// Utility: format timestamp for display
+function formatTime(ts) {
+  return new Intl.DateTimeFormat(uiLocale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: hospitalTimeZone
+  }).format(new Date(ts));
+}
+
+// Milliseconds the hospital's wall clock is ahead of UTC at date
+function zoneOffset(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: hospitalTimeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  const wall = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+  return wall + part('second') * 1000 - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Value for a datetime-local input in the hospital time zone
+function toLocalInput(ts) {
+  const d = new Date(ts);
+  return new Date(d.getTime() + zoneOffset(d)).toISOString().slice(0, 16);
+}
+
+// ISO time for a datetime-local value read as hospital time; undefined when blank
+function fromLocalInput(value) {
+  if (!value) return undefined;
+  const wall = Date.parse(`${value}Z`);
+  // A second pass settles times next to a daylight-saving change
+  const guess = wall - zoneOffset(new Date(wall));
+  return new Date(wall - zoneOffset(new Date(guess))).toISOString();
+}
+
+// --- Input form handling ---
+const readingForm = document.getElementById('reading-form');
+const formStatus = document.getElementById('form-status');
+
+const summaryEmpty = document.getElementById('summary-empty');
+const summaryContent = document.getElementById('summary-content');
+const summaryPatientId = document.getElementById('summary-patientId');
+const summaryQsofa = document.getElementById('summary-qsofa');
+const summaryRiskLabel = document.getElementById('summary-riskLabel');
+const summaryCount = document.getElementById('summary-count');
+const summaryNextDue = document.getElementById('summary-nextDue');
+const summaryReasons = document.getElementById('summary-reasons');
+const summaryScores = document.getElementById('summary-scores');
+const summaryPersonalizedLine = document.getElementById('summary-personalized-line');
+const summaryPersonalized = document.getElementById('summary-personalized');
+const summaryBaseline = document.getElementById('summary-baseline');
+
+// Optional vitals and labs (units match lib/vitals.js on the server)
+const OPTIONAL_FIELDS = [
+  { key: 'heartRate', unit: 'beats/min' },
+  { key: 'temperature', unit: '°C' },
+  { key: 'spo2', unit: '%' },
+  { key: 'supplementalOxygen', type: 'boolean' },
+  { key: 'gcs', unit: '' },
+  { key: 'lactate', unit: 'mmol/L' },
+  { key: 'wbc', unit: 'x10^9/L' },
+  { key: 'pao2Fio2Ratio', unit: 'mmHg' },
+  { key: 'platelets', unit: 'x10^3/µL' },
+  { key: 'bilirubin', unit: 'mg/dL' },
+  { key: 'creatinine', unit: 'mg/dL' },
+  { key: 'meanArterialPressure', unit: 'mmHg' },
+  { key: 'vasopressors', type: 'choice' },
+  { key: 'respiratorySupport', type: 'boolean' }
+];
+const summaryVitals = document.getElementById('summary-vitals');
+const summaryVerification = document.getElementById('summary-verification');
+
+// Format one scoring-engine result, e.g. "NEWS2: 5 / 20 - Medium clinical risk (partial)"
+function describeScore(result) {
+  const partial = result.complete ? '' : ` ${t('summary.partial')}`;
+  return `${result.name}: ${result.score} / ${result.maxScore} - ${result.riskLabel}${partial}`;
+}
+
+// Name of a reading field in the interface language
+function fieldLabel(field) {
+  return t(`field.${field}`);
+}
+
+function renderBaseline(baseline) {
+  summaryBaseline.innerHTML = '';
+  if (!baseline) {
+    const li = document.createElement('li');
+    li.textContent = t('baseline.none');
+    summaryBaseline.appendChild(li);
+    return;
+  }
+  Object.entries(baseline.values).forEach(([field, value]) => {
+    const li = document.createElement('li');
+    li.textContent = `${fieldLabel(field)}: ${value}`;
+    summaryBaseline.appendChild(li);
+  });
+  const source = document.createElement('li');
+  source.className = 'helper-text';
+  source.textContent =
+    baseline.source === 'manual'
+      ? t(baseline.note ? 'baseline.manualNote' : 'baseline.manual', { note: baseline.note })
+      : t('baseline.derived', { count: baseline.readingCount });
+  summaryBaseline.appendChild(source);
+}
+
+// e.g. "Systolic BP 92 (-18 vs baseline 110)"
+function describeDeviation({ field, value, baseline, change }) {
+  const sign = change > 0 ? '+' : '';
+  return t('baseline.deviation', {
+    field: fieldLabel(field),
+    value,
+    change: `${sign}${change}`,
+    baseline
+  });
+}
+
+async function refreshSummary(patientId) {
+  if (!patientId) return;
+  try {
+    const res = await apiFetch(`${apiBase}/api/patients/${encodeURIComponent(patientId)}/summary`);
+    if (!res.ok) {
+      summaryEmpty.textContent = t('summary.noReadings');
+      summaryContent.classList.add('hidden');
+      summaryEmpty.classList.remove('hidden');
+      return;
+    }
+    const data = await res.json();
+    if (!data.overall) {
+      summaryEmpty.textContent = t('summary.noReadings');
+      summaryContent.classList.add('hidden');
+      summaryEmpty.classList.remove('hidden');
+      return;
+    }
+
+    summaryPatientId.textContent = data.patient.externalId;
+    summaryQsofa.textContent = data.overall.latestQSOFA;
+    summaryRiskLabel.textContent = data.overall.latestRiskLabel;
+    summaryCount.textContent = data.overall.totalReadings;
+
+    const { reassessment } = data.overall;
+    summaryNextDue.textContent = reassessment.overdue
+      ? t('summary.overdueBy', { minutes: reassessment.overdueMinutes })
+      : formatTime(reassessment.nextDueAt);
+    summaryNextDue.classList.toggle('overdue', reassessment.overdue);
+
+    summaryReasons.innerHTML = '';
+    const last = data.readings[data.readings.length - 1];
+    (last.qsofaReasons || []).forEach((reason) => {
+      const li = document.createElement('li');
+      li.textContent = reason;
+      summaryReasons.appendChild(li);
+    });
+
+    if (last.needsVerification) {
+      summaryVerification.textContent = t('summary.needsVerification', {
+        flags: last.verificationFlags.map((f) => f.message).join(' ')
+      });
+      summaryVerification.classList.remove('hidden');
+    } else {
+      summaryVerification.classList.add('hidden');
+    }
+
+    summaryVitals.innerHTML = '';
+    OPTIONAL_FIELDS.forEach(({ key, unit, type }) => {
+      if (last[key] === undefined || last[key] === null) return;
+      let value = `${last[key]}${unit ? ` ${unit}` : ''}`;
+      if (type === 'boolean') value = t(last[key] ? 'common.yes' : 'common.no');
+      if (type === 'choice') value = t(`field.${key}.${last[key]}`);
+      const li = document.createElement('li');
+      li.textContent = `${fieldLabel(key)}: ${value}`;
+      summaryVitals.appendChild(li);
+    });
+
+    summaryScores.innerHTML = '';
+    (data.overall.latestScores || [])
+      .filter((result) => result.scoreId !== 'qsofa')
+      .forEach((result) => {
+        const li = document.createElement('li');
+        li.textContent = describeScore(result);
+        if (result.missingInputs && result.missingInputs.length) {
+          li.title = t('summary.missing', {
+            inputs: result.missingInputs.map(fieldLabel).join(', ')
+          });
+        }
+        summaryScores.appendChild(li);
+      });
+
+    // Personalised score is shown next to the standard one, never instead of it
+    const personalized = data.overall.latestPersonalizedQSOFA;
+    summaryPersonalizedLine.classList.toggle('hidden', !personalized);
+    if (personalized) {
+      const limits = Object.entries(personalized.thresholds)
+        .map(([field, value]) => `${fieldLabel(field)} ${value}`)
+        .join(', ');
+      summaryPersonalized.textContent = `${personalized.score} - ${personalized.riskLabel} (${limits})`;
+    }
+
+    renderBaseline(data.patient.baseline);
+
+    summaryEmpty.classList.add('hidden');
+    summaryContent.classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    summaryEmpty.textContent = t('summary.unreachable');
+    summaryContent.classList.add('hidden');
+    summaryEmpty.classList.remove('hidden');
+  }
+}
+
+// Form inputs whose id differs from the API field name
+const FIELD_INPUT_IDS = { name: 'patientName', location: 'patientLocation' };
+
+function clearFieldErrors() {
+  readingForm.querySelectorAll('.field-error').forEach((el) => el.remove());
+  readingForm.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+}
+
+// Show each server validation error next to its input
+function showFieldErrors(errors) {
+  errors.forEach(({ field, message }) => {
+    const input = document.getElementById(FIELD_INPUT_IDS[field] || field);
+    if (!input) return;
+    input.classList.add('invalid');
+    const msg = document.createElement('div');
+    msg.className = 'field-error';
+    msg.textContent = message;
+    input.insertAdjacentElement('afterend', msg);
+
+    const section = input.closest('details');
+    if (section) section.open = true;
+  });
+}
+
+readingForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  formStatus.textContent = '';
+  formStatus.classList.remove('error', 'success', 'warning');
+  clearFieldErrors();
+
+  const patientId = document.getElementById('patientId').value.trim();
+  const patientName = document.getElementById('patientName').value.trim();
+  const patientLocation = document.getElementById('patientLocation').value.trim();
+  const respiratoryRate = Number(document.getElementById('respiratoryRate').value);
+  const systolicBP = Number(document.getElementById('systolicBP').value);
+  const mentalStatus = document.getElementById('mentalStatus').value;
+  const timestamp = fromLocalInput(document.getElementById('timestamp').value);
+  const measurements = {};
+  OPTIONAL_FIELDS.forEach(({ key, type }) => {
+    const input = document.getElementById(key);
+    if (type === 'boolean') {
+      measurements[key] = input.checked;
+    } else if (type === 'choice') {
+      if (input.value !== '') measurements[key] = input.value;
+    } else if (input.value !== '') {
+      measurements[key] = Number(input.value);
+    }
+  });
+
+  if (!patientId || !mentalStatus || !timestamp) {
+    formStatus.textContent = t('form.required');
+    formStatus.classList.add('error');
+    return;
+  }
+
+  // The key stays with the reading if it has to be queued, so a resend cannot duplicate it
+  const entry = {
+    key: newIdempotencyKey(),
+    patientId,
+    body: {
+      name: patientName || undefined,
+      location: patientLocation || undefined,
+      respiratoryRate,
+      systolicBP,
+      mentalStatus,
+      timestamp,
+      ...measurements
+    },
+    queuedAt: new Date().toISOString(),
+    queuedBy: auth.user.username
+  };
+
+  try {
+    formStatus.textContent = t('form.saving');
+    const res = await postReading(entry).catch(() => null);
+
+    if (!res || RETRYABLE_STATUSES.includes(res.status)) {
+      await putQueuedReading({ ...entry, status: 'pending' });
+      formStatus.textContent = t('form.queued');
+      formStatus.classList.add('warning');
+      renderSyncQueue();
+      return;
+    }
+
+    if (!res.ok) {
+      const error = await res.json().catch(() => ({}));
+      if (res.status === 422 && error.errors) {
+        showFieldErrors(error.errors);
+        formStatus.textContent = t('form.invalid');
+      } else {
+        formStatus.textContent = error.error || t('form.failed');
+      }
+      formStatus.classList.add('error');
+      return;
+    }
+
+    const { reading } = await res.json();
+    if (reading.needsVerification) {
+      formStatus.textContent = t('form.flagged', {
+        flags: reading.verificationFlags.map((f) => f.message).join(' ')
+      });
+      formStatus.classList.add('warning');
+    } else {
+      formStatus.textContent = t('form.recorded');
+      formStatus.classList.add('success');
+    }
+
+    // Keep patient id in dashboard input for quick access
+    document.getElementById('dashboard-patientId').value = patientId;
+
+    // Refresh summary & dashboard
+    refreshSummary(patientId);
+    loadDashboard(patientId);
+  } catch (err) {
+    console.error(err);
+    formStatus.textContent = t('form.failed');
+    formStatus.classList.add('error');
+  }
+});
+
+// --- Offline queue ---
+// Readings that cannot reach the server are kept in IndexedDB and resent later with the same
+// Idempotency-Key. Only the user who recorded a reading can sync it, so it is attributed to them.
+const QUEUE_DB = 'sepsis-screen';
+const QUEUE_STORE = 'pending-readings';
+const SYNC_INTERVAL_MS = 30000;
+// Gateway errors mean the request did not reach the API, so the reading is queued as if offline
+const RETRYABLE_STATUSES = [502, 503, 504];
+const syncPanel = document.getElementById('sync-panel');
+const syncSummary = document.getElementById('sync-summary');
+const syncList = document.getElementById('sync-list');
+const connectionStatus = document.getElementById('connection-status');
+// Readings synced since the page was opened, newest first
+const recentlySynced = [];
+let syncing = false;
+let queueDb = null;
+
+function openQueueDb() {
+  if (!queueDb) {
+    queueDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(QUEUE_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(QUEUE_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return queueDb;
+}
+
+// Runs one request against the queue store; resolves with its result once the transaction commits
+async function queueRequest(mode, run) {
+  const db = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = run(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const queuedReadings = () => queueRequest('readonly', (store) => store.getAll());
+const putQueuedReading = (entry) => queueRequest('readwrite', (store) => store.put(entry));
+const removeQueuedReading = (key) => queueRequest('readwrite', (store) => store.delete(key));
+
+function newIdempotencyKey() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) =>
+    b.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+function postReading({ patientId, key, body }) {
+  return apiFetch(`${apiBase}/api/patients/${encodeURIComponent(patientId)}/readings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+}
+
+// Sends the current user's pending readings, oldest first, stopping at the first connection
+// failure. Readings the server rejects stay queued as failed until they are discarded.
+async function syncQueuedReadings() {
+  if (syncing || !auth) return;
+  syncing = true;
+  try {
+    const pending = (await queuedReadings())
+      .filter((entry) => entry.status === 'pending' && entry.queuedBy === auth.user.username)
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+    for (const entry of pending) {
+      const res = await postReading(entry).catch(() => null);
+      if (!res || res.status === 401 || RETRYABLE_STATUSES.includes(res.status)) break;
+
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) {
+        await removeQueuedReading(entry.key);
+        recentlySynced.unshift({
+          ...entry,
+          status: 'synced',
+          syncedAt: new Date().toISOString(),
+          qsofaScore: data.reading.qsofaScore
+        });
+        if (entry.patientId === currentPatientId) loadDashboard(currentPatientId);
+      } else {
+        const messages = (data.errors || []).map((e) => e.message);
+        await putQueuedReading({
+          ...entry,
+          status: 'failed',
+          error: messages.length ? messages.join(' ') : data.error || `HTTP ${res.status}`
+        });
+      }
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    syncing = false;
+    renderSyncQueue();
+  }
+}
+
+function syncStatusText(entry) {
+  if (entry.status === 'synced') {
+    return t('sync.synced', { time: formatTime(entry.syncedAt), score: entry.qsofaScore });
+  }
+  if (entry.status === 'failed') return t('sync.failed', { error: entry.error });
+  if (auth && entry.queuedBy !== auth.user.username) {
+    return t('sync.pendingFor', { username: entry.queuedBy });
+  }
+  return t('sync.pending');
+}
+
+async function renderSyncQueue() {
+  const queued = await queuedReadings().catch(() => []);
+  queued.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  const entries = [...queued, ...recentlySynced.slice(0, 5)];
+  const pendingCount = queued.filter((entry) => entry.status === 'pending').length;
+
+  syncPanel.classList.toggle('hidden', !entries.length);
+  syncSummary.textContent = pendingCount
+    ? t(pendingCount === 1 ? 'sync.waiting.one' : 'sync.waiting.other', { count: pendingCount })
+    : t('sync.done');
+  syncList.innerHTML = '';
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = `sync-item ${entry.status}`;
+    const label = document.createElement('span');
+    label.textContent = t('sync.entry', {
+      patientId: entry.patientId,
+      time: formatTime(entry.body.timestamp)
+    });
+    const status = document.createElement('span');
+    status.className = 'sync-status';
+    status.textContent = syncStatusText(entry);
+    item.append(label, status);
+
+    if (entry.status === 'failed') {
+      const discard = document.createElement('button');
+      discard.type = 'button';
+      discard.className = 'btn-secondary btn-small';
+      discard.textContent = t('sync.discard');
+      discard.addEventListener('click', async () => {
+        await removeQueuedReading(entry.key);
+        renderSyncQueue();
+      });
+      item.appendChild(discard);
+    }
+    syncList.appendChild(item);
+  });
+}
+
+function updateConnectionStatus() {
+  connectionStatus.classList.toggle('hidden', navigator.onLine);
+  if (navigator.onLine) syncQueuedReadings();
+}
+
+window.addEventListener('online', updateConnectionStatus);
+window.addEventListener('offline', updateConnectionStatus);
+document.getElementById('sync-now').addEventListener('click', syncQueuedReadings);
+setInterval(syncQueuedReadings, SYNC_INTERVAL_MS);
+
+// Installable app: the service worker serves the cached shell when offline
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('sw.js')
+      .catch((err) => console.error('Service worker registration failed', err));
+  });
+}
+
+// --- Dashboard charts & alerts ---
+let vitalsChart = null;
+let scenarioChart = null;
+
+const dashboardStatus = document.getElementById('dashboard-status');
+const alertsList = document.getElementById('alerts-list');
+const encounterGroup = document.getElementById('encounter-group');
+const encounterSelect = document.getElementById('dashboard-encounter');
+let currentPatientId = null;
+// Stay shown on the dashboard; empty means the active or most recent one
+let selectedEncounterId = '';
+
+// Datasets on the vitals chart (labels are catalog keys); extra vitals and labs start hidden and
+// can be toggled on
+const VITAL_DATASETS = [
+  {
+    key: 'respiratoryRate',
+    label: 'chart.respiratoryRate',
+    borderColor: '#1769ff',
+    backgroundColor: 'rgba(23,105,255,0.1)',
+    yAxisID: 'y'
+  },
+  {
+    key: 'heartRate',
+    label: 'chart.heartRate',
+    borderColor: '#8e24aa',
+    backgroundColor: 'rgba(142,36,170,0.1)',
+    yAxisID: 'y'
+  },
+  {
+    key: 'systolicBP',
+    label: 'chart.systolicBP',
+    borderColor: '#2e7d32',
+    backgroundColor: 'rgba(46,125,50,0.1)',
+    yAxisID: 'y1'
+  },
+  {
+    key: 'spo2',
+    label: 'chart.spo2',
+    borderColor: '#00897b',
+    backgroundColor: 'rgba(0,137,123,0.1)',
+    yAxisID: 'y1',
+    hidden: true
+  },
+  {
+    key: 'temperature',
+    label: 'chart.temperature',
+    borderColor: '#f57c00',
+    backgroundColor: 'rgba(245,124,0,0.1)',
+    yAxisID: 'y3',
+    hidden: true
+  },
+  {
+    key: 'gcs',
+    label: 'chart.gcs',
+    borderColor: '#c2185b',
+    backgroundColor: 'rgba(194,24,91,0.1)',
+    yAxisID: 'y3',
+    hidden: true
+  },
+  {
+    key: 'lactate',
+    label: 'chart.lactate',
+    borderColor: '#6d4c41',
+    backgroundColor: 'rgba(109,76,65,0.1)',
+    yAxisID: 'y3',
+    hidden: true
+  },
+  {
+    key: 'wbc',
+    label: 'chart.wbc',
+    borderColor: '#546e7a',
+    backgroundColor: 'rgba(84,110,122,0.1)',
+    yAxisID: 'y3',
+    hidden: true
+  },
+  {
+    key: 'qsofaScore',
+    label: 'chart.qsofaScore',
+    borderColor: '#e53935',
+    backgroundColor: 'rgba(229,57,53,0.15)',
+    tension: 0.2,
+    stepped: true,
+    fill: true,
+    yAxisID: 'y2'
+  }
+];
+
+// Remembered across chart rebuilds so toggles survive reloading a patient
+const datasetVisibility = {};
+VITAL_DATASETS.forEach((d) => {
+  datasetVisibility[d.key] = !d.hidden;
+});
+
+function renderDatasetToggles() {
+  const container = document.getElementById('dataset-toggles');
+  container.innerHTML = '';
+
+  VITAL_DATASETS.forEach((d, idx) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = datasetVisibility[d.key];
+    checkbox.addEventListener('change', () => {
+      datasetVisibility[d.key] = checkbox.checked;
+      if (vitalsChart) {
+        vitalsChart.setDatasetVisibility(idx, checkbox.checked);
+        vitalsChart.update();
+      }
+    });
+
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = d.borderColor;
+
+    label.appendChild(checkbox);
+    label.appendChild(dot);
+    label.appendChild(document.createTextNode(t(d.label)));
+    container.appendChild(label);
+  });
+}
+
+// x position of a time on the chart, interpolated between the readings around it; times outside
+// the readings are pinned to the first or last one
+function chartPixelForTime(chart, readings, time) {
+  const t = new Date(time).getTime();
+  const times = readings.map((r) => new Date(r.timestamp).getTime());
+  const x = (idx) => chart.scales.x.getPixelForValue(idx);
+  if (t <= times[0]) return x(0);
+  const next = times.findIndex((rt) => rt >= t);
+  if (next === -1) return x(times.length - 1);
+  const fraction = (t - times[next - 1]) / (times[next] - times[next - 1] || 1);
+  return x(next - 1) + (x(next) - x(next - 1)) * fraction;
+}
+
+// Vertical markers for each bundle's start and its recorded actions
+function bundleMarkers(readings, bundles) {
+  return {
+    id: 'bundleMarkers',
+    afterDatasetsDraw(chart) {
+      if (!readings.length) return;
+      const { ctx, chartArea } = chart;
+      const marks = [];
+      bundles.forEach((bundle) => {
+        marks.push({ at: bundle.startedAt, label: t('chart.bundleStart'), color: '#c62828' });
+        bundle.actions
+          .filter((a) => a.state === 'on-time' || a.state === 'late')
+          .forEach((a) => {
+            const color = a.state === 'late' ? '#f57c00' : '#2e7d32';
+            marks.push({ at: a.at, label: bundleActionLabel(a), color });
+          });
+      });
+
+      ctx.save();
+      ctx.font = '10px system-ui, sans-serif';
+      ctx.setLineDash([4, 3]);
+      marks.forEach((mark, idx) => {
+        const x = chartPixelForTime(chart, readings, mark.at);
+        ctx.strokeStyle = mark.color;
+        ctx.fillStyle = mark.color;
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+        // Stagger labels so markers close together stay readable
+        ctx.fillText(mark.label, x + 3, chartArea.top + 10 + (idx % 3) * 12);
+      });
+      ctx.restore();
+    }
+  };
+}
+
+function buildVitalsChart(readings, bundles = []) {
+  const ctx = document.getElementById('vitals-chart').getContext('2d');
+
+  const labels = readings.map((r) => formatTime(r.timestamp));
+
+  if (vitalsChart) {
+    vitalsChart.destroy();
+  }
+
+  vitalsChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: VITAL_DATASETS.map(({ key, label, hidden, ...style }) => ({
+        tension: 0.3,
+        fill: false,
+        spanGaps: true,
+        ...style,
+        label: t(label),
+        data: readings.map((r) => (r[key] === undefined ? null : r[key])),
+        hidden: !datasetVisibility[key]
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            afterBody(items) {
+              const idx = items[0].dataIndex;
+              const r = readings[idx];
+              return r.qsofaReasons && r.qsofaReasons.length
+                ? [t('chart.contributors'), ...r.qsofaReasons]
+                : [];
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          position: 'left',
+          title: { display: true, text: t('chart.axis.rate') }
+        },
+        y1: {
+          position: 'right',
+          title: { display: true, text: t('chart.axis.pressure') },
+          grid: { drawOnChartArea: false }
+        },
+        y2: {
+          position: 'right',
+          title: { display: true, text: t('chart.axis.qsofa') },
+          grid: { drawOnChartArea: false },
+          min: 0,
+          max: 3,
+          ticks: { stepSize: 1 }
+        },
+        y3: {
+          display: 'auto',
+          position: 'right',
+          title: { display: true, text: t('chart.axis.other') },
+          grid: { drawOnChartArea: false }
+        }
+      }
+    },
+    plugins: [bundleMarkers(readings, bundles)]
+  });
+
+  renderDatasetToggles();
+}
+
+// Side-by-side table of every score computed for each reading
+function renderScoresTable(readings) {
+  const table = document.getElementById('scores-table');
+  table.innerHTML = '';
+  if (!readings.length) return;
+
+  // Columns by score id; a partial result (e.g. "Partial SOFA") shares its score's column
+  const columns = new Map();
+  readings.forEach((r) => {
+    (r.scores || []).forEach((result) => {
+      if (!columns.has(result.scoreId) || result.complete) {
+        columns.set(result.scoreId, result.name);
+      }
+    });
+  });
+
+  const head = document.createElement('tr');
+  [t('scores.time'), ...columns.values()].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  readings.forEach((r) => {
+    const row = document.createElement('tr');
+    const time = document.createElement('td');
+    time.textContent = formatTime(r.timestamp);
+    row.appendChild(time);
+
+    columns.forEach((name, scoreId) => {
+      const td = document.createElement('td');
+      const result = (r.scores || []).find((s) => s.scoreId === scoreId);
+      if (!result) {
+        td.textContent = '–';
+      } else {
+        td.textContent = `${result.score} / ${result.maxScore}`;
+        td.title = [result.riskLabel, ...result.reasons].join('\n');
+        if (!result.complete) {
+          const partial = document.createElement('span');
+          partial.className = 'partial';
+          partial.textContent = ` ${t('scores.partial')}`;
+          td.appendChild(partial);
+        }
+      }
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+}
+
+function renderAlerts(alerts) {
+  alertsList.innerHTML = '';
+  if (!alerts.length) {
+    const empty = document.createElement('p');
+    empty.textContent = t('alert.none');
+    empty.className = 'helper-text';
+    alertsList.appendChild(empty);
+    return;
+  }
+
+  alerts.forEach((alert) => {
+    const item = document.createElement('div');
+    item.className = 'alert-item';
+
+    const header = document.createElement('div');
+    header.className = 'alert-header';
+
+    const title = document.createElement('span');
+    title.textContent = alert.type;
+
+    const tag = document.createElement('span');
+    tag.className = `alert-tag ${alert.level}`;
+    tag.textContent = t(alert.level === 'high' ? 'alert.level.high' : 'alert.level.warning');
+
+    header.appendChild(title);
+    header.appendChild(tag);
+
+    const timestamp = document.createElement('div');
+    timestamp.className = 'alert-timestamp';
+    timestamp.textContent = alert.ruleId
+      ? t('alert.rule', { time: formatTime(alert.timestamp), ruleId: alert.ruleId })
+      : formatTime(alert.timestamp);
+
+    const body = document.createElement('div');
+    body.className = 'alert-body';
+    body.textContent = alert.explanation;
+
+    item.appendChild(header);
+    item.appendChild(timestamp);
+    item.appendChild(body);
+
+    if (alert.baselineDeviation && alert.baselineDeviation.length) {
+      const deviation = document.createElement('div');
+      deviation.className = 'alert-deviation';
+      deviation.textContent = alert.baselineDeviation.map(describeDeviation).join('; ');
+      item.appendChild(deviation);
+    }
+
+    if (alert.status) {
+      item.classList.toggle('resolved', alert.status === 'resolved');
+      item.appendChild(renderAlertLifecycle(alert));
+    }
+
+    alertsList.appendChild(item);
+  });
+}
+
+// Status line, latest transition and lifecycle buttons for a persisted alert
+function renderAlertLifecycle(alert) {
+  const footer = document.createElement('div');
+  footer.className = 'alert-footer';
+
+  const status = document.createElement('span');
+  status.className = `alert-status ${alert.status}`;
+  status.textContent = alert.escalationLevel
+    ? t('alert.escalated', {
+        status: t(`alert.status.${alert.status}`),
+        level: alert.escalationLevel
+      })
+    : t(`alert.status.${alert.status}`);
+  footer.appendChild(status);
+
+  const last = alert.history && alert.history[alert.history.length - 1];
+  if (last && last.user) {
+    const by = document.createElement('span');
+    by.className = 'alert-timestamp';
+    by.textContent = t(last.note ? 'alert.byWithNote' : 'alert.by', {
+      action: t(`alert.done.${last.action}`),
+      user: last.user,
+      time: formatTime(last.at),
+      note: last.note
+    });
+    footer.appendChild(by);
+  }
+
+  const actions = [];
+  if (alert.status === 'open') actions.push('acknowledge');
+  if (alert.status !== 'resolved') actions.push('escalate', 'resolve');
+  if (!canRecord()) return footer;
+  actions.forEach((action) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-secondary btn-small';
+    btn.textContent = t(`alert.action.${action}`);
+    btn.addEventListener('click', () => updateAlert(alert._id, action));
+    footer.appendChild(btn);
+  });
+
+  return footer;
+}
+
+async function updateAlert(alertId, action) {
+  const note =
+    window.prompt(t('alert.notePrompt', { action: t(`alert.action.${action}`) })) || undefined;
+
+  try {
+    const res = await apiFetch(`${apiBase}/api/alerts/${alertId}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ note })
+    });
+    if (!res.ok) {
+      const error = await res.json().catch(() => ({}));
+      dashboardStatus.textContent = error.error || t('alert.updateFailed');
+      dashboardStatus.classList.add('error');
+      return;
+    }
+    loadDashboard(currentPatientId);
+  } catch (err) {
+    console.error(err);
+    dashboardStatus.textContent = t('alert.unreachable');
+    dashboardStatus.classList.add('error');
+  }
+}
+
+// Amended and deleted readings with every version, shown when "Show amendments" is ticked
+function renderHistory(history) {
+  const card = document.getElementById('history-card');
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
+  card.classList.toggle('hidden', !history);
+  if (!history) return;
+
+  if (!history.length) {
+    const empty = document.createElement('p');
+    empty.className = 'helper-text';
+    empty.textContent = t('history.none');
+    list.appendChild(empty);
+    return;
+  }
+
+  history.forEach((entry) => {
+    const item = document.createElement('div');
+    item.className = 'alert-item';
+
+    const header = document.createElement('div');
+    header.className = 'alert-header';
+    const title = document.createElement('span');
+    title.textContent = t('history.title', { time: formatTime(entry.versions[0].timestamp) });
+    const tag = document.createElement('span');
+    tag.className = `alert-tag ${entry.deleted ? 'high' : 'warning'}`;
+    tag.textContent = entry.deleted
+      ? t('history.deleted')
+      : t('history.amended', { version: entry.versions.length });
+    header.appendChild(title);
+    header.appendChild(tag);
+    item.appendChild(header);
+
+    const versions = document.createElement('ul');
+    versions.className = 'reason-list';
+    entry.versions.forEach((v) => {
+      const li = document.createElement('li');
+      const values = t('history.values', {
+        respiratoryRate: v.respiratoryRate,
+        systolicBP: v.systolicBP,
+        mentalStatus: t(`mentalStatus.${v.mentalStatus}`),
+        score: v.qsofaScore
+      });
+      if (!v.amendment || !v.amendment.at) {
+        li.textContent = v.recordedBy
+          ? t('history.recordedBy', {
+              version: v.version || 1,
+              values,
+              username: v.recordedBy.username
+            })
+          : t('history.recorded', { version: v.version || 1, values });
+      } else {
+        const change = v.isDeleted ? t('history.deletedVersion') : values;
+        li.textContent = `v${v.version}: ${change} – ${v.amendment.by.username}, ${formatTime(
+          v.amendment.at
+        )}: ${v.amendment.reason}`;
+      }
+      versions.appendChild(li);
+    });
+    item.appendChild(versions);
+    list.appendChild(item);
+  });
+}
+
+// Stay selector; hidden until the patient has been admitted more than once
+function renderEncounters(encounters, selected) {
+  encounterGroup.classList.toggle('hidden', encounters.length < 2);
+  encounterSelect.innerHTML = '';
+  encounters.forEach((encounter) => {
+    const option = document.createElement('option');
+    option.value = encounter._id;
+    const until =
+      encounter.status === 'active'
+        ? t('dashboard.currentStay')
+        : formatTime(encounter.dischargedAt);
+    option.textContent = `${formatTime(encounter.admittedAt)} – ${until}${
+      encounter.location ? ` (${encounter.location})` : ''
+    }`;
+    encounterSelect.appendChild(option);
+  });
+  if (selected) encounterSelect.value = selected._id;
+}
+
+encounterSelect.addEventListener('change', () => {
+  selectedEncounterId = encounterSelect.value;
+  loadDashboard(currentPatientId);
+});
+
+// --- Sepsis bundles ---
+const bundleCard = document.getElementById('bundle-card');
+const bundleList = document.getElementById('bundle-list');
+const bundleStatus = document.getElementById('bundle-status');
+
+// Action names come from the catalog by action id, e.g. bundle.action.lactate
+function bundleActionLabel(action) {
+  return t(`bundle.action.${action.actionId}`);
+}
+
+// Newest bundle first; each action shows its due time, state and who recorded it
+function renderBundles(bundles) {
+  bundleCard.classList.toggle('hidden', !bundles.length);
+  bundleList.innerHTML = '';
+
+  [...bundles].reverse().forEach((bundle) => {
+    const item = document.createElement('div');
+    item.className = 'alert-item bundle-item';
+    item.classList.toggle('resolved', bundle.status === 'closed');
+
+    const header = document.createElement('div');
+    header.className = 'alert-header';
+    const title = document.createElement('span');
+    title.textContent = t('bundle.started', { time: formatTime(bundle.startedAt) });
+    const tag = document.createElement('span');
+    tag.className = `alert-tag ${bundle.overdueCount ? 'high' : 'warning'}`;
+    tag.textContent = bundle.overdueCount
+      ? t('bundle.overdueCount', { count: bundle.overdueCount })
+      : t(bundle.status === 'closed' ? 'bundle.closed' : 'bundle.open');
+    header.append(title, tag);
+    item.appendChild(header);
+
+    bundle.actions.forEach((action) => {
+      const row = document.createElement('div');
+      row.className = 'bundle-action';
+      const label = document.createElement('span');
+      label.className = 'bundle-action-label';
+      label.textContent = bundleActionLabel(action);
+      const state = document.createElement('span');
+      state.className = `bundle-state ${action.state}`;
+      state.textContent = t(`bundle.state.${action.state}`);
+      const detail = document.createElement('span');
+      detail.className = 'alert-timestamp';
+      detail.textContent =
+        action.status === 'pending'
+          ? t('bundle.due', { time: formatTime(action.dueAt) })
+          : t(action.note ? 'bundle.byWithNote' : 'bundle.by', {
+              time: formatTime(action.at),
+              username: action.by.username,
+              note: action.note
+            });
+      row.append(label, state, detail);
+
+      if (action.status === 'pending' && canRecord()) {
+        ['done', 'not-applicable'].forEach((status) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'btn-secondary btn-small';
+          btn.textContent = t(`bundle.record.${status}`);
+          btn.addEventListener('click', () =>
+            recordBundleAction(bundle._id, action.actionId, status)
+          );
+          row.appendChild(btn);
+        });
+      }
+      item.appendChild(row);
+    });
+    bundleList.appendChild(item);
+  });
+}
+
+async function recordBundleAction(bundleId, actionId, status) {
+  bundleStatus.classList.remove('error', 'success');
+  const atInput = document.getElementById('bundle-action-at');
+  const body = { status, at: fromLocalInput(atInput.value) };
+
+  try {
+    const res = await apiFetch(`${apiBase}/api/bundles/${bundleId}/actions/${actionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      bundleStatus.textContent = (data.errors || []).map((e) => e.message).join(' ') || data.error;
+      bundleStatus.classList.add('error');
+      return;
+    }
+    atInput.value = '';
+    bundleStatus.textContent = t('bundle.recorded');
+    bundleStatus.classList.add('success');
+    loadDashboard(currentPatientId);
+  } catch (err) {
+    console.error(err);
+    bundleStatus.textContent = t('bundle.unreachable');
+    bundleStatus.classList.add('error');
+  }
+}
+
+// --- Stay outcome ---
+const outcomeCard = document.getElementById('outcome-card');
+const outcomeForm = document.getElementById('outcome-form');
+const outcomeStatus = document.getElementById('outcome-status');
+let outcomeEncounterId = null;
+
+function canLabelOutcomes() {
+  return auth && ['admin', 'physician'].includes(auth.user.role);
+}
+
+function renderOutcome(encounter) {
+  outcomeCard.classList.toggle('hidden', !encounter);
+  if (!encounter) return;
+  const changed = encounter._id !== outcomeEncounterId;
+  outcomeEncounterId = encounter._id;
+
+  const outcome = encounter.outcome && encounter.outcome.label ? encounter.outcome : null;
+  const current = document.getElementById('outcome-current');
+  current.textContent = outcome
+    ? t(outcome.at ? 'outcome.recordedAt' : 'outcome.recorded', {
+        label: t(`outcome.option.${outcome.label}`),
+        time: outcome.at && formatTime(outcome.at),
+        username: outcome.recordedBy.username,
+        recordedAt: formatTime(outcome.recordedAt)
+      })
+    : t('outcome.none');
+
+  // Live refreshes leave a half-filled form alone
+  if (changed) {
+    document.getElementById('outcome-label').value = outcome ? outcome.label : 'confirmed-sepsis';
+    document.getElementById('outcome-at').value =
+      outcome && outcome.at ? toLocalInput(outcome.at) : '';
+    document.getElementById('outcome-note').value = (outcome && outcome.note) || '';
+    outcomeStatus.textContent = '';
+  }
+  outcomeForm.querySelectorAll('input, select, button').forEach((el) => {
+    el.disabled = !canLabelOutcomes();
+  });
+}
+
+outcomeForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  outcomeStatus.classList.remove('error', 'success');
+  const body = {
+    label: document.getElementById('outcome-label').value,
+    at: fromLocalInput(document.getElementById('outcome-at').value),
+    note: document.getElementById('outcome-note').value.trim() || undefined
+  };
+
+  try {
+    const res = await apiFetch(`${apiBase}/api/encounters/${outcomeEncounterId}/outcome`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      outcomeStatus.textContent = (data.errors || []).map((e) => e.message).join(' ') || data.error;
+      outcomeStatus.classList.add('error');
+      return;
+    }
+    outcomeEncounterId = null;
+    renderOutcome(data.encounter);
+    outcomeStatus.textContent = t('outcome.saved');
+    outcomeStatus.classList.add('success');
+  } catch (err) {
+    console.error(err);
+    outcomeStatus.textContent = t('outcome.unreachable');
+    outcomeStatus.classList.add('error');
+  }
+});
+
+// live: refresh triggered by the event stream, so keep the status line quiet
+async function loadDashboard(patientIdFromCaller, { live = false } = {}) {
+  const patientId =
+    patientIdFromCaller || document.getElementById('dashboard-patientId').value.trim();
+  if (!patientId) {
+    dashboardStatus.textContent = t('dashboard.needPatient');
+    dashboardStatus.classList.remove('success');
+    return;
+  }
+
+  if (patientId !== currentPatientId) selectedEncounterId = '';
+  currentPatientId = patientId;
+  connectLiveStream(patientId);
+  if (!live) {
+    dashboardStatus.textContent = t('dashboard.loading');
+    dashboardStatus.classList.remove('error');
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (document.getElementById('show-history').checked) params.set('includeHistory', 'true');
+    if (selectedEncounterId) params.set('encounter', selectedEncounterId);
+    const res = await apiFetch(
+      `${apiBase}/api/patients/${encodeURIComponent(patientId)}/summary?${params}`
+    );
+    if (!res.ok) {
+      dashboardStatus.textContent = t('dashboard.notFound');
+      dashboardStatus.classList.add('error');
+      renderEncounters([], null);
+      renderOutcome(null);
+      renderBundles([]);
+      buildVitalsChart([]);
+      renderScoresTable([]);
+      renderAlerts([]);
+      return;
+    }
+    const data = await res.json();
+    renderEncounters(data.encounters || [], data.encounter);
+    renderOutcome(data.encounter);
+    renderBundles(data.bundles || []);
+    renderHistory(data.history);
+    if (!data.readings.length) {
+      dashboardStatus.textContent = t('dashboard.noReadings');
+      dashboardStatus.classList.add('error');
+      buildVitalsChart([]);
+      renderScoresTable([]);
+      renderAlerts([]);
+      return;
+    }
+
+    buildVitalsChart(data.readings, data.bundles || []);
+    renderScoresTable(data.readings);
+    renderAlerts(data.alerts || []);
+    dashboardStatus.textContent = live
+      ? t('dashboard.updatedLive', { time: formatTime(new Date()) })
+      : t('dashboard.loaded');
+    dashboardStatus.classList.remove('error');
+    dashboardStatus.classList.add('success');
+  } catch (err) {
+    console.error(err);
+    dashboardStatus.textContent = t('dashboard.unreachable');
+    dashboardStatus.classList.add('error');
+  }
+}
+
+document.getElementById('load-dashboard').addEventListener('click', () => loadDashboard());
+
+// Handover report of the loaded stay, downloaded through apiFetch so the token is sent
+async function exportReport() {
+  const patientId = currentPatientId;
+  if (!patientId) {
+    dashboardStatus.textContent = t('dashboard.exportNeedsPatient');
+    dashboardStatus.classList.add('error');
+    return;
+  }
+  const format = document.getElementById('report-format').value;
+  // Times in the report follow the server's HOSPITAL_TIME_ZONE
+  const params = new URLSearchParams({ format });
+  if (selectedEncounterId) params.set('encounter', selectedEncounterId);
+
+  try {
+    const res = await apiFetch(
+      `${apiBase}/api/patients/${encodeURIComponent(patientId)}/report?${params}`
+    );
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      dashboardStatus.textContent = data.error || t('dashboard.exportFailed');
+      dashboardStatus.classList.add('error');
+      return;
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `screening-report-${patientId}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    console.error(err);
+    dashboardStatus.textContent = t('dashboard.exportUnreachable');
+    dashboardStatus.classList.add('error');
+  }
+}
+
+document.getElementById('export-report').addEventListener('click', exportReport);
+
+// --- Live updates (Server-Sent Events) ---
+const streamStatus = document.getElementById('stream-status');
+const LIVE_EVENTS = [
+  'reading-created',
+  'reading-amended',
+  'alert-raised',
+  'alert-updated',
+  'encounter-updated',
+  'bundle-updated'
+];
+let liveStream = null;
+let liveStreamPatientId = null;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+let liveRefreshTimer = null;
+
+function setStreamStatus(state, text) {
+  streamStatus.className = `stream-status ${state}`;
+  streamStatus.textContent = text;
+}
+
+function disconnectLiveStream() {
+  if (liveStream) liveStream.close();
+  clearTimeout(reconnectTimer);
+  liveStream = null;
+  liveStreamPatientId = null;
+}
+
+// Several events arrive together when a reading raises alerts; refresh once for the batch
+function scheduleLiveRefresh() {
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(() => {
+    if (currentPatientId) loadDashboard(currentPatientId);
+  }, 300);
+}
+
+function connectLiveStream(patientId) {
+  if (liveStream && liveStreamPatientId === patientId) return;
+  disconnectLiveStream();
+
+  liveStreamPatientId = patientId;
+  // EventSource cannot send headers, so the token goes in the query string
+  const query = `patient=${encodeURIComponent(patientId)}&token=${encodeURIComponent(auth.token)}`;
+  liveStream = new EventSource(`${apiBase}/api/stream?${query}`);
+
+  liveStream.onopen = () => {
+    reconnectDelay = 1000;
+    setStreamStatus('live', t('dashboard.live'));
+  };
+  liveStream.onerror = () => {
+    setStreamStatus('offline', t('dashboard.reconnecting'));
+    // The browser retries on its own while CONNECTING; once CLOSED we retry with backoff
+    if (liveStream.readyState === EventSource.CLOSED) {
+      const id = liveStreamPatientId;
+      disconnectLiveStream();
+      reconnectTimer = setTimeout(() => connectLiveStream(id), reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+    }
+  };
+  LIVE_EVENTS.forEach((type) => liveStream.addEventListener(type, scheduleLiveRefresh));
+}
+
+// --- Ward overview ---
+const wardStatus = document.getElementById('ward-status');
+const wardTable = document.getElementById('ward-table');
+const WARD_COLUMNS = [
+  { key: 'externalId', label: 'ward.column.patient' },
+  { key: 'location', label: 'ward.column.location' },
+  { key: 'latestQSOFA', label: 'ward.column.qsofa' },
+  { key: 'latestRiskLabel', label: 'ward.column.riskLabel' },
+  { key: 'minutesSinceLastReading', label: 'ward.column.lastReading' },
+  { key: 'nextDueAt', label: 'ward.column.nextDue' },
+  { key: 'openAlertCount', label: 'ward.column.openAlerts' }
+];
+let wardPatients = [];
+// null key keeps the server's risk ranking
+let wardSort = { key: null, dir: 'desc' };
+
+function riskClass(score) {
+  if (score === null || score === undefined) return 'risk-none';
+  if (score >= 2) return 'risk-high';
+  if (score === 1) return 'risk-intermediate';
+  return 'risk-low';
+}
+
+function formatMinutesAgo(minutes) {
+  if (minutes === null || minutes === undefined) return t('ward.noReadings');
+  if (minutes < 60) return t('ward.minutesAgo', { minutes });
+  return t('ward.hoursAgo', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
+
+function sortedWardPatients() {
+  if (!wardSort.key) return wardPatients;
+  const { key, dir } = wardSort;
+  const factor = dir === 'asc' ? 1 : -1;
+  return [...wardPatients].sort((a, b) => {
+    const av = a[key];
+    const bv = b[key];
+    // Missing values always sort last
+    if (av === null || av === undefined) return 1;
+    if (bv === null || bv === undefined) return -1;
+    if (typeof av === 'number') return (av - bv) * factor;
+    return String(av).localeCompare(String(bv)) * factor;
+  });
+}
+
+function nextDueText({ nextDueAt, overdue }) {
+  if (!nextDueAt) return '–';
+  return overdue ? t('ward.overdueSince', { time: formatTime(nextDueAt) }) : formatTime(nextDueAt);
+}
+
+function renderWard() {
+  wardTable.innerHTML = '';
+
+  const thead = document.createElement('thead');
+  const head = document.createElement('tr');
+  WARD_COLUMNS.forEach(({ key, label }) => {
+    const th = document.createElement('th');
+    th.textContent = t(label);
+    if (wardSort.key === key) th.className = `sorted-${wardSort.dir}`;
+    th.addEventListener('click', () => {
+      wardSort =
+        wardSort.key === key
+          ? { key, dir: wardSort.dir === 'asc' ? 'desc' : 'asc' }
+          : { key, dir: 'desc' };
+      renderWard();
+    });
+    head.appendChild(th);
+  });
+  thead.appendChild(head);
+  wardTable.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  sortedWardPatients().forEach((p) => {
+    const row = document.createElement('tr');
+    row.className = riskClass(p.latestQSOFA);
+    [
+      p.name ? `${p.externalId} (${p.name})` : p.externalId,
+      p.location || '–',
+      p.latestQSOFA === null ? '–' : p.latestQSOFA,
+      p.latestRiskLabel || '–',
+      formatMinutesAgo(p.minutesSinceLastReading),
+      nextDueText(p),
+      p.openAlertCount
+    ].forEach((text, idx) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (WARD_COLUMNS[idx].key === 'nextDueAt' && p.overdue) td.className = 'overdue';
+      row.appendChild(td);
+    });
+    row.addEventListener('click', () => {
+      document.getElementById('dashboard-patientId').value = p.externalId;
+      showSection('dashboard-section');
+      loadDashboard(p.externalId);
+    });
+    tbody.appendChild(row);
+  });
+  wardTable.appendChild(tbody);
+}
+
+async function loadWard() {
+  const location = document.getElementById('ward-location').value.trim();
+  wardStatus.textContent = t('ward.loading');
+  wardStatus.classList.remove('error', 'success');
+
+  try {
+    const query = location ? `?location=${encodeURIComponent(location)}` : '';
+    const res = await apiFetch(`${apiBase}/api/ward${query}`);
+    if (!res.ok) {
+      wardStatus.textContent = t('ward.failed');
+      wardStatus.classList.add('error');
+      return;
+    }
+    const data = await res.json();
+    wardPatients = data.patients;
+    renderWard();
+    loadBundles(location);
+    wardStatus.textContent = t(data.count === 1 ? 'ward.count.one' : 'ward.count.other', {
+      count: data.count
+    });
+    wardStatus.classList.add('success');
+  } catch (err) {
+    console.error(err);
+    wardStatus.textContent = t('ward.unreachable');
+    wardStatus.classList.add('error');
+  }
+}
+
+document.getElementById('load-ward').addEventListener('click', loadWard);
+
+// --- Ward sepsis bundles ---
+const bundleOverdueTable = document.getElementById('bundle-overdue-table');
+const bundleComplianceTable = document.getElementById('bundle-compliance-table');
+
+function tableHead(table, labels) {
+  const head = document.createElement('tr');
+  labels.forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+}
+
+function tableRow(cells) {
+  const tr = document.createElement('tr');
+  cells.forEach((text) => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    tr.appendChild(td);
+  });
+  return tr;
+}
+
+function renderOverdueBundles(bundles) {
+  bundleOverdueTable.innerHTML = '';
+  tableHead(bundleOverdueTable, [
+    t('ward.column.patient'),
+    t('ward.column.location'),
+    t('ward.overdueActions'),
+    t('ward.column.overdueSince')
+  ]);
+  if (!bundles.length) {
+    bundleOverdueTable.appendChild(tableRow([t('ward.noOverdueActions'), '', '', '']));
+    return;
+  }
+  bundles.forEach((bundle) => {
+    const { externalId, name } = bundle.patient;
+    const row = tableRow([
+      name ? `${externalId} (${name})` : externalId,
+      bundle.location || '–',
+      bundle.actions
+        .filter((a) => a.state === 'overdue')
+        .map(bundleActionLabel)
+        .join(', '),
+      formatTime(bundle.overdueSince)
+    ]);
+    row.className = 'risk-high';
+    row.lastChild.className = 'overdue';
+    row.addEventListener('click', () => {
+      document.getElementById('dashboard-patientId').value = externalId;
+      showSection('dashboard-section');
+      loadDashboard(externalId);
+    });
+    bundleOverdueTable.appendChild(row);
+  });
+}
+
+function renderBundleCompliance(actions, wards) {
+  bundleComplianceTable.innerHTML = '';
+  tableHead(bundleComplianceTable, [
+    t('ward.compliance.ward'),
+    t('ward.compliance.bundles'),
+    t('ward.compliance.compliant'),
+    ...actions.map(bundleActionLabel)
+  ]);
+  if (!wards.length) {
+    bundleComplianceTable.appendChild(tableRow([t('ward.noBundles')]));
+    return;
+  }
+  wards.forEach((ward) => {
+    bundleComplianceTable.appendChild(
+      tableRow([
+        ward.location,
+        ward.bundles,
+        formatRatio(ward.complianceRate),
+        ...ward.actions.map((a) => `${formatRatio(a.onTimeRate)} (${a.onTime}/${a.due})`)
+      ])
+    );
+  });
+}
+
+async function loadBundles(location) {
+  const query = location ? `?location=${encodeURIComponent(location)}` : '';
+  try {
+    const [overdueRes, complianceRes] = await Promise.all([
+      apiFetch(`${apiBase}/api/bundles/overdue${query}`),
+      apiFetch(`${apiBase}/api/bundles/compliance${query}`)
+    ]);
+    if (!overdueRes.ok || !complianceRes.ok) {
+      wardStatus.textContent = t('ward.bundlesFailed');
+      wardStatus.classList.remove('success');
+      wardStatus.classList.add('error');
+      return;
+    }
+    const overdue = await overdueRes.json();
+    const compliance = await complianceRes.json();
+    renderOverdueBundles(overdue.bundles);
+    renderBundleCompliance(compliance.actions, compliance.wards);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// --- Screening performance ---
+const performanceStatus = document.getElementById('performance-status');
+const performanceTable = document.getElementById('performance-table');
+const PERFORMANCE_COLUMNS = [
+  'performance.column.screen',
+  'performance.column.truePositives',
+  'performance.column.falsePositives',
+  'performance.column.falseNegatives',
+  'performance.column.trueNegatives',
+  'performance.column.sensitivity',
+  'performance.column.specificity',
+  'performance.column.ppv',
+  'performance.column.alertsPerPatientDay',
+  'performance.column.leadTime'
+];
+
+function formatRatio(value) {
+  return value === null ? '–' : `${Math.round(value * 1000) / 10}%`;
+}
+
+function formatLeadTime(lead) {
+  if (!lead) return '–';
+  const text = (minutes) =>
+    minutes < 60
+      ? t('performance.minutes', { minutes })
+      : t('performance.hours', { hours: Math.round((minutes / 60) * 10) / 10 });
+  return `${text(lead.median)} (${text(lead.min)}–${text(lead.max)})`;
+}
+
+function renderPerformance(rows) {
+  performanceTable.innerHTML = '';
+  const head = document.createElement('tr');
+  PERFORMANCE_COLUMNS.forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = t(label);
+    head.appendChild(th);
+  });
+  performanceTable.appendChild(head);
+
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    if (row.kind === 'rule' && !row.enabled) tr.className = 'disabled-rule';
+    [
+      row.kind === 'rule' && !row.enabled
+        ? t('performance.disabled', { name: row.name })
+        : row.name,
+      row.truePositives,
+      row.falsePositives,
+      row.falseNegatives,
+      row.trueNegatives,
+      formatRatio(row.sensitivity),
+      formatRatio(row.specificity),
+      formatRatio(row.ppv),
+      row.alertsPerPatientDay === null ? '–' : row.alertsPerPatientDay,
+      formatLeadTime(row.leadTimeMinutes)
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    performanceTable.appendChild(tr);
+  });
+}
+
+async function loadPerformance() {
+  performanceStatus.textContent = t('performance.evaluating');
+  performanceStatus.classList.remove('error', 'success');
+  const params = new URLSearchParams();
+  [
+    ['from', 'performance-from'],
+    ['to', 'performance-to'],
+    ['location', 'performance-location'],
+    ['cutoffs', 'performance-cutoffs']
+  ].forEach(([param, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(param, value);
+  });
+  // A date filter covers the whole of the "to" day
+  if (params.has('to')) params.set('to', `${params.get('to')}T23:59:59.999`);
+
+  try {
+    const res = await apiFetch(`${apiBase}/api/analytics/performance?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      performanceStatus.textContent = data.error || t('performance.failed');
+      performanceStatus.classList.add('error');
+      return;
+    }
+    renderPerformance(data.rows);
+    performanceStatus.textContent = t(
+      data.stays === 1 ? 'performance.summary.one' : 'performance.summary.other',
+      { count: data.stays, positives: data.positives, patientDays: data.patientDays }
+    );
+    performanceStatus.classList.add('success');
+  } catch (err) {
+    console.error(err);
+    performanceStatus.textContent = t('performance.unreachable');
+    performanceStatus.classList.add('error');
+  }
+}
+
+document.getElementById('load-performance').addEventListener('click', loadPerformance);
+
+// --- Scenario simulation ---
+const scenarioDetails = document.getElementById('scenario-details');
+const scenarioSelect = document.getElementById('scenario-select');
+const scenarioTrajectories = document.getElementById('scenario-trajectories');
+const scenarioPlay = document.getElementById('scenario-play');
+const scenarioStepButton = document.getElementById('scenario-step');
+const scenarioRestart = document.getElementById('scenario-restart');
+const SCENARIO_STEP_MS = 800;
+let scenarios = [];
+// The last run ({ scenario, readings, alerts }) and how many of its readings are on the chart
+let scenarioRun = null;
+let scenarioStep = 0;
+let scenarioTimer = null;
+
+function fillScenarioForm() {
+  const scenario = scenarios.find((s) => s.id === scenarioSelect.value);
+  if (!scenario) return;
+  document.getElementById('scenario-noise').value = scenario.noise;
+  document.getElementById('scenario-interval').value = scenario.intervalMinutes;
+  scenarioTrajectories.value = JSON.stringify(
+    { trajectories: scenario.trajectories, mentalStatus: scenario.mentalStatus },
+    null,
+    2
+  );
+}
+
+async function loadScenarios() {
+  try {
+    const res = await apiFetch(`${apiBase}/api/demo/scenarios`);
+    if (!res.ok) return;
+    const data = await res.json();
+    scenarios = data.scenarios;
+    scenarioSelect.innerHTML = '';
+    scenarios.forEach((scenario) => {
+      const option = document.createElement('option');
+      option.value = scenario.id;
+      option.textContent = scenario.name;
+      option.title = scenario.description;
+      scenarioSelect.appendChild(option);
+    });
+    scenarioSelect.value = data.defaultScenario;
+    fillScenarioForm();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+scenarioSelect.addEventListener('change', fillScenarioForm);
+
+// The whole run is charted up front with later points left empty, so the axes stay still while
+// the readings appear one by one
+function buildScenarioChart(readings) {
+  const ctx = document.getElementById('scenario-chart').getContext('2d');
+  const labels = readings.map((r) => t('scenario.minute', { minute: r.minute }));
+  const empty = () => readings.map(() => null);
+
+  if (scenarioChart) {
+    scenarioChart.destroy();
+  }
+
+  scenarioChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: t('chart.respiratoryRate'),
+          data: empty(),
+          borderColor: '#1769ff',
+          tension: 0.3,
+          fill: false
+        },
+        {
+          label: t('chart.systolicBP'),
+          data: empty(),
+          borderColor: '#2e7d32',
+          tension: 0.3,
+          fill: false
+        },
+        {
+          label: t('chart.axis.qsofa'),
+          data: empty(),
+          borderColor: '#e53935',
+          backgroundColor: 'rgba(229,57,53,0.15)',
+          tension: 0.2,
+          fill: true
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 300 },
+      plugins: {
+        legend: { display: false }
+      },
+      scales: {
+        y: {
+          min: 0
+        }
+      }
+    }
+  });
+}
+
+function renderScenarioStep() {
+  const { scenario, readings, alerts } = scenarioRun;
+  const shown = readings.slice(0, scenarioStep);
+  const fields = ['respiratoryRate', 'systolicBP', 'qsofaScore'];
+  scenarioChart.data.datasets.forEach((dataset, idx) => {
+    dataset.data = readings.map((r, i) => (i < scenarioStep ? r[fields[idx]] : null));
+  });
+  scenarioChart.update();
+
+  // Rule alerts appear with their reading; missed/overdue observation alerts once their time passes
+  const latest = shown[shown.length - 1];
+  const raised = alerts.filter((alert) =>
+    alert.readingIndex !== undefined
+      ? alert.readingIndex < scenarioStep
+      : new Date(alert.timestamp) <= new Date(latest.timestamp)
+  );
+
+  scenarioDetails.innerHTML = '';
+  const heading = document.createElement('p');
+  const title = document.createElement('strong');
+  title.textContent = scenario.name;
+  heading.append(
+    title,
+    ` · ${t('scenario.status', {
+      seed: scenario.seed,
+      minute: latest.minute,
+      score: latest.qsofaScore,
+      riskLabel: latest.qsofaRiskLabel
+    })}`
+  );
+  scenarioDetails.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'scenario-alerts';
+  raised.forEach((alert) => {
+    const item = document.createElement('li');
+    item.className = `alert-level-${alert.level}`;
+    const minute = readings[alert.readingIndex] ? readings[alert.readingIndex].minute : null;
+    const at = minute === null ? '' : `${t('scenario.minute', { minute })} · `;
+    item.textContent = `${at}${alert.type}: ${alert.explanation}`;
+    list.appendChild(item);
+  });
+  if (!raised.length) {
+    const item = document.createElement('li');
+    item.textContent = t('scenario.noAlerts');
+    list.appendChild(item);
+  }
+  scenarioDetails.appendChild(list);
+
+  const finished = scenarioStep >= readings.length;
+  scenarioStepButton.disabled = finished;
+  scenarioPlay.disabled = finished;
+  if (finished) pauseScenario();
+}
+
+function stepScenario() {
+  if (!scenarioRun || scenarioStep >= scenarioRun.readings.length) return;
+  scenarioStep += 1;
+  renderScenarioStep();
+}
+
+// Play/Pause label for the current state, also redrawn when the language changes
+function renderScenarioPlay() {
+  scenarioPlay.textContent = t(scenarioTimer ? 'scenario.pause' : 'scenario.play');
+}
+
+function pauseScenario() {
+  clearInterval(scenarioTimer);
+  scenarioTimer = null;
+  renderScenarioPlay();
+}
+
+function playScenario() {
+  if (scenarioTimer || !scenarioRun) return;
+  scenarioTimer = setInterval(stepScenario, SCENARIO_STEP_MS);
+  renderScenarioPlay();
+}
+
+async function runScenario() {
+  pauseScenario();
+  const body = { scenario: scenarioSelect.value || undefined };
+  [
+    ['seed', 'scenario-seed'],
+    ['noise', 'scenario-noise'],
+    ['intervalMinutes', 'scenario-interval']
+  ].forEach(([field, id]) => {
+    const value = document.getElementById(id).value;
+    if (value !== '') body[field] = Number(value);
+  });
+  if (scenarioTrajectories.value.trim()) {
+    try {
+      Object.assign(body, JSON.parse(scenarioTrajectories.value));
+    } catch (err) {
+      scenarioDetails.textContent = t('scenario.invalidJson');
+      return;
+    }
+  }
+
+  scenarioDetails.textContent = t('scenario.running');
+  try {
+    const res = await apiFetch(`${apiBase}/api/demo/scenario`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      scenarioDetails.textContent = [data.error, ...(data.errors || [])].join(' ');
+      return;
+    }
+
+    scenarioRun = data;
+    scenarioStep = 1;
+    buildScenarioChart(data.readings);
+    renderScenarioStep();
+    scenarioRestart.disabled = false;
+    playScenario();
+  } catch (err) {
+    console.error(err);
+    scenarioDetails.textContent = t('scenario.unreachable');
+  }
+}
+
+document.getElementById('run-scenario').addEventListener('click', runScenario);
+scenarioPlay.addEventListener('click', () => (scenarioTimer ? pauseScenario() : playScenario()));
+scenarioStepButton.addEventListener('click', () => {
+  pauseScenario();
+  stepScenario();
+});
+scenarioRestart.addEventListener('click', () => {
+  if (!scenarioRun) return;
+  scenarioStep = 1;
+  renderScenarioStep();
+  playScenario();
+});
+
+languageSelect.value = uiLocale;
+loadLocaleSettings();
+
+// Start on the login screen unless this tab already holds a valid session; the catalog is loaded
+// first so nothing is drawn with bare keys
+function startApp() {
+  renderSyncQueue();
+  renderScenarioPlay();
+  if (!auth) {
+    logout();
+    return;
+  }
+  apiFetch(`${apiBase}/api/auth/me`)
+    .then((res) => (res.ok ? showApp() : logout()))
+    .catch(() => showApp());
+}
+
+setUiLocale(uiLocale)
+  .catch((err) => console.error('Unable to load the interface language', err))
+  .then(startApp);
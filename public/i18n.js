@@ -0,0 +1,55 @@
+// Interface text for the language switcher. The catalogs are lib/locales/<locale>.json on the
+// server, served at locales/<locale>.json, so the interface, score reasons and alert texts share
+// one set of translations. Elements with data-i18n="key" get their text from the catalog and
+// data-i18n-placeholder="key" their placeholder; longer help text stays in English.
+const UI_LOCALE_KEY = 'sepsis-screen-locale';
+const UI_LOCALES = ['en', 'es', 'hi'];
+// Catalogs fetched so far, by locale
+const uiMessages = {};
+
+function initialUiLocale() {
+  const saved = localStorage.getItem(UI_LOCALE_KEY);
+  if (UI_LOCALES.includes(saved)) return saved;
+  const preferred = (navigator.languages || [navigator.language || ''])
+    .map((tag) => tag.split('-')[0].toLowerCase())
+    .find((language) => UI_LOCALES.includes(language));
+  return preferred || 'en';
+}
+
+let uiLocale = initialUiLocale();
+
+async function loadUiMessages(locale) {
+  if (uiMessages[locale]) return;
+  const res = await fetch(`locales/${locale}.json`);
+  if (!res.ok) throw new Error(`Unable to load the ${locale} catalog (${res.status})`);
+  uiMessages[locale] = await res.json();
+}
+
+// Text for key in the current language (English if missing) with {name} placeholders filled
+function t(key, params = {}) {
+  const template = (uiMessages[uiLocale] || {})[key] || (uiMessages.en || {})[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// Keys missing from the catalogs (e.g. not loaded while offline) keep the English in the page
+function applyTranslations(root = document) {
+  document.documentElement.lang = uiLocale;
+  const translated = (key, fallback) => (t(key) === key ? fallback : t(key));
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = translated(el.getAttribute('data-i18n'), el.textContent);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.placeholder = translated(el.getAttribute('data-i18n-placeholder'), el.placeholder);
+  });
+}
+
+// English is always loaded as the fallback for keys a catalog lacks
+async function setUiLocale(locale) {
+  if (!UI_LOCALES.includes(locale)) return;
+  await Promise.all([loadUiMessages('en'), loadUiMessages(locale)]);
+  uiLocale = locale;
+  localStorage.setItem(UI_LOCALE_KEY, locale);
+  applyTranslations();
+}
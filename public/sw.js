@@ -0,0 +1,78 @@
+// Service worker: keeps the app shell cached so the reading form opens without a connection.
+// API requests always go to the network; readings entered offline are queued by app.js.
+const CACHE = 'sepsis-shell-v2';
+const SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'i18n.js',
+  'app.js',
+  // Interface text, served from lib/locales
+  'locales/en.json',
+  'locales/es.json',
+  'locales/hi.json',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+const CHART_JS = 'https://cdn.jsdelivr.net/npm/chart.js';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) =>
+        Promise.all([
+          cache.addAll(SHELL),
+          // Charts are optional offline, so a CDN failure must not block installation
+          cache.add(new Request(CHART_JS, { mode: 'no-cors' })).catch(() => {})
+        ])
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isApiRequest(url) {
+  return (
+    url.origin === self.location.origin &&
+    (url.pathname.startsWith('/api/') || url.pathname.startsWith('/fhir'))
+  );
+}
+
+// Network first so a new deployment shows up straight away; the cache is the offline fallback
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || isApiRequest(url)) return;
+  if (url.origin !== self.location.origin && request.url !== CHART_JS) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request, { ignoreSearch: true })
+          .then(
+            (cached) =>
+              cached ||
+              (request.mode === 'navigate' ? caches.match('index.html') : Response.error())
+          )
+      )
+  );
+});
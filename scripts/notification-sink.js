@@ -0,0 +1,91 @@
+// Local SMTP and webhook sinks for trying notifications without real mail or endpoints.
+// Prints every message it receives; webhook signatures are checked against WEBHOOK_SECRET.
+//   npm run notify-sink
+//   SMTP_URL=smtp://localhost:2525 and webhook targets like http://localhost:4040/hook
+// Webhook paths starting with /fail answer 503, to exercise retries.
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+require('dotenv').config();
+const { signWebhook } = require('../lib/notifications');
+
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.SINK_HTTP_PORT) || 4040;
+
+// Just enough SMTP for nodemailer: greeting, envelope, DATA and QUIT; no auth or TLS
+const smtp = net.createServer((socket) => {
+  let buffer = '';
+  let data = null;
+  let envelope = { from: '', to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 notification-sink ESMTP');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          console.log(`--- email from ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(data.join('\n'));
+          data = null;
+          envelope = { from: '', to: [] };
+          reply('250 OK queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250 notification-sink');
+      else if (command === 'MAIL') {
+        envelope.from = line.slice(10).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(8).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const webhook = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const timestamp = req.headers['x-sepsis-timestamp'] || '';
+    const signature = req.headers['x-sepsis-signature'] || '';
+    let verdict = 'unsigned';
+    if (signature && process.env.WEBHOOK_SECRET) {
+      const expected = Buffer.from(`sha256=${signWebhook(body, timestamp)}`);
+      const given = Buffer.from(signature);
+      const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+      verdict = valid ? 'signature ok' : 'SIGNATURE MISMATCH';
+    } else if (signature) {
+      verdict = 'signed, but WEBHOOK_SECRET is not set here';
+    }
+
+    console.log(`--- webhook ${req.method} ${req.url} (${verdict})`);
+    console.log(body);
+    res.statusCode = req.url.startsWith('/fail') ? 503 : 200;
+    res.end();
+  });
+});
+
+smtp.listen(SMTP_PORT, () => console.log(`SMTP sink on port ${SMTP_PORT}`));
+webhook.listen(HTTP_PORT, () => console.log(`Webhook sink on port ${HTTP_PORT}`));
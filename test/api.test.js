@@ -0,0 +1,426 @@
+// The golden cases through the HTTP API, once per storage backend: createApp on the Mongoose store
+// against an in-memory MongoDB and on the in-process memory store, so storing, scoring, alerting and the summary
+// are covered end to end and must come out the same on both. mongodb-memory-server downloads the
+// mongod version pinned in package.json on first use; if it cannot start, the MongoDB suite fails.
+// TEST_STORAGE_BACKENDS=memory runs the memory backend only.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../lib/app');
+const { createMongooseStore, createMemoryStore } = require('../lib/storage');
+const { hashPassword } = require('../lib/auth');
+const { translate } = require('../lib/i18n');
+const thresholdCases = require('./fixtures/qsofa-thresholds.json');
+const sequences = require('./fixtures/alert-sequences.json');
+
+const USER = { username: 'golden-nurse', password: 'golden-fixtures' };
+// Readings are placed in the recent past; future times would be flagged for verification
+const START = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+// Each opens a store and returns { store, stop }
+const BACKENDS = {
+  mongo: async () => {
+    const mongod = await MongoMemoryServer.create();
+    const db = await mongoose.createConnection(mongod.getUri()).asPromise();
+    return { store: createMongooseStore(db), stop: () => mongod.stop() };
+  },
+  memory: async () => ({ store: createMemoryStore(), stop: async () => {} })
+};
+const TESTED_BACKENDS = (process.env.TEST_STORAGE_BACKENDS || Object.keys(BACKENDS).join(','))
+  .split(',')
+  .map((backend) => backend.trim())
+  .filter(Boolean);
+
+let baseUrl;
+let token;
+
+function api(method, url, body, headers = {}) {
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function postReading(externalId, { minute = 0, ...reading }) {
+  const timestamp = new Date(START.getTime() + minute * 60 * 1000).toISOString();
+  const res = await api('POST', `/api/patients/${externalId}/readings`, { ...reading, timestamp });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+TESTED_BACKENDS.forEach((backend) => {
+  describe(`${backend} storage`, () => {
+    let storage;
+    let app;
+    let server;
+
+    before(async () => {
+      assert.ok(BACKENDS[backend], `Unknown backend in TEST_STORAGE_BACKENDS: ${backend}`);
+      try {
+        storage = await BACKENDS[backend]();
+      } catch (err) {
+        throw new Error(
+          `Could not start ${backend} storage: ${err.message}\n` +
+            'Point MONGOMS_SYSTEM_BINARY at a local mongod or MONGOMS_DOWNLOAD_DIR at a cached ' +
+            'download, or set TEST_STORAGE_BACKENDS=memory to leave MongoDB out on purpose.'
+        );
+      }
+      app = createApp({ store: storage.store });
+      await storage.store.users.create({
+        username: USER.username,
+        role: 'nurse',
+        passwordHash: await hashPassword(USER.password)
+      });
+      await app.locals.bootstrap();
+
+      server = app.listen(0);
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      token = undefined;
+      const res = await api('POST', '/api/auth/login', USER);
+      token = (await res.json()).token;
+    });
+
+    after(async () => {
+      if (server) server.close();
+      if (storage) {
+        await storage.store.close();
+        await storage.stop();
+      }
+    });
+
+    thresholdCases.forEach(({ name, reading, expected }, idx) => {
+      test(`POST reading: ${name}`, async () => {
+        const { reading: stored } = await postReading(`golden-threshold-${idx}`, reading);
+        assert.equal(stored.qsofaScore, expected.score);
+        assert.equal(stored.qsofaRiskLabel, expected.riskLabel);
+        assert.deepEqual(stored.qsofaReasons, expected.reasons);
+      });
+    });
+
+    sequences.forEach(({ name, readings, expected }, idx) => {
+      test(`summary alerts: ${name}`, async () => {
+        const externalId = `golden-sequence-${idx}`;
+        for (const reading of readings) await postReading(externalId, reading);
+
+        const res = await api('GET', `/api/patients/${externalId}/summary`);
+        assert.equal(res.status, 200);
+        const summary = await res.json();
+        const readingIndex = new Map(summary.readings.map((r, i) => [r._id, i]));
+        // Stored alerts only; missed/overdue observation alerts depend on the current time
+        const alerts = summary.alerts
+          .filter((alert) => alert.reading)
+          .map(({ reading, ruleId, level }) => ({
+            reading: readingIndex.get(reading),
+            ruleId,
+            level
+          }));
+        assert.deepEqual(alerts, expected);
+      });
+    });
+
+    test('summary texts follow Accept-Language', async () => {
+      await postReading('golden-locale', {
+        respiratoryRate: 24,
+        systolicBP: 95,
+        mentalStatus: 'Drowsy'
+      });
+
+      const res = await api('GET', '/api/patients/golden-locale/summary', undefined, {
+        'Accept-Language': 'es-ES,es;q=0.9'
+      });
+      assert.equal(res.headers.get('content-language'), 'es');
+      const summary = await res.json();
+      const [reading] = summary.readings;
+      assert.equal(reading.qsofaRiskLabel, translate('es', reading.qsofaRiskCode));
+      assert.equal(summary.overall.latestRiskLabel, reading.qsofaRiskLabel);
+      const alert = summary.alerts.find((a) => a.ruleId === 'qsofa-high');
+      assert.equal(alert.type, translate('es', 'alerts.qsofa-high.name'));
+      // Without labs SOFA is partial, and says so in Spanish
+      const sofa = reading.scores.find((result) => result.scoreId === 'sofa');
+      assert.equal(sofa.name, translate('es', 'sofa.name.partial'));
+    });
+
+    test('the interface loads its text from the same catalogs', async () => {
+      const res = await fetch(`${baseUrl}/locales/hi.json`);
+      assert.equal(res.status, 200);
+      const catalog = await res.json();
+      assert.equal(catalog['form.submit'], translate('hi', 'form.submit'));
+      assert.equal(catalog['sofa.name.partial'], translate('hi', 'sofa.name.partial'));
+    });
+
+    test('concurrent changes to one reading leave a single current version', async () => {
+      const { reading } = await postReading('supersede-race', {
+        respiratoryRate: 18,
+        systolicBP: 120,
+        mentalStatus: 'Alert'
+      });
+
+      const responses = await Promise.all([
+        api('PUT', `/api/readings/${reading._id}`, { respiratoryRate: 24, reason: 'Miscounted' }),
+        api('PUT', `/api/readings/${reading._id}`, { respiratoryRate: 26, reason: 'Recounted' }),
+        api('DELETE', `/api/readings/${reading._id}`, { reason: 'Wrong patient' })
+      ]);
+      const statuses = responses.map((res) => res.status).sort();
+      assert.deepEqual(statuses, [200, 409, 409]);
+
+      // The summary shows the one current version, or none if the deletion won
+      const deleted = responses[2].status === 200;
+      const res = await api('GET', '/api/patients/supersede-race/summary');
+      const summary = await res.json();
+      assert.equal(summary.readings.length, deleted ? 0 : 1);
+      const again = await api('PUT', `/api/readings/${reading._id}`, {
+        respiratoryRate: 30,
+        reason: 'Late edit'
+      });
+      assert.equal(again.status, 409);
+    });
+
+    test('a retried POST with the same Idempotency-Key is replayed, not stored again', async () => {
+      const body = {
+        respiratoryRate: 24,
+        systolicBP: 95,
+        mentalStatus: 'Alert',
+        timestamp: START.toISOString()
+      };
+      const post = (reading, key) =>
+        api('POST', '/api/patients/golden-retry/readings', reading, { 'Idempotency-Key': key });
+
+      const first = await post(body, 'form-4b1d9c2e');
+      const retry = await post(body, 'form-4b1d9c2e');
+      assert.equal(first.status, 201);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      const [original, replayed] = [await first.json(), await retry.json()];
+      assert.equal(replayed.reading._id, original.reading._id);
+      assert.deepEqual(
+        replayed.alerts.map((a) => a._id),
+        original.alerts.map((a) => a._id)
+      );
+
+      const reused = await post({ ...body, respiratoryRate: 30 }, 'form-4b1d9c2e');
+      assert.equal(reused.status, 422);
+      assert.equal((await post(body, 'short')).status, 400);
+
+      const res = await api('GET', '/api/patients/golden-retry/summary');
+      assert.equal((await res.json()).readings.length, 1);
+    });
+
+    test('patient search rejects repeated query parameters', async () => {
+      await postReading('golden-search', {
+        respiratoryRate: 18,
+        systolicBP: 120,
+        mentalStatus: 'Alert'
+      });
+
+      const found = await api('GET', '/api/patients?q=GOLDEN-SEARCH');
+      assert.deepEqual(
+        (await found.json()).patients.map((p) => p.externalId),
+        ['golden-search']
+      );
+      const repeated = await api('GET', '/api/patients?q=golden&q=search');
+      assert.equal(repeated.status, 400);
+    });
+
+    test('list filters refuse repeated and operator query values', async () => {
+      await postReading('golden-filter', {
+        respiratoryRate: 18,
+        systolicBP: 120,
+        mentalStatus: 'Alert'
+      });
+      const found = await api('GET', '/api/readings?patient=golden-filter');
+      assert.equal((await found.json()).count, 1);
+
+      for (const url of [
+        '/api/readings?patient[$ne]=x',
+        '/api/readings?location=a&location=b',
+        '/api/readings?mentalStatus[$gt]=',
+        '/api/readings?encounter[$exists]=true',
+        '/api/readings?sort=constructor',
+        '/api/readings?from[$gt]=2020-01-01',
+        '/api/export/readings.csv?location[$ne]=x',
+        '/api/ward?location=a&location=b',
+        '/api/reassessment/overdue?location[$ne]=x',
+        '/api/stream?patient[$ne]=x'
+      ]) {
+        const res = await api('GET', url);
+        assert.equal(res.status, 400, url);
+        assert.match((await res.json()).error, /must be/, url);
+      }
+    });
+
+    test('a back-dated reading from before the admission is rejected', async () => {
+      const vitals = { respiratoryRate: 18, systolicBP: 120, mentalStatus: 'Alert' };
+      await postReading('golden-backdated', { ...vitals, minute: 30 });
+
+      const res = await api('POST', '/api/patients/golden-backdated/readings', {
+        ...vitals,
+        timestamp: START.toISOString()
+      });
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        (await res.json()).errors.map((e) => e.code),
+        ['outside_encounter']
+      );
+      // Later readings still join the stay
+      await postReading('golden-backdated', { ...vitals, minute: 45 });
+    });
+
+    test('an unknown encounter event is refused and leaves the stay open', async () => {
+      await postReading('golden-event', {
+        respiratoryRate: 24,
+        systolicBP: 95,
+        mentalStatus: 'Alert'
+      });
+      const { encounters } = await (
+        await api('GET', '/api/patients/golden-event/encounters')
+      ).json();
+      const [encounter] = encounters;
+
+      for (const event of ['constructor', 'toString', 'valueOf', 'admit']) {
+        const res = await api('POST', `/api/encounters/${encounter._id}/${event}`, {});
+        assert.equal(res.status, 404, event);
+      }
+      const after = await (await api('GET', `/api/encounters/${encounter._id}`)).json();
+      assert.equal(after.encounter.status, 'active');
+      assert.deepEqual(
+        after.encounter.events.map((e) => e.type),
+        ['admit']
+      );
+      const summary = await (await api('GET', '/api/patients/golden-event/summary')).json();
+      assert.ok(summary.alerts.some((alert) => alert.status !== 'resolved'));
+    });
+
+    test('an unknown alert action is refused and the alert list checks its filters', async () => {
+      await postReading('golden-alert-action', {
+        respiratoryRate: 24,
+        systolicBP: 95,
+        mentalStatus: 'Alert'
+      });
+      const summary = await (await api('GET', '/api/patients/golden-alert-action/summary')).json();
+      const alert = summary.alerts.find((a) => a.ruleId === 'qsofa-high');
+
+      for (const action of ['constructor', 'toString', 'hasOwnProperty']) {
+        const res = await api('POST', `/api/alerts/${alert._id}/${action}`, {});
+        assert.equal(res.status, 404, action);
+      }
+      const acknowledged = await api('POST', `/api/alerts/${alert._id}/acknowledge`, {});
+      assert.equal(acknowledged.status, 200);
+
+      for (const url of [
+        '/api/alerts?location[$ne]=x',
+        '/api/alerts?ruleId=a&ruleId=b',
+        '/api/alerts?status[$in]=open'
+      ]) {
+        const res = await api('GET', url);
+        assert.equal(res.status, 400, url);
+        assert.match((await res.json()).error, /must be/, url);
+      }
+      const listed = await (
+        await api('GET', '/api/alerts?ruleId=qsofa-high&status=acknowledged')
+      ).json();
+      assert.ok(listed.alerts.some((a) => a._id === alert._id));
+    });
+
+    test('a bundle action recorded twice at once is only recorded once', async (t) => {
+      await postReading('golden-bundle', {
+        respiratoryRate: 24,
+        systolicBP: 95,
+        mentalStatus: 'Alert'
+      });
+      const list = await (await api('GET', '/api/patients/golden-bundle/bundles')).json();
+      const [bundle] = list.bundles;
+      const record = (actionId, note) =>
+        api('POST', `/api/bundles/${bundle._id}/actions/${actionId}`, { status: 'done', note });
+
+      // Hold each write back so both requests have read the action as pending before either writes
+      const { bundles } = storage.store;
+      const recordAction = bundles.recordAction.bind(bundles);
+      t.mock.method(bundles, 'recordAction', async (...args) => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return recordAction(...args);
+      });
+      const twice = await Promise.all([record('lactate', 'First'), record('lactate', 'Second')]);
+      assert.deepEqual(twice.map((res) => res.status).sort(), [200, 409]);
+
+      // The remaining actions at once: whichever is last closes the bundle
+      const rest = bundle.actions.map((a) => a.actionId).filter((id) => id !== 'lactate');
+      const responses = await Promise.all(rest.map((actionId) => record(actionId)));
+      assert.deepEqual(
+        responses.map((res) => res.status),
+        rest.map(() => 200)
+      );
+      const { bundle: closed } = await (await api('GET', `/api/bundles/${bundle._id}`)).json();
+      assert.equal(closed.status, 'closed');
+      const lactate = closed.actions.find((a) => a.actionId === 'lactate');
+      assert.equal(lactate.note, twice[0].status === 200 ? 'First' : 'Second');
+    });
+
+    test('bundle lists refuse repeated and operator location values', async () => {
+      for (const url of [
+        '/api/bundles/overdue?location[$ne]=x',
+        '/api/bundles/overdue?location=a&location=b',
+        '/api/bundles/compliance?location[$ne]=x',
+        '/api/bundles/compliance?location=a&location=b'
+      ]) {
+        const res = await api('GET', url);
+        assert.equal(res.status, 400, url);
+        assert.match((await res.json()).error, /must be/, url);
+      }
+      const compliance = await api('GET', '/api/bundles/compliance?location=Nowhere');
+      assert.deepEqual((await compliance.json()).wards, []);
+    });
+
+    test('screening performance refuses repeated and operator query values', async () => {
+      for (const url of [
+        '/api/analytics/performance?location[$ne]=x',
+        '/api/analytics/performance?location=a&location=b',
+        '/api/analytics/performance?cutoffs=1&cutoffs=2',
+        '/api/analytics/performance?positive[$in]=none',
+        '/api/analytics/performance?respiratoryRate=22&respiratoryRate=25'
+      ]) {
+        const res = await api('GET', url);
+        assert.equal(res.status, 400, url);
+        assert.match((await res.json()).error, /must be/, url);
+      }
+      const res = await api('GET', '/api/analytics/performance?location=Nowhere&cutoffs=1,2');
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).stays, 0);
+    });
+
+    test('a resent HL7 message is acknowledged without a second reading', async () => {
+      const obr = `OBR|1|||vitals|||${START.toISOString().replace(/\D/g, '').slice(0, 14)}+0000`;
+      const message = (respiratoryRate) =>
+        [
+          'MSH|^~\\&|GATEWAY|ICU|SEPSIS|HOSP|20240101120000||ORU^R01|MSG-42|P|2.5.1',
+          'PID|||hl7-resend||Doe^Jane',
+          obr,
+          `OBX|1|NM|9279-1^Respiratory rate^LN||${respiratoryRate}|/min|||||F`,
+          'OBX|2|NM|8480-6^Systolic blood pressure^LN||120|mm[Hg]|||||F',
+          'OBX|3|CE|80288-4^Level of consciousness^LN||A^Alert|||||F'
+        ].join('\r');
+      const msa = (ack) => ack.split('\r')[1].split('|');
+
+      const first = await app.locals.handleHl7Message(message(20));
+      const resent = await app.locals.handleHl7Message(message(20));
+      const reused = await app.locals.handleHl7Message(message(30));
+      assert.deepEqual(msa(first).slice(0, 3), ['MSA', 'AA', 'MSG-42']);
+      assert.deepEqual(msa(resent).slice(0, 3), ['MSA', 'AA', 'MSG-42']);
+      assert.equal(msa(reused)[1], 'AR');
+
+      const res = await api('GET', '/api/patients/hl7-resend/summary');
+      const summary = await res.json();
+      assert.deepEqual(
+        summary.readings.map((r) => r.respiratoryRate),
+        [20]
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Bearer-token authentication: the account is checked on every request and query tokens are
+// only accepted where the route allows them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../lib/storage');
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  requireAuth,
+  requireRole,
+  actorFrom
+} = require('../lib/auth');
+
+// Runs a middleware against a minimal request; resolves to { status, body, user } once it
+// answers or calls next()
+function run(middleware, { authorization, query = {} } = {}) {
+  return new Promise((resolve) => {
+    const req = { query, get: (name) => (name === 'authorization' ? authorization : undefined) };
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      }
+    };
+    middleware(req, res, () => resolve({ status: 'next', user: req.user }));
+  });
+}
+
+async function setup() {
+  const { users } = createMemoryStore();
+  const user = await users.create({ username: 'clinician', role: 'physician', passwordHash: 'x' });
+  return { users, user, token: signToken(user) };
+}
+
+test('passwords are hashed and verified', async () => {
+  const hash = await hashPassword('correct horse');
+  assert.notEqual(hash, 'correct horse');
+  assert.equal(await verifyPassword('correct horse', hash), true);
+  assert.equal(await verifyPassword('wrong', hash), false);
+});
+
+test('a valid bearer token loads the account from the database', async () => {
+  const { users, user, token } = await setup();
+  const result = await run(requireAuth(users), { authorization: `Bearer ${token}` });
+  assert.equal(result.status, 'next');
+  assert.deepEqual(result.user, { id: String(user._id), username: 'clinician', role: 'physician' });
+  assert.deepEqual(actorFrom(result.user), { user: String(user._id), username: 'clinician' });
+});
+
+test('missing, invalid and deactivated sessions are refused', async () => {
+  const { users, user, token } = await setup();
+  assert.equal((await run(requireAuth(users))).status, 401);
+  assert.equal((await run(requireAuth(users), { authorization: 'Bearer nonsense' })).status, 401);
+
+  await users.update(user._id, { active: false });
+  assert.equal((await run(requireAuth(users), { authorization: `Bearer ${token}` })).status, 401);
+});
+
+test('a lowered role applies before the token expires', async () => {
+  const { users, user, token } = await setup();
+  await users.update(user._id, { role: 'viewer' });
+
+  const { user: current } = await run(requireAuth(users), { authorization: `Bearer ${token}` });
+  assert.equal(current.role, 'viewer');
+  const denied = await new Promise((resolve) => {
+    const res = { status: (code) => ({ json: () => resolve(code) }) };
+    requireRole('admin', 'physician')({ user: current }, res, () => resolve('next'));
+  });
+  assert.equal(denied, 403);
+});
+
+test('?token= is only accepted where allowed', async () => {
+  const { users, token } = await setup();
+  assert.equal((await run(requireAuth(users), { query: { token } })).status, 401);
+  const stream = await run(requireAuth(users, { allowQueryToken: true }), { query: { token } });
+  assert.equal(stream.status, 'next');
+});
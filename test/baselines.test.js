@@ -0,0 +1,123 @@
+// Patient baselines and personal qSOFA threshold overrides (lib/baselines.js) and how the
+// overrides reach scoring and the default alert rules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BASELINE_READING_COUNT,
+  deriveBaseline,
+  effectiveBaseline,
+  activeThresholds,
+  baselineDeviation,
+  validateBaseline,
+  validateOverride
+} = require('../lib/baselines');
+const { DEFAULT_RULES, evaluateRules } = require('../lib/rules');
+const { scoreReading } = require('../lib/scoring');
+const { validateReading } = require('../lib/validation');
+const { translate } = require('../lib/i18n');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-01-01T08:00:00.000Z');
+
+function reading(hour, values) {
+  return { timestamp: new Date(START.getTime() + hour * HOUR), ...values };
+}
+
+test('a baseline is derived from the median of the first readings', () => {
+  const readings = [
+    reading(0, { respiratoryRate: 30, systolicBP: 110 }),
+    reading(1, { respiratoryRate: 16, systolicBP: 130, heartRate: 90 }),
+    reading(2, { respiratoryRate: 18, systolicBP: 121 }),
+    reading(3, { respiratoryRate: 40, systolicBP: 80 })
+  ];
+  assert.equal(BASELINE_READING_COUNT, 3);
+  assert.equal(deriveBaseline(readings.slice(0, 2)), null);
+  assert.deepEqual(deriveBaseline(readings), {
+    source: 'derived',
+    values: { respiratoryRate: 18, systolicBP: 121, heartRate: 90 },
+    readingCount: 3,
+    from: readings[0].timestamp,
+    to: readings[2].timestamp
+  });
+
+  const manual = { values: { systolicBP: 95 }, note: 'Known low BP', setAt: START };
+  assert.deepEqual(effectiveBaseline({ baseline: manual }, readings).values, { systolicBP: 95 });
+  assert.equal(effectiveBaseline({}, readings).source, 'derived');
+});
+
+test('deviation is reported for the vitals both the reading and baseline have', () => {
+  const baseline = { values: { respiratoryRate: 16, systolicBP: 120 } };
+  assert.deepEqual(baselineDeviation({ respiratoryRate: 20, heartRate: 100 }, baseline), [
+    { field: 'respiratoryRate', value: 20, baseline: 16, change: 4, percent: 25 }
+  ]);
+  assert.deepEqual(baselineDeviation({ respiratoryRate: 20 }, null), []);
+});
+
+test('baselines and overrides are validated', () => {
+  assert.equal(validateBaseline({ values: {} }).errors[0].code, 'required');
+  assert.equal(validateBaseline({ values: { systolicBP: 95 }, note: 3 }).errors[0].field, 'note');
+
+  const expiresAt = new Date(Date.now() + HOUR).toISOString();
+  const valid = validateOverride({ field: 'systolicBP', value: 90, reason: 'COPD', expiresAt });
+  assert.deepEqual(valid.errors, []);
+  assert.equal(valid.value.value, 90);
+  assert.equal(validateOverride({ field: 'heartRate', value: 90 }).errors[0].field, 'field');
+  const expired = validateOverride({
+    field: 'systolicBP',
+    value: 90,
+    reason: 'COPD',
+    expiresAt: new Date(Date.now() - HOUR).toISOString()
+  });
+  assert.deepEqual(
+    expired.errors.map((e) => e.field),
+    ['expiresAt']
+  );
+});
+
+test('only unexpired overrides are active', () => {
+  const overrides = [
+    { field: 'respiratoryRate', value: 26, expiresAt: new Date(START.getTime() + HOUR) },
+    { field: 'systolicBP', value: 90, expiresAt: START }
+  ];
+  assert.deepEqual(activeThresholds(overrides, START), { respiratoryRate: 26 });
+  assert.deepEqual(activeThresholds(overrides, new Date(START.getTime() + 2 * HOUR)), {});
+  assert.deepEqual(activeThresholds(undefined), {});
+});
+
+test('threshold-crossed alerts and their texts use the patient override', () => {
+  const thresholds = { respiratoryRate: 26, systolicBP: 90 };
+  const scored = (hour, values) => {
+    const { value, flags } = validateReading({
+      mentalStatus: 'Alert',
+      ...values,
+      timestamp: new Date(START.getTime() + hour * HOUR).toISOString()
+    });
+    return scoreReading(value, flags, thresholds);
+  };
+  const previous = scored(0, { respiratoryRate: 20, systolicBP: 110 });
+
+  // 24/min and 95 mmHg cross the population cut-offs but not this patient's; the standard
+  // qSOFA score still counts them
+  const belowOverride = scored(1, { respiratoryRate: 24, systolicBP: 95 });
+  const ids = (alerts) => alerts.map((alert) => alert.ruleId);
+  assert.deepEqual(
+    ids(evaluateRules(DEFAULT_RULES, belowOverride, { history: [previous], thresholds })),
+    ['qsofa-rising', 'qsofa-high']
+  );
+
+  const current = scored(1, { respiratoryRate: 27, systolicBP: 88 });
+  const alerts = evaluateRules(DEFAULT_RULES, current, { history: [previous], thresholds });
+  assert.deepEqual(ids(alerts), [
+    'qsofa-rising',
+    'qsofa-high',
+    'rr-threshold-crossed',
+    'sbp-threshold-crossed'
+  ]);
+  const [, high, rr, sbp] = alerts;
+  assert.match(rr.explanation, /threshold of 26 breaths\/min/);
+  assert.match(sbp.explanation, /threshold of 90 mmHg/);
+  assert.match(translate('es', rr.code + '.message', rr.params), /umbral de cribado de 26/);
+  // qsofa-high is on the standard score, whose cut-off is not personal
+  assert.equal(high.params.threshold, 2);
+  assert.match(high.explanation, /at or above 2 based on/);
+});
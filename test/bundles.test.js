@@ -0,0 +1,110 @@
+// Sepsis bundle timers and compliance (lib/bundles.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BUNDLE_ACTIONS,
+  newBundle,
+  validateBundleAction,
+  applyBundleAction,
+  actionState,
+  bundleStatus,
+  complianceByLocation
+} = require('../lib/bundles');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-01-01T08:00:00.000Z');
+const ACTOR = { username: 'nurse' };
+
+function at(minutes) {
+  return new Date(START.getTime() + minutes * MINUTE);
+}
+
+function bundle(location = 'Ward 3') {
+  return newBundle({ _id: 'alert-1', ruleId: 'qsofa-high', timestamp: START, location });
+}
+
+test('a new bundle has every action pending, due one or three hours after the alert', () => {
+  const started = bundle();
+  assert.equal(started.status, 'open');
+  assert.deepEqual(started.startedAt, START);
+  assert.deepEqual(
+    started.actions.map((a) => [a.actionId, (a.dueAt - START) / MINUTE, a.status]),
+    [
+      ['lactate', 60, 'pending'],
+      ['blood-cultures', 60, 'pending'],
+      ['antibiotics', 60, 'pending'],
+      ['physician-review', 60, 'pending'],
+      ['fluids', 180, 'pending']
+    ]
+  );
+});
+
+test('action states follow the due time', () => {
+  const action = { status: 'pending', dueAt: at(60) };
+  assert.equal(actionState(action, at(59)), 'pending');
+  assert.equal(actionState(action, at(61)), 'overdue');
+  assert.equal(actionState({ ...action, status: 'done', at: at(60) }, at(500)), 'on-time');
+  assert.equal(actionState({ ...action, status: 'done', at: at(61) }, at(500)), 'late');
+  assert.equal(actionState({ ...action, status: 'not-applicable' }, at(500)), 'not-applicable');
+
+  assert.equal(bundleStatus(bundle(), at(90)).overdueCount, 4);
+  assert.equal(bundleStatus(bundle(), at(200)).overdueCount, 5);
+});
+
+test('each action is recorded once and the last one closes the bundle', () => {
+  const open = bundle();
+  assert.equal(applyBundleAction(open, 'lactate', { status: 'done', at: at(20) }, ACTOR), null);
+  assert.equal(
+    applyBundleAction(open, 'lactate', { status: 'done', at: at(30) }, ACTOR),
+    'Lactate drawn is already recorded.'
+  );
+  assert.equal(
+    applyBundleAction(open, 'vasopressors', { status: 'done' }, ACTOR),
+    'Unknown bundle action: vasopressors'
+  );
+  assert.deepEqual(open.actions[0].at, at(20));
+  assert.equal(open.status, 'open');
+
+  BUNDLE_ACTIONS.slice(1).forEach(({ actionId }) => {
+    applyBundleAction(open, actionId, { status: 'not-applicable', at: at(40) }, ACTOR);
+  });
+  assert.equal(open.status, 'closed');
+  assert.ok(open.closedAt instanceof Date);
+});
+
+test('action bodies need a status and no future time', () => {
+  assert.deepEqual(validateBundleAction({ status: 'done' }).errors, []);
+  assert.equal(validateBundleAction({}).errors[0].field, 'status');
+  const future = new Date(Date.now() + 120 * MINUTE).toISOString();
+  assert.equal(validateBundleAction({ status: 'done', at: future }).errors[0].field, 'at');
+});
+
+test('compliance counts due actions per ward and leaves out those not yet due', () => {
+  const onTime = bundle('ICU');
+  BUNDLE_ACTIONS.forEach(({ actionId }) => {
+    applyBundleAction(onTime, actionId, { status: 'done', at: at(30) }, ACTOR);
+  });
+  const late = bundle('Ward 3');
+  applyBundleAction(late, 'lactate', { status: 'done', at: at(90) }, ACTOR);
+  applyBundleAction(late, 'antibiotics', { status: 'not-applicable', at: at(10) }, ACTOR);
+  const young = newBundle({ _id: 'alert-2', timestamp: at(100), location: 'Ward 3' });
+
+  const [icu, ward] = complianceByLocation([onTime, late, young], at(120));
+  assert.equal(icu.location, 'ICU');
+  assert.equal(icu.complianceRate, 1);
+  assert.deepEqual(
+    icu.actions.map((a) => a.onTimeRate),
+    [1, 1, 1, 1, 1]
+  );
+
+  assert.equal(ward.bundles, 2);
+  assert.equal(ward.compliantBundles, 1);
+  assert.equal(ward.complianceRate, 0.5);
+  const counts = Object.fromEntries(ward.actions.map((a) => [a.actionId, a]));
+  assert.deepEqual([counts.lactate.due, counts.lactate.late, counts.lactate.onTimeRate], [1, 1, 0]);
+  assert.equal(counts.antibiotics.notApplicable, 1);
+  assert.equal(counts.antibiotics.onTimeRate, null);
+  assert.deepEqual([counts['blood-cultures'].due, counts['blood-cultures'].overdue], [1, 1]);
+  // Fluids are due at 180 minutes, so not yet counted
+  assert.equal(counts.fluids.due, 0);
+});
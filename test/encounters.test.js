@@ -0,0 +1,87 @@
+// Encounter admission, transfer and discharge events and stay lookup (lib/encounters.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateEncounterEvent,
+  admission,
+  applyEncounterEvent,
+  encounterAt
+} = require('../lib/encounters');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-01-01T08:00:00.000Z');
+const ACTOR = { username: 'nurse' };
+
+function at(hours) {
+  return new Date(START.getTime() + hours * HOUR);
+}
+
+test('an admission opens an active stay at its location', () => {
+  const encounter = admission({ patient: 'p1', location: 'ED', at: START, actor: ACTOR });
+  assert.equal(encounter.status, 'active');
+  assert.deepEqual(encounter.locationHistory, [{ location: 'ED', from: START }]);
+  assert.deepEqual(encounter.events, [
+    { type: 'admit', at: START, location: 'ED', by: ACTOR, note: undefined }
+  ]);
+  assert.deepEqual(admission({ patient: 'p1', at: START }).locationHistory, []);
+});
+
+test('transfers and discharge update the location history in order', () => {
+  const encounter = admission({ patient: 'p1', location: 'ED', at: START, actor: ACTOR });
+
+  assert.equal(
+    applyEncounterEvent(encounter, 'transfer', { location: 'ED', at: at(1) }),
+    'Patient is already at ED.'
+  );
+  assert.equal(applyEncounterEvent(encounter, 'transfer', { location: 'ICU', at: at(2) }), null);
+  assert.equal(
+    applyEncounterEvent(encounter, 'discharge', { at: at(1) }),
+    'Event time is before the last transfer.'
+  );
+  assert.equal(applyEncounterEvent(encounter, 'discharge', { at: at(5) }), null);
+
+  assert.equal(encounter.status, 'discharged');
+  assert.deepEqual(encounter.dischargedAt, at(5));
+  assert.deepEqual(encounter.locationHistory, [
+    { location: 'ED', from: START, to: at(2) },
+    { location: 'ICU', from: at(2), to: at(5) }
+  ]);
+  assert.deepEqual(
+    encounter.events.map((e) => [e.type, e.location]),
+    [
+      ['admit', 'ED'],
+      ['transfer', 'ICU'],
+      ['discharge', 'ICU']
+    ]
+  );
+  assert.equal(
+    applyEncounterEvent(encounter, 'transfer', { location: 'Ward 3', at: at(6) }),
+    'Cannot transfer an encounter that is discharged.'
+  );
+  assert.equal(applyEncounterEvent(encounter, 'readmit', {}), 'Unknown encounter event: readmit');
+  assert.equal(
+    applyEncounterEvent(encounter, 'constructor', {}),
+    'Unknown encounter event: constructor'
+  );
+});
+
+test('event bodies are validated, and future times are errors', () => {
+  assert.deepEqual(validateEncounterEvent({ at: START.toISOString() }).errors, []);
+  assert.equal(validateEncounterEvent({}, { requiresLocation: true }).errors[0].field, 'location');
+  const future = new Date(Date.now() + 2 * HOUR).toISOString();
+  assert.equal(validateEncounterEvent({ at: future }).errors[0].field, 'at');
+});
+
+test('a reading time is matched to the stay that contains it', () => {
+  // Newest first, as encounterForReading loads them
+  const current = { admittedAt: at(48) };
+  const earlier = { admittedAt: START, dischargedAt: at(24) };
+  const encounters = [current, earlier];
+
+  assert.equal(encounterAt(encounters, at(12)), earlier);
+  assert.equal(encounterAt(encounters, at(24)), earlier);
+  assert.equal(encounterAt(encounters, at(60)), current);
+  // Between stays and before the first one there is no stay
+  assert.equal(encounterAt(encounters, at(30)), undefined);
+  assert.equal(encounterAt(encounters, at(-1)), undefined);
+});
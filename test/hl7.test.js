@@ -0,0 +1,75 @@
+// HL7 v2 ORU^R01 parsing and ACK building (lib/hl7.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOru, parseHl7Time, buildAck } = require('../lib/hl7');
+
+const MSH = 'MSH|^~\\&|GATEWAY|ICU|SEPSIS|HOSP|20240301101500+0000||ORU^R01|MSG-1|P|2.5.1';
+
+function message(...segments) {
+  return [MSH, ...segments].join('\r');
+}
+
+test('maps PID, PV1 and LOINC or MDC coded OBX segments to a reading body', () => {
+  const parsed = parseOru(
+    message(
+      'PID|||MRN-7^^^HOSP~OTHER-1||Doe^Jane',
+      'PV1||I|Ward 3^Bed 2',
+      'OBR|1|||vitals|||20240301101000+0000',
+      'OBX|1|NM|9279-1^Respiratory rate^LN||24|/min|||||F',
+      'OBX|2|NM|150021^MDC_PRESS_BLD_NONINV_SYS^MDC||95|mm[Hg]|||||F',
+      'OBX|3|CE|80288-4^Level of consciousness^LN||V^Voice|||||F',
+      'OBX|4|NM|8867-4^Heart rate^LN||130|/min|||||X',
+      'OBX|5|NM|99999-9^Unknown^LN||1||||||F'
+    )
+  );
+
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.externalId, 'MRN-7');
+  assert.equal(parsed.header.controlId, 'MSG-1');
+  assert.equal(parsed.header.sendingApplication, 'GATEWAY');
+  assert.deepEqual(parsed.body, {
+    name: 'Jane Doe',
+    location: 'Ward 3',
+    respiratoryRate: 24,
+    systolicBP: 95,
+    mentalStatus: 'Drowsy',
+    timestamp: '2024-03-01T10:10:00.000Z'
+  });
+});
+
+test('falls back to OBX-14 and then MSH-7 for the observation time', () => {
+  const fromObx = parseOru(
+    message('PID|||MRN-1', 'OBX|1|NM|9279-1^^LN||18|/min|||||F|||20240301100500+0000')
+  );
+  assert.equal(fromObx.body.timestamp, '2024-03-01T10:05:00.000Z');
+
+  const fromHeader = parseOru(message('PID|||MRN-1', 'OBX|1|NM|9279-1^^LN||18|/min|||||F'));
+  assert.equal(fromHeader.body.timestamp, '2024-03-01T10:15:00.000Z');
+});
+
+test('rejects messages without an MSH, of another type or without PID-3', () => {
+  assert.deepEqual(parseOru('PID|||MRN-1').errors, ['Message does not start with an MSH segment.']);
+  const adt = parseOru(MSH.replace('ORU^R01', 'ADT^A01'));
+  assert.match(adt.errors[0], /Unsupported message type ADT\^A01/);
+  assert.deepEqual(parseOru(message('PID|||')).errors, ['PID-3 patient identifier is required.']);
+});
+
+test('parses HL7 times with and without an offset', () => {
+  assert.equal(parseHl7Time('202403011015+0530').toISOString(), '2024-03-01T04:45:00.000Z');
+  assert.equal(parseHl7Time('20240301').getTime(), new Date(2024, 2, 1).getTime());
+  assert.equal(parseHl7Time('March 1st'), null);
+});
+
+test('ACKs echo the control id and swap sender and receiver', () => {
+  const { header } = parseOru(message('PID|||MRN-1'));
+  const [msh, msa] = buildAck(header, 'AE', 'Bad value|here').split('\r');
+  const fields = msh.split('|');
+
+  assert.deepEqual(fields.slice(2, 6), ['SEPSIS-SCREEN', 'HOSP', 'GATEWAY', 'ICU']);
+  assert.equal(fields[8], 'ACK^R01^ACK');
+  assert.deepEqual(fields.slice(10), ['P', '2.5.1']);
+  assert.equal(msa, 'MSA|AE|MSG-1|Bad value here');
+  // Each ACK gets its own control id
+  assert.notEqual(buildAck(header, 'AA').split('|')[9], fields[9]);
+  assert.equal(buildAck(null, 'AR', 'No header').split('\r')[1], 'MSA|AR||No header');
+});
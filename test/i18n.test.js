@@ -0,0 +1,100 @@
+// Message catalogs (lib/locales) and Accept-Language negotiation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOCALES,
+  negotiateLocale,
+  translate,
+  localizeReading,
+  localizeAlert
+} = require('../lib/i18n');
+const { DEFAULT_RULES } = require('../lib/rules');
+const { BUNDLE_ACTIONS } = require('../lib/bundles');
+const { scoreReading } = require('../lib/scoring');
+const { validateReading } = require('../lib/validation');
+const { replayAlerts } = require('../lib/simulator');
+
+const catalogs = Object.fromEntries(
+  LOCALES.map((locale) => [locale, require(`../lib/locales/${locale}.json`)])
+);
+
+test('negotiateLocale picks the best supported language', () => {
+  assert.equal(negotiateLocale(undefined), 'en');
+  assert.equal(negotiateLocale('es-MX,es;q=0.9,en;q=0.5'), 'es');
+  assert.equal(negotiateLocale('fr-FR,hi;q=0.8,es;q=0.7'), 'hi');
+  assert.equal(negotiateLocale('en;q=0.4,es;q=0.6'), 'es');
+  assert.equal(negotiateLocale('es;q=0,fr'), 'en');
+});
+
+test('every catalog has the same keys and placeholders as English', () => {
+  const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+  LOCALES.forEach((locale) => {
+    assert.deepEqual(Object.keys(catalogs[locale]).sort(), Object.keys(catalogs.en).sort());
+    Object.entries(catalogs.en).forEach(([code, text]) => {
+      assert.deepEqual(placeholders(catalogs[locale][code]), placeholders(text), code);
+    });
+  });
+});
+
+test('English alert texts match the default rules', () => {
+  DEFAULT_RULES.forEach((rule) => {
+    assert.equal(translate('en', `alerts.${rule.ruleId}.name`), rule.name);
+    assert.equal(translate('en', `alerts.${rule.ruleId}.message`), rule.message);
+  });
+});
+
+test('English bundle action names match lib/bundles.js', () => {
+  BUNDLE_ACTIONS.forEach(({ actionId, label }) => {
+    assert.equal(translate('en', `bundle.action.${actionId}`), label);
+  });
+});
+
+test('unknown codes and placeholders without params are kept', () => {
+  assert.equal(translate('es', 'no.such.code'), 'no.such.code');
+  assert.equal(
+    translate('es', 'qsofa.reason.respiratoryRate'),
+    catalogs.es['qsofa.reason.respiratoryRate']
+  );
+});
+
+test('stored readings and alerts are shown in the requested language', () => {
+  const { value, flags } = validateReading({
+    respiratoryRate: 24,
+    systolicBP: 95,
+    mentalStatus: 'Drowsy',
+    timestamp: '2026-01-01T08:00:00.000Z'
+  });
+  const reading = scoreReading(value, flags);
+  const [alert] = replayAlerts([reading], DEFAULT_RULES).filter((a) => a.ruleId === 'qsofa-high');
+
+  assert.equal(localizeReading(reading, 'en').qsofaRiskLabel, reading.qsofaRiskLabel);
+  assert.equal(localizeReading(reading, 'es').qsofaRiskLabel, catalogs.es['qsofa.risk.high']);
+  assert.equal(
+    localizeReading(reading, 'es').qsofaReasons[0],
+    translate('es', 'qsofa.reason.respiratoryRate', { threshold: 22 })
+  );
+  assert.equal(localizeAlert(alert, 'en').explanation, alert.explanation);
+  assert.equal(localizeAlert(alert, 'hi').type, catalogs.hi['alerts.qsofa-high.name']);
+});
+
+test('a partial SOFA is named in the requested language', () => {
+  const { value, flags } = validateReading({
+    respiratoryRate: 18,
+    systolicBP: 120,
+    mentalStatus: 'Alert',
+    platelets: 90,
+    timestamp: '2026-01-01T08:00:00.000Z'
+  });
+  const reading = scoreReading(value, flags);
+  const sofa = (locale) =>
+    localizeReading(reading, locale).scores.find((result) => result.scoreId === 'sofa');
+
+  assert.equal(sofa('en').name, 'Partial SOFA');
+  assert.equal(sofa('es').name, catalogs.es['sofa.name.partial']);
+  assert.equal(sofa('hi').name, catalogs.hi['sofa.name.partial']);
+});
+
+test('alerts from edited rules keep the text they were raised with', () => {
+  const alert = { ruleId: 'custom', type: 'Custom', explanation: 'Check the patient' };
+  assert.equal(localizeAlert(alert, 'es'), alert);
+});
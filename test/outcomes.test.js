@@ -0,0 +1,130 @@
+// Outcome labels and screening performance (lib/outcomes.js) on a few hand-counted stays
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateOutcome, evaluatePerformance } = require('../lib/outcomes');
+const { DEFAULT_RULES } = require('../lib/rules');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-01-01T08:00:00.000Z');
+
+function at(hours) {
+  return new Date(START.getTime() + hours * HOUR);
+}
+
+// qSOFA 0-3 at a given hour
+function reading(hours, qsofa) {
+  return {
+    timestamp: at(hours),
+    respiratoryRate: qsofa >= 1 ? 24 : 16,
+    systolicBP: qsofa >= 2 ? 95 : 120,
+    mentalStatus: qsofa >= 3 ? 'Drowsy' : 'Alert'
+  };
+}
+
+function stay(label, outcomeHours, dischargeHours, readings) {
+  return {
+    encounter: {
+      admittedAt: START,
+      dischargedAt: at(dischargeHours),
+      outcome: { label, at: outcomeHours === undefined ? undefined : at(outcomeHours) }
+    },
+    patient: {},
+    readings
+  };
+}
+
+// Detected 2 h before sepsis at qSOFA >= 1 and 2, 1 h before at 3; flagged only after the ICU
+// transfer; a negative stay scoring 1. Two patient-days in all.
+const STAYS = [
+  stay('confirmed-sepsis', 3, 24, [reading(0, 0), reading(1, 2), reading(2, 3)]),
+  stay('icu-transfer', 1, 12, [reading(2, 2)]),
+  stay('none', undefined, 12, [reading(0, 1)])
+];
+
+function row(result, id) {
+  return result.rows.find((r) => r.id === id);
+}
+
+test('each qSOFA cut-off is scored against the outcome labels', () => {
+  const result = evaluatePerformance(STAYS, [], { now: at(48) });
+  assert.equal(result.stays, 3);
+  assert.equal(result.positives, 2);
+  assert.equal(result.negatives, 1);
+  assert.equal(result.patientDays, 2);
+
+  const counts = ({ truePositives, falsePositives, falseNegatives, trueNegatives }) => [
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    trueNegatives
+  ];
+  const one = row(result, 'qsofa>=1');
+  assert.deepEqual(counts(one), [1, 1, 1, 0]);
+  assert.deepEqual([one.sensitivity, one.specificity, one.ppv], [0.5, 0, 0.5]);
+  assert.equal(one.alerts, 4);
+  assert.equal(one.alertsPerPatientDay, 2);
+  assert.deepEqual(one.leadTimeMinutes, { median: 120, min: 120, max: 120 });
+
+  const two = row(result, 'qsofa>=2');
+  assert.deepEqual(counts(two), [1, 0, 1, 1]);
+  assert.deepEqual([two.sensitivity, two.specificity, two.ppv], [0.5, 1, 1]);
+  assert.equal(two.alertsPerPatientDay, 1.5);
+
+  const three = row(result, 'qsofa>=3');
+  assert.deepEqual(counts(three), [1, 0, 1, 1]);
+  assert.deepEqual(three.leadTimeMinutes, { median: 60, min: 60, max: 60 });
+});
+
+test('ratios without a denominator are null', () => {
+  const result = evaluatePerformance([STAYS[2]], [], { cutoffs: [2], now: at(48) });
+  const two = row(result, 'qsofa>=2');
+  assert.equal(two.sensitivity, null);
+  assert.equal(two.ppv, null);
+  assert.equal(two.specificity, 1);
+  assert.equal(two.leadTimeMinutes, null);
+});
+
+test('rescoring criteria and positive labels change the counts', () => {
+  // With RR >= 25 the sepsis stay only reaches qSOFA 2 at its third reading
+  const stricter = evaluatePerformance(STAYS, [], {
+    cutoffs: [2],
+    criteria: { respiratoryRate: 25 },
+    now: at(48)
+  });
+  assert.deepEqual(row(stricter, 'qsofa>=2').leadTimeMinutes, { median: 60, min: 60, max: 60 });
+  assert.deepEqual(stricter.criteria, { respiratoryRate: 25, systolicBP: 100 });
+
+  const sepsisOnly = evaluatePerformance(STAYS, [], {
+    cutoffs: [2],
+    positiveLabels: ['confirmed-sepsis'],
+    now: at(48)
+  });
+  const two = row(sepsisOnly, 'qsofa>=2');
+  assert.equal(sepsisOnly.positives, 1);
+  assert.deepEqual([two.truePositives, two.falsePositives, two.trueNegatives], [1, 1, 1]);
+});
+
+test('rules are replayed one by one, disabled ones included, and together', () => {
+  const rules = DEFAULT_RULES.filter((rule) =>
+    ['qsofa-high', 'qsofa-persistent'].includes(rule.ruleId)
+  );
+  const result = evaluatePerformance(STAYS, rules, { cutoffs: [], now: at(48) });
+
+  const high = row(result, 'qsofa-high');
+  assert.equal(high.enabled, true);
+  assert.deepEqual([high.truePositives, high.falseNegatives, high.trueNegatives], [1, 1, 1]);
+  // qsofa-persistent is disabled by default and needs two readings at 2 or more
+  const persistent = row(result, 'qsofa-persistent');
+  assert.equal(persistent.enabled, false);
+  assert.deepEqual(persistent.leadTimeMinutes, { median: 60, min: 60, max: 60 });
+  assert.deepEqual(row(result, 'enabled-rules').leadTimeMinutes, high.leadTimeMinutes);
+});
+
+test('outcomes other than none need a time', () => {
+  assert.deepEqual(validateOutcome({ label: 'none' }).errors, []);
+  assert.deepEqual(
+    validateOutcome({ label: 'icu-transfer' }).errors.map((e) => [e.field, e.code]),
+    [['at', 'required']]
+  );
+  assert.equal(validateOutcome({ label: 'discharged' }).errors[0].field, 'label');
+});
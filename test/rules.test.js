@@ -0,0 +1,60 @@
+// Golden alert sequences (fixtures/alert-sequences.json) replayed through the default rules the
+// way stored readings are: validated, scored, then screened against the earlier readings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES, validateRule, evaluateRules } = require('../lib/rules');
+const { scoreReading } = require('../lib/scoring');
+const { validateReading } = require('../lib/validation');
+const { replayAlerts } = require('../lib/simulator');
+const sequences = require('./fixtures/alert-sequences.json');
+
+const START = new Date('2026-01-01T08:00:00.000Z');
+
+function scoredReadings(readings) {
+  return readings.map(({ minute, ...reading }) => {
+    const timestamp = new Date(START.getTime() + minute * 60 * 1000).toISOString();
+    const { value, errors, flags } = validateReading({ ...reading, timestamp });
+    assert.deepEqual(errors, []);
+    return scoreReading(value, flags);
+  });
+}
+
+sequences.forEach(({ name, readings, expected }) => {
+  test(`default rules: ${name}`, () => {
+    const scored = scoredReadings(readings);
+    const alerts = replayAlerts(scored, DEFAULT_RULES, {
+      asOf: scored[scored.length - 1].timestamp
+    });
+    assert.deepEqual(
+      alerts.map(({ readingIndex, ruleId, level }) => ({ reading: readingIndex, ruleId, level })),
+      expected
+    );
+  });
+});
+
+test('disabled rules never raise alerts', () => {
+  const scored = scoredReadings(sequences[0].readings);
+  const disabled = DEFAULT_RULES.map((rule) => ({ ...rule, enabled: false }));
+  assert.deepEqual(replayAlerts(scored, disabled, { asOf: scored[1].timestamp }), []);
+});
+
+test('only the listed comparison operators are accepted', () => {
+  const rule = {
+    ruleId: 'rr-high',
+    name: 'High RR',
+    level: 'warning',
+    condition: { kind: 'threshold', field: 'respiratoryRate', op: '>=', value: 22 }
+  };
+  assert.deepEqual(validateRule(rule), []);
+  for (const op of ['constructor', 'toString', '__proto__', ['>=']]) {
+    const errors = validateRule({ ...rule, condition: { ...rule.condition, op } });
+    assert.match(errors[0], /^condition\.op must be one of/, String(op));
+  }
+
+  // A stored rule with such an operator never matches rather than throwing
+  const [scored] = scoredReadings([
+    { minute: 0, respiratoryRate: 30, systolicBP: 120, mentalStatus: 'Alert' }
+  ]);
+  const stored = { ...rule, enabled: true, condition: { ...rule.condition, op: 'constructor' } };
+  assert.deepEqual(evaluateRules([stored], scored), []);
+});
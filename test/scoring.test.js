@@ -0,0 +1,93 @@
+// Golden cases for the qSOFA criteria at each cut-off (fixtures/qsofa-thresholds.json)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateQSOFA, evaluateScore, scoreReading } = require('../lib/scoring');
+const { validateReading } = require('../lib/validation');
+const cases = require('./fixtures/qsofa-thresholds.json');
+
+const TIMESTAMP = '2026-01-01T08:00:00.000Z';
+
+cases.forEach(({ name, reading, expected }) => {
+  test(`calculateQSOFA: ${name}`, () => {
+    assert.deepEqual(calculateQSOFA(reading), expected);
+  });
+
+  test(`stored reading: ${name}`, () => {
+    const { value, errors, flags } = validateReading({ ...reading, timestamp: TIMESTAMP });
+    assert.deepEqual(errors, []);
+    const stored = scoreReading(value, flags);
+    assert.equal(stored.qsofaScore, expected.score);
+    assert.equal(stored.qsofaRiskLabel, expected.riskLabel);
+    assert.deepEqual(stored.qsofaReasons, expected.reasons);
+    assert.equal(stored.qsofaRiskCode, expected.riskCode);
+    assert.deepEqual(stored.qsofaReasonCodes, expected.reasonCodes);
+    assert.equal(stored.scores.find((s) => s.scoreId === 'qsofa').score, expected.score);
+  });
+});
+
+test('threshold overrides add a personalised score beside the standard one', () => {
+  const { value } = validateReading({
+    respiratoryRate: 22,
+    systolicBP: 110,
+    mentalStatus: 'Alert',
+    timestamp: TIMESTAMP
+  });
+  const stored = scoreReading(value, [], { respiratoryRate: 26, systolicBP: 110 });
+  assert.equal(stored.qsofaScore, 1);
+  assert.equal(stored.personalizedQsofa.score, 1);
+  assert.deepEqual(stored.personalizedQsofa.reasons, [
+    'Systolic blood pressure at or below 110 mmHg'
+  ]);
+});
+
+test('SOFA is only called SOFA with every input of all six organ systems', () => {
+  const labs = { pao2Fio2Ratio: 250, platelets: 120, bilirubin: 1, gcs: 15, creatinine: 1 };
+
+  const partial = evaluateScore('sofa', { ...labs, respiratorySupport: false });
+  assert.equal(partial.name, 'Partial SOFA');
+  assert.equal(partial.complete, false);
+  assert.deepEqual(partial.organSystems, ['respiration', 'coagulation', 'liver', 'cns', 'renal']);
+  assert.equal(partial.score, 3);
+  assert.equal(partial.riskCode, 'sofa.risk.partialDysfunction');
+  assert.equal(partial.reasons.at(-1), 'Partial SOFA: 5 of 6 organ systems scored');
+
+  const low = evaluateScore('sofa', { gcs: 15 });
+  assert.equal(low.riskCode, 'sofa.risk.partial');
+
+  // MAP alone does not rule out vasopressors, nor a ratio alone respiratory support
+  const withoutSupport = evaluateScore('sofa', { ...labs, meanArterialPressure: 80 });
+  assert.equal(withoutSupport.name, 'Partial SOFA');
+  assert.deepEqual(withoutSupport.missingInputs, ['respiratorySupport', 'vasopressors']);
+  assert.deepEqual(withoutSupport.organSystems, ['coagulation', 'liver', 'cns', 'renal']);
+
+  const full = evaluateScore('sofa', {
+    ...labs,
+    meanArterialPressure: 80,
+    vasopressors: 'none',
+    respiratorySupport: false
+  });
+  assert.equal(full.name, 'SOFA');
+  assert.equal(full.complete, true);
+  assert.equal(full.organSystems.length, 6);
+  assert.equal(full.riskCode, 'sofa.risk.dysfunction');
+});
+
+test('SOFA cardiovascular scores 2-4 with vasopressors and respiration 3-4 on support', () => {
+  const points = (inputs) => evaluateScore('sofa', inputs).score;
+
+  assert.equal(points({ meanArterialPressure: 65, vasopressors: 'none' }), 1);
+  assert.equal(points({ meanArterialPressure: 65, vasopressors: 'low' }), 2);
+  assert.equal(points({ meanArterialPressure: 80, vasopressors: 'medium' }), 3);
+  assert.equal(points({ meanArterialPressure: 60, vasopressors: 'high' }), 4);
+  const pressors = evaluateScore('sofa', { meanArterialPressure: 60, vasopressors: 'high' });
+  assert.deepEqual(
+    pressors.reasonCodes.map((r) => r.code),
+    ['sofa.reason.vasopressors.high', 'sofa.reason.partial']
+  );
+
+  assert.equal(points({ pao2Fio2Ratio: 150, respiratorySupport: false }), 2);
+  assert.equal(points({ pao2Fio2Ratio: 80 }), 2);
+  assert.equal(points({ pao2Fio2Ratio: 150, respiratorySupport: true }), 3);
+  assert.equal(points({ pao2Fio2Ratio: 80, respiratorySupport: true }), 4);
+  assert.equal(points({ pao2Fio2Ratio: 350, respiratorySupport: true }), 1);
+});
@@ -0,0 +1,215 @@
+// The repository contract every store keeps (lib/storage/): the Mongoose store against an
+// in-memory MongoDB and the memory store must answer the same way. Like the API suite, the
+// MongoDB run fails if mongod cannot start; TEST_STORAGE_BACKENDS=memory leaves it out.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createMongooseStore, createMemoryStore } = require('../lib/storage');
+const { parseListQuery } = require('../lib/pagination');
+
+// Each opens an empty store and returns { store, stop }
+const BACKENDS = {
+  mongo: async () => {
+    const mongod = await MongoMemoryServer.create();
+    const db = await mongoose.createConnection(mongod.getUri()).asPromise();
+    const store = createMongooseStore(db);
+    // Unique indexes must exist before the duplicate key cases run
+    await Promise.all(Object.values(db.models).map((model) => model.init()));
+    return { store, stop: () => mongod.stop() };
+  },
+  memory: async () => ({ store: createMemoryStore(), stop: async () => {} })
+};
+const TESTED_BACKENDS = (process.env.TEST_STORAGE_BACKENDS || Object.keys(BACKENDS).join(','))
+  .split(',')
+  .map((backend) => backend.trim())
+  .filter(Boolean);
+
+const START = new Date('2026-01-01T08:00:00Z');
+const at = (minute) => new Date(START.getTime() + minute * 60 * 1000);
+
+function readingFields(patient, encounter, minute, extra = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    readingGroup: _id,
+    patient,
+    encounter,
+    respiratoryRate: 18,
+    systolicBP: 120,
+    mentalStatus: 'Alert',
+    timestamp: at(minute),
+    qsofaScore: 0,
+    qsofaRiskLabel: 'Low',
+    qsofaReasons: [],
+    ...extra
+  };
+}
+
+TESTED_BACKENDS.forEach((backend) => {
+  describe(`${backend} store`, () => {
+    let storage;
+    let store;
+
+    before(async () => {
+      assert.ok(BACKENDS[backend], `Unknown backend in TEST_STORAGE_BACKENDS: ${backend}`);
+      try {
+        storage = await BACKENDS[backend]();
+      } catch (err) {
+        throw new Error(
+          `Could not start ${backend} storage: ${err.message}\n` +
+            'Point MONGOMS_SYSTEM_BINARY at a local mongod or MONGOMS_DOWNLOAD_DIR at a cached ' +
+            'download, or set TEST_STORAGE_BACKENDS=memory to leave MongoDB out on purpose.'
+        );
+      }
+      store = storage.store;
+    });
+
+    after(async () => {
+      if (storage) {
+        await store.close();
+        await storage.stop();
+      }
+    });
+
+    test('writes resolve to plain copies with schema defaults', async () => {
+      const patient = await store.patients.create({ externalId: 'P-plain', name: 'Plain' });
+      assert.equal(Object.getPrototypeOf(patient), Object.prototype);
+      assert.ok(patient.createdAt instanceof Date);
+      assert.deepEqual(patient.thresholdOverrides, []);
+
+      patient.name = 'Changed';
+      assert.equal((await store.patients.findById(patient._id)).name, 'Plain');
+      await assert.rejects(store.patients.create({ name: 'No id' }), { name: 'ValidationError' });
+    });
+
+    test('update replaces the given fields and removes undefined ones', async () => {
+      const patient = await store.patients.create({
+        externalId: 'P-update',
+        name: 'Update',
+        location: 'Ward-1',
+        baseline: { values: { respiratoryRate: 20 }, note: 'Usual rate' }
+      });
+      const updated = await store.patients.update(patient._id, {
+        location: 'Ward-2',
+        baseline: undefined
+      });
+      assert.equal(updated.location, 'Ward-2');
+      assert.equal(updated.name, 'Update');
+      assert.equal(updated.baseline, undefined);
+      assert.equal((await store.patients.findById(patient._id)).baseline, undefined);
+      assert.equal(await store.patients.update(new mongoose.Types.ObjectId(), {}), null);
+    });
+
+    test('unique keys raise duplicate key errors', async () => {
+      const user = { username: 'Dup', role: 'nurse', passwordHash: 'x' };
+      assert.equal((await store.users.create(user)).username, 'dup');
+      await assert.rejects(store.users.create(user), { code: 11000 });
+
+      const patient = await store.patients.create({ externalId: 'P-unique' });
+      const idempotency = { key: 'key-00001', fingerprint: 'f' };
+      await store.readings.create(readingFields(patient._id, null, 0, { idempotency }));
+      await assert.rejects(
+        store.readings.create(readingFields(patient._id, null, 1, { idempotency })),
+        { code: 11000 }
+      );
+      // Readings without a key are not covered by the index
+      await store.readings.create(readingFields(patient._id, null, 2));
+      await store.readings.create(readingFields(patient._id, null, 3));
+    });
+
+    test('only one caller claims the current version of a reading', async () => {
+      const patient = await store.patients.create({ externalId: 'P-claim' });
+      const reading = await store.readings.create(readingFields(patient._id, null, 0));
+
+      const claims = await Promise.all([
+        store.readings.claimCurrent(reading._id),
+        store.readings.claimCurrent(reading._id)
+      ]);
+      assert.equal(claims.filter(Boolean).length, 1);
+      assert.deepEqual(await store.readings.timeline(patient._id), []);
+
+      await store.readings.restoreCurrent(reading._id);
+      const [restored] = await store.readings.timeline(patient._id);
+      assert.equal(String(restored._id), String(reading._id));
+    });
+
+    test('readings come back per stay in time order, current versions only', async () => {
+      const patient = await store.patients.create({ externalId: 'P-timeline' });
+      const stay = await store.encounters.create({
+        patient: patient._id,
+        admittedAt: at(0),
+        location: 'Ward-1'
+      });
+      const first = await store.readings.create(readingFields(patient._id, stay._id, 10));
+      const second = await store.readings.create(
+        readingFields(patient._id, stay._id, 5, { qsofaScore: 2, qsofaRiskLabel: 'High' })
+      );
+      await store.readings.create(
+        readingFields(patient._id, stay._id, 20, { isCurrent: false, readingGroup: first._id })
+      );
+
+      const ids = (list) => list.map((r) => String(r._id));
+      assert.deepEqual(ids(await store.readings.timeline(patient._id)), ids([second, first]));
+      const range = { from: at(6), to: at(30) };
+      assert.deepEqual(ids(await store.readings.timeline(patient._id, { range })), ids([first]));
+      assert.deepEqual(ids(await store.readings.forEncounters([stay._id])), ids([second, first]));
+      assert.deepEqual(ids(await store.readings.earlier(first, { limit: 5 })), ids([second]));
+
+      const latest = await store.readings.latestByPatient([stay._id]);
+      assert.equal(latest.get(String(patient._id)).qsofaScore, 0);
+    });
+
+    test('pages follow the cursor without repeats or gaps', async () => {
+      const patient = await store.patients.create({ externalId: 'P-page', location: 'Ward-9' });
+      // Two readings share each timestamp, so the cursor has to fall back on the id
+      for (let i = 0; i < 6; i += 1) {
+        await store.readings.create(readingFields(patient._id, null, Math.floor(i / 2)));
+      }
+      const patients = await store.patients.idsWhere({ location: 'Ward-9' });
+      assert.deepEqual(patients.map(String), [String(patient._id)]);
+
+      const seen = [];
+      let cursor;
+      do {
+        const query = { limit: '4', ...(cursor ? { cursor } : {}) };
+        const page = parseListQuery(query, { timestamp: 'date' }, 'timestamp');
+        const result = await store.readings.page({ patients }, page);
+        seen.push(...result.items);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      assert.equal(seen.length, 6);
+      assert.equal(new Set(seen.map((r) => String(r._id))).size, 6);
+      assert.equal(seen[0].patient.externalId, 'P-page');
+      assert.ok(seen.every((r, i) => !i || r.timestamp <= seen[i - 1].timestamp));
+    });
+
+    test('a bundle action is recorded once and the last one closes the bundle', async () => {
+      const patient = await store.patients.create({ externalId: 'P-bundle' });
+      const bundle = await store.bundles.create({
+        patient: patient._id,
+        encounter: new mongoose.Types.ObjectId(),
+        alert: new mongoose.Types.ObjectId(),
+        startedAt: at(0),
+        actions: [
+          { actionId: 'lactate', label: 'Lactate', dueAt: at(60) },
+          { actionId: 'cultures', label: 'Cultures', dueAt: at(60) }
+        ]
+      });
+      const action = { actionId: 'lactate', status: 'done', at: at(5) };
+
+      assert.equal(await store.bundles.recordAction(bundle._id, 0, action), true);
+      assert.equal(await store.bundles.recordAction(bundle._id, 0, action), false);
+      assert.equal(await store.bundles.recordAction(bundle._id, 1, action), false);
+      await store.bundles.closeIfComplete(bundle._id, at(6));
+      assert.equal((await store.bundles.findById(bundle._id)).status, 'open');
+
+      await store.bundles.recordAction(bundle._id, 1, { ...action, actionId: 'cultures' });
+      await store.bundles.closeIfComplete(bundle._id, at(7));
+      const closed = await store.bundles.findById(bundle._id);
+      assert.equal(closed.status, 'closed');
+      assert.equal(closed.actions[0].status, 'done');
+    });
+  });
+});